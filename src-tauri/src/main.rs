@@ -3,18 +3,336 @@
     windows_subsystem = "windows"
 )]
 
-#[tauri::command]
-fn get_file_modified(path: String) -> Result<u64, String> {
-    std::fs::metadata(&path)
+use notify::event::{ModifyKind, RenameMode};
+use notify::{Config, Event, EventKind, RecommendedWatcher, RecursiveMode, Watcher};
+use std::collections::HashMap;
+use std::io::Write;
+use std::path::{Path, PathBuf};
+use std::sync::{Arc, Mutex};
+use tauri::{AppHandle, Manager, State};
+
+fn modified_since_epoch(path: &Path) -> Result<std::time::Duration, String> {
+    std::fs::metadata(path)
         .and_then(|m| m.modified())
         .and_then(|t| t.duration_since(std::time::UNIX_EPOCH).map_err(|e| std::io::Error::new(std::io::ErrorKind::Other, e)))
-        .map(|d| d.as_secs())
         .map_err(|e| e.to_string())
 }
 
+fn modified_secs(path: &Path) -> Result<u64, String> {
+    modified_since_epoch(path).map(|d| d.as_secs())
+}
+
+#[tauri::command]
+fn get_file_modified(path: String) -> Result<u64, String> {
+    modified_secs(Path::new(&path))
+}
+
+// For caches that must notice edits made within the same second
+#[tauri::command]
+fn get_file_modified_ms(path: String) -> Result<u64, String> {
+    modified_since_epoch(Path::new(&path)).map(|d| d.as_millis() as u64)
+}
+
+#[tauri::command]
+fn get_file_size(path: String) -> Result<u64, String> {
+    std::fs::metadata(&path).map(|m| m.len()).map_err(|e| e.to_string())
+}
+
+/* ---- Atomic saves and backups ---- */
+
+// FNV-1a, so a file keeps the same backup folder from one build to the next
+fn path_hash(path: &Path) -> String {
+    let mut hash: u64 = 0xcbf29ce484222325;
+    for byte in path.to_string_lossy().bytes() {
+        hash ^= byte as u64;
+        hash = hash.wrapping_mul(0x100000001b3);
+    }
+    format!("{:016x}", hash)
+}
+
+/// Backups of a file live in `<app data>/backups/<hash of its path>/<unix millis>.bak`.
+fn backup_dir(app: &AppHandle, path: &Path) -> Result<PathBuf, String> {
+    let data = app.path_resolver().app_data_dir().ok_or("No app data directory")?;
+    Ok(data.join("backups").join(path_hash(path)))
+}
+
+// Backup files in `dir` with their timestamps, newest first
+fn backup_files(dir: &Path) -> Vec<(PathBuf, u64)> {
+    let mut files: Vec<(PathBuf, u64)> = match std::fs::read_dir(dir) {
+        Ok(entries) => entries
+            .filter_map(|entry| entry.ok())
+            .filter_map(|entry| {
+                let path = entry.path();
+                let stamp = path.file_name()?.to_str()?.strip_suffix(".bak")?.parse::<u64>().ok()?;
+                Some((path, stamp))
+            })
+            .collect(),
+        Err(_) => Vec::new(),
+    };
+    files.sort_by(|a, b| b.1.cmp(&a.1));
+    files
+}
+
+/// Copy the current contents of `path` into its backup folder, keeping only the newest `keep` copies.
+fn backup_file(app: &AppHandle, path: &Path, keep: usize) -> Result<(), String> {
+    let dir = backup_dir(app, path)?;
+    std::fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+    // Records which file the folder belongs to, for anyone browsing the backups by hand
+    std::fs::write(dir.join("source.txt"), path.to_string_lossy().as_bytes()).map_err(|e| e.to_string())?;
+
+    let mut stamp = std::time::SystemTime::now()
+        .duration_since(std::time::UNIX_EPOCH)
+        .map(|d| d.as_millis() as u64)
+        .unwrap_or(0);
+    while dir.join(format!("{}.bak", stamp)).exists() {
+        stamp += 1;
+    }
+    std::fs::copy(path, dir.join(format!("{}.bak", stamp))).map_err(|e| e.to_string())?;
+
+    for (old, _) in backup_files(&dir).into_iter().skip(keep) {
+        let _ = std::fs::remove_file(old);
+    }
+    Ok(())
+}
+
+#[cfg(unix)]
+fn sync_dir(dir: &Path) {
+    if let Ok(handle) = std::fs::File::open(dir) {
+        let _ = handle.sync_all();
+    }
+}
+
+#[cfg(not(unix))]
+fn sync_dir(_dir: &Path) {}
+
+/// Write `contents` to `path` without ever leaving it half-written: the data goes
+/// to a temporary file in the same directory, is flushed to disk and then renamed
+/// over the original. With `backups` > 0 the previous version is kept first.
+#[tauri::command]
+fn save_file(app: AppHandle, path: String, contents: Vec<u8>, backups: usize) -> Result<(), String> {
+    // Write through symlinks rather than replacing them with a plain file
+    let target = std::fs::canonicalize(&path).unwrap_or_else(|_| PathBuf::from(&path));
+    let existing = std::fs::metadata(&target).ok().filter(|m| m.is_file());
+
+    if backups > 0 && existing.is_some() {
+        backup_file(&app, &target, backups)?;
+    }
+
+    let dir = target.parent().ok_or("File has no parent directory")?;
+    let name = target.file_name().ok_or("Invalid file name")?.to_string_lossy().into_owned();
+    let temp = dir.join(format!(".{}.{}.tmp", name, std::process::id()));
+
+    let result = (|| -> std::io::Result<()> {
+        let mut file = std::fs::File::create(&temp)?;
+        file.write_all(&contents)?;
+        file.sync_all()?;
+        drop(file);
+        if let Some(meta) = &existing {
+            std::fs::set_permissions(&temp, meta.permissions())?;
+        }
+        std::fs::rename(&temp, &target)
+    })();
+
+    if let Err(e) = result {
+        let _ = std::fs::remove_file(&temp);
+        return Err(e.to_string());
+    }
+    sync_dir(dir);
+    Ok(())
+}
+
+#[derive(serde::Serialize)]
+#[serde(rename_all = "camelCase")]
+struct Backup {
+    path: String,
+    saved_at: u64,
+    size: u64,
+}
+
+/// The backups kept for `path`, newest first. `saved_at` is when that version was replaced.
+#[tauri::command]
+fn list_backups(app: AppHandle, path: String) -> Result<Vec<Backup>, String> {
+    let target = std::fs::canonicalize(&path).unwrap_or_else(|_| PathBuf::from(&path));
+    let dir = backup_dir(&app, &target)?;
+    Ok(backup_files(&dir)
+        .into_iter()
+        .map(|(file, stamp)| Backup {
+            size: std::fs::metadata(&file).map(|m| m.len()).unwrap_or(0),
+            path: file.to_string_lossy().into_owned(),
+            saved_at: stamp,
+        })
+        .collect())
+}
+
+/* ---- File watcher ---- */
+
+// Watched files, keyed by canonical path and mapped to the path the frontend asked for
+type WatchedFiles = Arc<Mutex<HashMap<PathBuf, String>>>;
+
+#[derive(Default)]
+struct WatchState {
+    watcher: Mutex<Option<RecommendedWatcher>>,
+    files: WatchedFiles,
+}
+
+#[derive(Clone, serde::Serialize)]
+#[serde(rename_all = "camelCase")]
+struct FileChange {
+    kind: &'static str,
+    path: String,
+    new_path: Option<String>,
+    mtime: Option<u64>,
+}
+
+fn canonical(path: &Path) -> PathBuf {
+    std::fs::canonicalize(path).unwrap_or_else(|_| path.to_path_buf())
+}
+
+fn change_for(kind: &'static str, path: &Path, original: &str, new_path: Option<&Path>) -> FileChange {
+    FileChange {
+        kind,
+        path: original.to_string(),
+        new_path: new_path.map(|p| p.to_string_lossy().into_owned()),
+        mtime: if kind == "modified" { modified_secs(path).ok() } else { None },
+    }
+}
+
+/// Translate a raw notify event into changes for the files the frontend watches.
+/// Directories are watched rather than files so that atomic saves and renames
+/// are still seen; everything outside the watch list is ignored here.
+fn file_changes(event: &Event, files: &HashMap<PathBuf, String>, pending_rename: &mut Option<PathBuf>) -> Vec<FileChange> {
+    let mut changes = Vec::new();
+    let watched = |p: &Path| files.get(&canonical(p)).or_else(|| files.get(p));
+
+    let rename = |from: &Path, to: &Path, changes: &mut Vec<FileChange>| {
+        if let Some(original) = watched(from) {
+            changes.push(change_for("renamed", from, original, Some(to)));
+        }
+        // A temp file renamed over an open file is how many tools save atomically
+        if let Some(original) = watched(to) {
+            changes.push(change_for("modified", to, original, None));
+        }
+    };
+
+    // A rename source never followed by its target was moved out of the watched directory
+    let is_rename_to = matches!(event.kind, EventKind::Modify(ModifyKind::Name(RenameMode::To)));
+    if !is_rename_to {
+        if let Some(from) = pending_rename.take() {
+            if let Some(original) = watched(&from) {
+                changes.push(change_for("removed", &from, original, None));
+            }
+        }
+    }
+
+    match event.kind {
+        EventKind::Modify(ModifyKind::Name(RenameMode::Both)) if event.paths.len() == 2 => {
+            rename(&event.paths[0], &event.paths[1], &mut changes);
+        }
+        EventKind::Modify(ModifyKind::Name(RenameMode::From)) => {
+            *pending_rename = event.paths.first().cloned();
+        }
+        EventKind::Modify(ModifyKind::Name(RenameMode::To)) => {
+            if let Some(to) = event.paths.first() {
+                match pending_rename.take() {
+                    Some(from) => rename(&from, to, &mut changes),
+                    None => {
+                        if let Some(original) = watched(to) {
+                            changes.push(change_for("modified", to, original, None));
+                        }
+                    }
+                }
+            }
+        }
+        EventKind::Remove(_) => {
+            for path in &event.paths {
+                if let Some(original) = watched(path) {
+                    changes.push(change_for("removed", path, original, None));
+                }
+            }
+        }
+        EventKind::Create(_) | EventKind::Modify(_) => {
+            // Platforms that cannot pair rename halves report each side on its own
+            for path in &event.paths {
+                if let Some(original) = watched(path) {
+                    let kind = if path.exists() { "modified" } else { "removed" };
+                    changes.push(change_for(kind, path, original, None));
+                }
+            }
+        }
+        _ => {}
+    }
+    changes
+}
+
+fn create_watcher(app: AppHandle, files: WatchedFiles) -> notify::Result<RecommendedWatcher> {
+    let mut pending_rename: Option<PathBuf> = None;
+    RecommendedWatcher::new(
+        move |res: notify::Result<Event>| {
+            let Ok(event) = res else { return };
+            let changes = {
+                let files = files.lock().unwrap();
+                file_changes(&event, &files, &mut pending_rename)
+            };
+            for change in changes {
+                let _ = app.emit_all("file-changed", change);
+            }
+        },
+        Config::default(),
+    )
+}
+
+// The files lock is never held while calling into the watcher: its event thread takes that lock too.
+#[tauri::command]
+fn watch_file(app: AppHandle, state: State<WatchState>, path: String) -> Result<(), String> {
+    let file = std::fs::canonicalize(&path).map_err(|e| e.to_string())?;
+    let dir = file.parent().ok_or("File has no parent directory")?.to_path_buf();
+
+    let dir_watched = {
+        let files = state.files.lock().unwrap();
+        if files.contains_key(&file) {
+            return Ok(());
+        }
+        files.keys().any(|f| f.parent() == Some(dir.as_path()))
+    };
+
+    let mut watcher = state.watcher.lock().unwrap();
+    if watcher.is_none() {
+        *watcher = Some(create_watcher(app, state.files.clone()).map_err(|e| e.to_string())?);
+    }
+    if !dir_watched {
+        if let Some(w) = watcher.as_mut() {
+            w.watch(&dir, RecursiveMode::NonRecursive).map_err(|e| e.to_string())?;
+        }
+    }
+
+    state.files.lock().unwrap().insert(file, path);
+    Ok(())
+}
+
+#[tauri::command]
+fn unwatch_file(state: State<WatchState>, path: String) -> Result<(), String> {
+    let (dir, dir_in_use) = {
+        let mut files = state.files.lock().unwrap();
+        let key = files.iter().find(|(_, original)| **original == path).map(|(k, _)| k.clone());
+        let Some(file) = key else { return Ok(()) };
+        files.remove(&file);
+        let dir = file.parent().map(|d| d.to_path_buf());
+        let in_use = dir.as_ref().map_or(false, |d| files.keys().any(|f| f.parent() == Some(d.as_path())));
+        (dir, in_use)
+    };
+
+    if let (Some(dir), false) = (dir, dir_in_use) {
+        if let Some(w) = state.watcher.lock().unwrap().as_mut() {
+            let _ = w.unwatch(&dir);
+        }
+    }
+    Ok(())
+}
+
 fn main() {
     tauri::Builder::default()
-        .invoke_handler(tauri::generate_handler![get_file_modified])
+        .manage(WatchState::default())
+        .invoke_handler(tauri::generate_handler![get_file_modified, get_file_modified_ms, get_file_size, save_file, list_backups, watch_file, unwatch_file])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
@@ -0,0 +1,79 @@
+// commands.js — Central registry of user-facing actions
+// Toolbar buttons, menus, the global key handler and the command palette all
+// run actions through here, so each one and its shortcut is defined once.
+
+const commands = new Map();
+
+/**
+ * Register an action. `keys` lists its default shortcuts such as 'Ctrl+Shift+P',
+ * where Ctrl also stands for Cmd on macOS. `when` hides the command while it does not apply.
+ */
+export function registerCommand({ id, title, category = '', keys = [], when = null, run }) {
+    commands.set(id, { id, title, category, defaultKeys: keys, keys: [...keys], when, run });
+}
+
+/** Replace the shortcuts of a command, e.g. from the user's keymap. */
+export function setCommandKeys(id, keys) {
+    const command = commands.get(id);
+    if (command) command.keys = [...keys];
+}
+
+export function getCommand(id) {
+    return commands.get(id) || null;
+}
+
+/** Registered commands in registration order, optionally only those that currently apply. */
+export function getCommands(onlyEnabled = false) {
+    const all = [...commands.values()];
+    return onlyEnabled ? all.filter(isCommandEnabled) : all;
+}
+
+export function isCommandEnabled(command) {
+    return !command.when || command.when();
+}
+
+export async function runCommand(id, ...args) {
+    const command = commands.get(id);
+    if (!command) {
+        console.warn(`Unknown command: ${id}`);
+        return;
+    }
+    if (!isCommandEnabled(command)) return;
+    await command.run(...args);
+}
+
+/** Shortcut string for a keydown event in the same form as `keys`, e.g. 'Ctrl+Shift+\\'. */
+export function getEventKeys(e) {
+    let key = e.key;
+    // Shifted symbols report a different e.key, so read punctuation from the physical key
+    if (e.code === 'Backslash') key = '\\';
+    else if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.shiftKey) parts.push('Shift');
+    if (e.altKey) parts.push('Alt');
+    if (!['Control', 'Shift', 'Alt', 'Meta'].includes(key)) parts.push(key);
+    return parts.join('+');
+}
+
+/** The enabled command bound to a keydown event, or null. */
+export function findCommandForEvent(e) {
+    const keys = getEventKeys(e);
+    for (const command of commands.values()) {
+        if (command.keys.includes(keys) && isCommandEnabled(command)) return command;
+    }
+    return null;
+}
+
+/** Make every element with a `data-command` attribute run that command when clicked. Menus close first. */
+export function bindCommandElements(root = document) {
+    root.querySelectorAll('[data-command]').forEach(el => {
+        el.addEventListener('click', async () => {
+            const menu = el.closest('.context-menu');
+            if (menu) menu.style.display = 'none';
+            await runCommand(el.dataset.command);
+        });
+    });
+}
@@ -0,0 +1,121 @@
+// diff.js — Line diffs and three-way merging
+// Plain LCS over the lines between the common prefix and suffix. Huge middles
+// fall back to a single replaced block rather than an expensive table.
+
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Changed regions between two line arrays, as half-open ranges:
+ * [{ aStart, aEnd, bStart, bEnd }], ordered and non-overlapping.
+ */
+export function diffHunks(a, b) {
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const aMid = a.slice(prefix, a.length - suffix);
+    const bMid = b.slice(prefix, b.length - suffix);
+    if (aMid.length === 0 && bMid.length === 0) return [];
+
+    const matches = (aMid.length + 1) * (bMid.length + 1) <= MAX_LCS_CELLS ? lcsMatches(aMid, bMid) : [];
+
+    const hunks = [];
+    let ai = 0, bi = 0;
+    for (const [am, bm] of [...matches, [aMid.length, bMid.length]]) {
+        if (am > ai || bm > bi) {
+            hunks.push({ aStart: prefix + ai, aEnd: prefix + am, bStart: prefix + bi, bEnd: prefix + bm });
+        }
+        ai = am + 1;
+        bi = bm + 1;
+    }
+    return hunks;
+}
+
+function lcsMatches(a, b) {
+    const n = a.length, m = b.length;
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+
+    const matches = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            matches.push([i, j]);
+            i++;
+            j++;
+        } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matches;
+}
+
+function linesEqual(a, b) {
+    return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * Three-way merge of line arrays against their common `base`.
+ * Returns blocks of { type: 'stable', lines } and
+ * { type: 'change', base, ours, theirs, oursChanged, theirsChanged, isConflict }.
+ */
+export function diff3Merge(base, ours, theirs) {
+    const hunks = [
+        ...diffHunks(base, ours).map(h => ({ ...h, side: 'ours' })),
+        ...diffHunks(base, theirs).map(h => ({ ...h, side: 'theirs' }))
+    ].sort((x, y) => x.aStart - y.aStart || x.aEnd - y.aEnd);
+
+    // Maps a base region onto one side, widening that side's hunks by the untouched base lines around them
+    const sideRange = (group, side, lines, regionStart, regionEnd) => {
+        const sideHunks = group.filter(h => h.side === side);
+        if (sideHunks.length === 0) return base.slice(regionStart, regionEnd);
+        const first = sideHunks[0];
+        const last = sideHunks[sideHunks.length - 1];
+        return lines.slice(first.bStart - (first.aStart - regionStart), last.bEnd + (regionEnd - last.aEnd));
+    };
+
+    const blocks = [];
+    let basePos = 0;
+    let i = 0;
+    while (i < hunks.length) {
+        const group = [hunks[i]];
+        const regionStart = hunks[i].aStart;
+        let regionEnd = hunks[i].aEnd;
+        i++;
+        // Touching edits from both sides are treated as one region, like diff3 and git do
+        while (i < hunks.length && hunks[i].aStart <= regionEnd) {
+            regionEnd = Math.max(regionEnd, hunks[i].aEnd);
+            group.push(hunks[i]);
+            i++;
+        }
+
+        if (regionStart > basePos) blocks.push({ type: 'stable', lines: base.slice(basePos, regionStart) });
+
+        const oursLines = sideRange(group, 'ours', ours, regionStart, regionEnd);
+        const theirsLines = sideRange(group, 'theirs', theirs, regionStart, regionEnd);
+        const oursChanged = group.some(h => h.side === 'ours');
+        const theirsChanged = group.some(h => h.side === 'theirs');
+        blocks.push({
+            type: 'change',
+            base: base.slice(regionStart, regionEnd),
+            ours: oursLines,
+            theirs: theirsLines,
+            oursChanged,
+            theirsChanged,
+            isConflict: oursChanged && theirsChanged && !linesEqual(oursLines, theirsLines)
+        });
+        basePos = regionEnd;
+    }
+    if (basePos < base.length) blocks.push({ type: 'stable', lines: base.slice(basePos) });
+    return blocks;
+}
@@ -1,16 +1,29 @@
 import { state } from './state.js';
-import { createEditorState, createEditorView, getLanguageExtension, setLanguageExtension, applyLanguageExtensionToState, detectLanguageFromContent } from './editor.js';
+import { createEditorState, createEditorView, getLanguageExtension, languageEffect, indentEffect, detectLanguageFromContent } from './editor.js';
 import { renderTabs, updateActiveTabUI } from './tabs-ui.js';
-import { showStatus, updateCursorStatus, updateTitle } from './status-bar.js';
+import { showStatus, updateCursorStatus, updateTitle, updateEncodingStatus, updateLineEndingStatus, updateIndentStatus } from './status-bar.js';
 import { saveSessionDebounced, autoSaveDiskDebounced } from './session.js';
-import { askConfirmUI, askLinkUI } from './overlays.js';
+import { journalTab } from './recovery.js';
+import { askConfirmUI, askLinkUI, askInputUI } from './overlays.js';
 import { invoke, readTextFile, writeTextFile } from './tauri-bridge.js';
+import { DEFAULT_ENCODING } from './encoding.js';
+import { DEFAULT_LINE_ENDING } from './line-endings.js';
+import { getPane, getActivePane, getPaneTabs, getPaneElement, getTabView, getTabQuill, getTabContent, getScrollPos, getLinkedTabs, createPane, destroyPane, layoutPanes, markFocusedPane } from './panes.js';
+import { addToFileHistory, removeFromFileHistory } from './history.js';
 import { getFilename } from './utils.js';
+import { getSetting } from './settings.js';
+import { getZoomFactor, resolveZoomLevel, updatePaneZoom } from './zoom.js';
+import { detectIndentation, resolveIndent, describeIndent, convertIndentation } from './indentation.js';
+import { loadEditorConfig, getEditorConfigIndent } from './editorconfig.js';
+import { indentRange, foldEffect } from '@codemirror/language';
 import { EditorView } from '@codemirror/view';
+import { Annotation, Transaction, EditorSelection } from '@codemirror/state';
 
 export const syncChannel = new BroadcastChannel('lightpad_sync');
 
 let isPromptingReload = false;
+// Marks edits mirrored from another pane showing the same document
+const linkedEditAnnotation = Annotation.define();
 export let currentCloseBatch = null;
 export let closedTabsHistory = [];
 
@@ -24,27 +37,69 @@ syncChannel.onmessage = (event) => {
     }
 };
 
-export function handleExternalFileChange(path, mtime, content = null) {
-    const tab = state.tabs.find(t => t.path === path);
+/**
+ * React to a file changing on disk. `change` is 'modified' (the default),
+ * 'removed', 'renamed' (with `newPath`) or 'restored' for a deleted file that
+ * reappeared with the content we last saved.
+ */
+export function handleExternalFileChange(path, mtime, content = null, change = 'modified', newPath = null) {
+    const pathTabs = state.tabs.filter(t => t.path === path);
+
+    if (change === 'removed') {
+        pathTabs.forEach(t => {
+            t.isOrphaned = true;
+            t.externalModified = null;
+            setTabUnsaved(t, true);
+        });
+        if (pathTabs.length > 0) {
+            renderTabs();
+            updateTitle();
+            showStatus(`${getFilename(path)} was deleted from disk`, 5000);
+        }
+        return;
+    }
+
+    if (change === 'renamed') {
+        if (pathTabs.length === 0 || !newPath) return;
+        pathTabs.forEach(t => {
+            t.path = newPath;
+            t.isOrphaned = false;
+        });
+        removeFromFileHistory(path);
+        addToFileHistory(newPath);
+        renderTabs();
+        updateTitle();
+        saveSessionDebounced();
+        showStatus(`${getFilename(path)} was renamed to ${getFilename(newPath)}`);
+        return;
+    }
+
+    if (pathTabs.some(t => t.isOrphaned)) {
+        pathTabs.forEach(t => {
+            t.isOrphaned = false;
+            if (change === 'restored') setTabUnsaved(t, getTabContent(t) !== t.savedContent || t.lineEnding !== t.savedLineEnding);
+        });
+        renderTabs();
+        updateTitle();
+    }
+    if (change === 'restored') return;
+
+    const tab = pathTabs[0];
     if (tab) {
         if (!tab.isUnsaved) {
             tab.lastModified = mtime;
             if (content !== null) {
                 tab.savedContent = content;
-                if (state.activeTabId === tab.id) {
-                     if (tab.isDoc && state.quillView) state.quillView.root.innerHTML = content;
-                     else if (state.editorView) {
-                         state.editorView.dispatch({
-                             changes: { from: 0, to: state.editorView.state.doc.length, insert: content }
-                         });
-                     }
-                } else if (!tab.isDoc && tab.state) {
-                     tab.state = tab.state.update({
-                         changes: { from: 0, to: tab.state.doc.length, insert: content }
-                     }).state;
+                if (tab.isDoc) {
+                    const quill = getTabQuill(tab);
+                    if (quill) quill.root.innerHTML = content;
+                } else {
+                    updateTabState(tab, { changes: { from: 0, to: tab.state.doc.length, insert: content } });
                 }
+                syncLinkedTabs(tab);
             } else {
                 tab.externalModified = mtime;
+                syncLinkedTabs(tab);
                 checkPendingReload(tab);
             }
         } else {
@@ -63,30 +118,37 @@ export async function checkPendingReload(tab) {
     if (!tab) return;
     if (state.activeTabId === tab.id && tab.externalModified && !isPromptingReload && invoke) {
         isPromptingReload = true;
-        let answer = await askConfirmUI(`New changes detected on disk for "${getFilename(tab.path)}". Reload to see?`, true);
+        const canMerge = tab.isUnsaved && !tab.isDoc;
+        let answer = await askConfirmUI(`New changes detected on disk for "${getFilename(tab.path)}". Reload to see?`, true, false, canMerge);
         isPromptingReload = false;
-        
-        if (answer === 'yes') {
+
+        if (answer === 'merge') {
+            const { openMergeView } = await import('./merge.js');
+            // Cancelling leaves the change pending so the prompt returns next time
+            await openMergeView(tab);
+        } else if (answer === 'yes') {
             try {
-                const newContent = await readTextFile(tab.path);
+                const { readDocumentFile } = await import('./file-io.js');
+                const { content: newContent, encoding, hasBom, lineEnding } = await readDocumentFile(tab.path);
                 tab.savedContent = newContent;
+                tab.encoding = encoding;
+                tab.hasBom = hasBom;
+                tab.lineEnding = lineEnding;
+                tab.savedLineEnding = lineEnding;
                 tab.lastModified = tab.externalModified;
                 tab.externalModified = null;
                 tab.isUnsaved = false;
                 tab.needsRender = true;
                 
-                if (state.activeTabId === tab.id) {
-                     if (tab.isDoc && state.quillView) state.quillView.root.innerHTML = newContent;
-                     else if (state.editorView) {
-                         state.editorView.dispatch({
-                             changes: { from: 0, to: state.editorView.state.doc.length, insert: newContent }
-                         });
-                     }
-                } else if (!tab.isDoc && tab.state) {
-                     tab.state = tab.state.update({
-                         changes: { from: 0, to: tab.state.doc.length, insert: newContent }
-                     }).state;
+                if (tab.isDoc) {
+                    const quill = getTabQuill(tab);
+                    if (quill) quill.root.innerHTML = newContent;
+                } else {
+                    updateTabState(tab, { changes: { from: 0, to: tab.state.doc.length, insert: newContent } });
                 }
+                syncLinkedTabs(tab);
+                updateEncodingStatus();
+                updateLineEndingStatus();
                 showStatus(`Reloaded ${getFilename(tab.path)}`);
             } catch (e) {
                 console.error("Popup File Read error", e);
@@ -100,28 +162,84 @@ export async function checkPendingReload(tab) {
     }
 }
 
+export function setTabUnsaved(tab, isUnsaved) {
+    if (tab.isUnsaved === isUnsaved) return;
+    tab.isUnsaved = isUnsaved;
+    const tabEl = document.querySelector(`.tab[data-id="${tab.id}"] .tab-dot`);
+    if (tabEl) {
+        if (isUnsaved) tabEl.classList.add('unsaved');
+        else tabEl.classList.remove('unsaved');
+    }
+}
+
+/** Copy file-level bookkeeping from `tab` to the other panes showing the same document. */
+export function syncLinkedTabs(tab) {
+    getLinkedTabs(tab).forEach(peer => {
+        peer.path = tab.path;
+        peer.title = tab.title;
+        peer.savedContent = tab.savedContent;
+        peer.encoding = tab.encoding;
+        peer.hasBom = tab.hasBom;
+        peer.lineEnding = tab.lineEnding;
+        peer.savedLineEnding = tab.savedLineEnding;
+        peer.isEncodingChosen = tab.isEncodingChosen;
+        peer.isLineEndingChosen = tab.isLineEndingChosen;
+        peer.lastModified = tab.lastModified;
+        peer.externalModified = tab.externalModified;
+        peer.isOrphaned = tab.isOrphaned;
+        setTabUnsaved(peer, tab.isUnsaved);
+    });
+}
+
+function propagateToLinkedTabs(tab, changes) {
+    getLinkedTabs(tab).forEach(peer => {
+        if (!peer.state) return;
+        const spec = { changes, annotations: [linkedEditAnnotation.of(true), Transaction.addToHistory.of(false)] };
+        const view = getTabView(peer);
+        if (view) view.dispatch(spec);
+        else peer.state = peer.state.update(spec).state;
+        setTabUnsaved(peer, tab.isUnsaved);
+    });
+}
+
+/**
+ * Apply a transaction spec to a tab's editor state. Goes through the pane view
+ * when the tab is on screen so the view and tab.state never drift apart.
+ */
+export function updateTabState(tab, spec) {
+    if (!tab || !tab.state) return;
+    const view = getTabView(tab);
+    if (view) {
+        view.dispatch(spec);
+        return;
+    }
+    const tr = tab.state.update(spec);
+    tab.state = tr.state;
+    if (tr.docChanged) propagateToLinkedTabs(tab, tr.changes);
+}
+
 export function createUpdateListener(id) {
     return EditorView.updateListener.of((update) => {
+        const tab = state.tabs.find(t => t.id === id);
+        if (tab) tab.state = update.state;
+
         if (update.docChanged) {
-            const tab = state.tabs.find(t => t.id === id);
             if (tab) {
                 const currentContent = update.state.doc.toString();
+                const isLinkedEdit = update.transactions.every(tr => !tr.docChanged || tr.annotation(linkedEditAnnotation));
                 let isNowUnsaved = true;
-                if (tab.savedContent !== null && currentContent === tab.savedContent) {
+                if (tab.savedContent !== null && currentContent === tab.savedContent && tab.lineEnding === tab.savedLineEnding) {
                     isNowUnsaved = false;
                 }
 
-                if (tab.isUnsaved !== isNowUnsaved) {
-                    tab.isUnsaved = isNowUnsaved;
-                    const tabEl = document.querySelector(`.tab[data-id="${tab.id}"] .tab-dot`);
-                    if (tabEl) {
-                        if (isNowUnsaved) tabEl.classList.add('unsaved');
-                        else tabEl.classList.remove('unsaved');
-                    }
-                }
+                setTabUnsaved(tab, isNowUnsaved);
+                journalTab(tab);
 
-                if (isNowUnsaved && state.isAutoSaveEnabled) {
-                    autoSaveDiskDebounced(tab);
+                if (!isLinkedEdit) {
+                    update.transactions.forEach(tr => {
+                        if (tr.docChanged && !tr.annotation(linkedEditAnnotation)) propagateToLinkedTabs(tab, tr.changes);
+                    });
+                    if (isNowUnsaved && getSetting('files.autoSave')) autoSaveDiskDebounced(tab);
                 }
 
                 if (state.isMarkdownPreviewEnabled && id === state.activeTabId && typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
@@ -136,11 +254,8 @@ export function createUpdateListener(id) {
                         tab.autoLanguage = newAutoExt;
                         getLanguageExtension(tab.path, currentContent).then(extensions => {
                             if (tab.autoLanguage === newAutoExt) {
-                                tab.state = applyLanguageExtensionToState(tab.state, extensions);
-                                if (state.activeTabId === tab.id && state.editorView) {
-                                    setLanguageExtension(state.editorView, extensions);
-                                    updateCursorStatus();
-                                }
+                                updateTabState(tab, { effects: languageEffect(extensions) });
+                                if (state.activeTabId === tab.id) updateCursorStatus();
                             }
                         });
                     }
@@ -155,16 +270,39 @@ export function createUpdateListener(id) {
     });
 }
 
-export async function createEditorStateFromContent(path, content, isTodo = false, isDoc = false, manualLanguage = null, id = null) {
+export async function createEditorStateFromContent(path, content, isTodo = false, isDoc = false, manualLanguage = null, id = null, { zoomLevel = null, indent = null, undoHistory = null } = {}) {
     if (isDoc) return null;
     let langPath = path;
     if (isTodo) langPath = "tasks.todo";
     const extensions = await getLanguageExtension(langPath, content, manualLanguage);
     const listeners = id ? [createUpdateListener(id)] : [];
-    return createEditorState(content || '', extensions, listeners, state.isWordWrapEnabled);
+    return createEditorState(content || '', extensions, listeners, { zoom: getZoomFactor(resolveZoomLevel(zoomLevel)), indent, undoHistory });
+}
+
+/** The indentation to record for a newly opened file, or null to follow the settings. */
+export function detectFileIndentation(content) {
+    return getSetting('editor.detectIndentation') ? detectIndentation(content) : null;
 }
 
-export async function createNewTab(path = null, content = '') {
+/**
+ * The indentation for a file opened from `path`: .editorconfig first, then
+ * `fallback` (the file's detected indentation unless given).
+ */
+export async function getFileIndentation(path, content, fallback = detectFileIndentation(content)) {
+    return getEditorConfigIndent(await loadEditorConfig(path), fallback);
+}
+
+/** Re-read the .editorconfig rules for a tab, e.g. after its path changed or an .editorconfig was saved. */
+export async function refreshTabEditorConfig(tab) {
+    if (!tab || tab.isDoc || !tab.path) return;
+    const indent = await getFileIndentation(tab.path, getTabContent(tab), tab.indent);
+    if (JSON.stringify(indent) === JSON.stringify(tab.indent)) return;
+    tab.indent = indent;
+    updateTabState(tab, { effects: indentEffect(indent) });
+    if (tab.id === state.activeTabId) updateIndentStatus();
+}
+
+export async function createNewTab(path = null, content = '', fileInfo = {}) {
     state.tabCounter++;
     const id = `tab-${state.tabCounter}`;
 
@@ -173,8 +311,10 @@ export async function createNewTab(path = null, content = '') {
 
     let editorState = null;
     let autoLanguage = null;
+    let indent = null;
     if (!isDoc) {
-        editorState = await createEditorStateFromContent(path, content, isTodo, isDoc, null, id);
+        indent = await getFileIndentation(path, content);
+        editorState = await createEditorStateFromContent(path, content, isTodo, isDoc, null, id, { indent });
         autoLanguage = detectLanguageFromContent(content);
         if (!autoLanguage && path) autoLanguage = path.split('.').pop().toLowerCase();
     }
@@ -189,6 +329,12 @@ export async function createNewTab(path = null, content = '') {
         savedContent: content,
         manualLanguage: null,
         autoLanguage,
+        encoding: fileInfo.encoding || DEFAULT_ENCODING,
+        hasBom: !!fileInfo.hasBom,
+        lineEnding: fileInfo.lineEnding || DEFAULT_LINE_ENDING,
+        savedLineEnding: fileInfo.lineEnding || DEFAULT_LINE_ENDING,
+        paneId: getActivePane().id,
+        indent,
         state: editorState
     };
 
@@ -199,93 +345,431 @@ export async function createNewTab(path = null, content = '') {
 }
 
 export function switchTab(id) {
-    if (state.editorView && state.activeTabId) {
-        const prevTab = state.tabs.find(t => t.id === state.activeTabId);
-        if (prevTab && !prevTab.isDoc) {
-            prevTab.state = state.editorView.state;
-        }
-    }
-
-    const editorContainer = document.getElementById('editor-container');
-    const quillWrapper = document.getElementById('quill-wrapper');
-    const statusCursor = document.getElementById('status-cursor');
-
     if (id === null) {
-        state.activeTabId = null;
-        if (state.editorView) {
-            state.editorView.destroy();
-            state.editorView = null;
-        }
-        if (state.quillView) {
-            quillWrapper.style.display = 'none';
-        }
-        editorContainer.style.display = 'block';
-        const mdPreview = document.getElementById('markdown-preview');
-        if (mdPreview) mdPreview.style.display = 'none';
-        state.isMarkdownPreviewEnabled = false;
-
-        updateActiveTabUI();
-        updateTitle();
-        if (statusCursor) statusCursor.textContent = '';
-        saveSessionDebounced();
+        clearPane(getActivePane());
         return;
     }
 
-    state.activeTabId = id;
     const tab = state.tabs.find(t => t.id === id);
     if (!tab) return;
+    let pane = getPane(tab.paneId);
+    if (!pane) {
+        pane = getActivePane();
+        tab.paneId = pane.id;
+    }
+
+    showTabInPane(pane, tab);
+    focusPane(pane.id);
+
+    if (tab.isDoc) {
+        if (pane.quillView) setTimeout(() => pane.quillView.focus(), 50);
+    } else if (pane.editorView) {
+        pane.editorView.focus();
+    }
+    saveSessionDebounced();
+
+    checkPendingReload(tab);
+}
+
+function scrollToPos(view, pos) {
+    view.dispatch({ effects: EditorView.scrollIntoView(Math.min(pos, view.state.doc.length), { y: 'start' }) });
+}
+
+/** Restore what getTabViewState saved. Positions past the end of the text, which may have changed since, are clamped. */
+export function applyTabViewState(tab, viewState) {
+    if (!viewState || tab.isDoc || !tab.state) return;
+    const length = tab.state.doc.length;
+    const clamp = (pos) => Math.max(0, Math.min(pos || 0, length));
+
+    const ranges = (viewState.selection?.ranges || []).map(range => EditorSelection.range(clamp(range.anchor), clamp(range.head)));
+    const effects = (viewState.folds || [])
+        .filter(([from, to]) => from < to && to <= length)
+        .map(([from, to]) => foldEffect.of({ from, to }));
+    tab.scrollPos = clamp(viewState.scrollPos);
+
+    const spec = { effects: [...effects, EditorView.scrollIntoView(tab.scrollPos, { y: 'start' })] };
+    if (ranges.length > 0) spec.selection = EditorSelection.create(ranges, Math.min(viewState.selection.main || 0, ranges.length - 1));
+    updateTabState(tab, spec);
+}
+
+function showTabInPane(pane, tab) {
+    const prevTab = state.tabs.find(t => t.id === pane.activeTabId);
+    if (prevTab && prevTab !== tab) {
+        if (prevTab.isDoc && pane.quillView) prevTab.savedContent = pane.quillView.root.innerHTML;
+        else if (!prevTab.isDoc && pane.editorView) {
+            prevTab.state = pane.editorView.state;
+            prevTab.scrollPos = getScrollPos(pane.editorView);
+        }
+    }
+    pane.activeTabId = tab.id;
+    updatePaneZoom(pane);
+
+    const editorContainer = getPaneElement(pane, '.editor-container');
+    const quillWrapper = getPaneElement(pane, '.quill-wrapper');
 
     if (tab.isDoc) {
         editorContainer.style.display = 'none';
         quillWrapper.style.display = 'flex';
 
-        if (!state.quillView) {
-            if (window.initializeQuill) window.initializeQuill();
+        if (!pane.quillView) {
+            if (window.initializeQuill) window.initializeQuill(pane);
         }
 
-        if (state.quillView) {
+        if (pane.quillView) {
             const fallback = tab.savedContent !== undefined && tab.savedContent !== null ? tab.savedContent : '';
-            state.quillView.root.innerHTML = fallback;
-            setTimeout(() => state.quillView.focus(), 50);
+            pane.quillView.root.innerHTML = fallback;
         }
     } else {
         editorContainer.style.display = 'block';
         quillWrapper.style.display = 'none';
 
-        if (state.editorView) {
-            state.editorView.setState(tab.state);
+        if (pane.editorView) {
+            pane.editorView.setState(tab.state);
         } else {
-            state.editorView = createEditorView(tab.state, editorContainer);
+            pane.editorView = createEditorView(tab.state, editorContainer);
         }
-        state.editorView.focus();
+        scrollToPos(pane.editorView, tab.scrollPos || 0);
     }
+}
+
+function clearPane(pane) {
+    pane.activeTabId = null;
+    if (pane.editorView) {
+        pane.editorView.destroy();
+        pane.editorView = null;
+    }
+    getPaneElement(pane, '.quill-wrapper').style.display = 'none';
+    getPaneElement(pane, '.editor-container').style.display = 'block';
+
+    if (state.panes.length > 1) {
+        closePane(pane.id);
+        return;
+    }
+
+    const mdPreview = getPaneElement(pane, '.markdown-preview');
+    if (mdPreview) mdPreview.style.display = 'none';
+    state.isMarkdownPreviewEnabled = false;
+
+    focusPane(pane.id);
+    const statusCursor = document.getElementById('status-cursor');
+    if (statusCursor) statusCursor.textContent = '';
+    saveSessionDebounced();
+}
+
+/** Make `paneId` the focused pane and point the global editor aliases at it. */
+export function focusPane(paneId) {
+    const pane = getPane(paneId);
+    if (!pane) return;
+
+    state.activePaneId = pane.id;
+    state.activeTabId = pane.activeTabId;
+    state.editorView = pane.editorView;
+    state.quillView = pane.quillView;
+    markFocusedPane();
+
+    state.panes.forEach(p => {
+        const preview = getPaneElement(p, '.markdown-preview');
+        if (preview) preview.style.display = p === pane && state.isMarkdownPreviewEnabled ? 'block' : 'none';
+    });
+    if (state.isMarkdownPreviewEnabled && window.renderMarkdownPreview) window.renderMarkdownPreview();
 
     updateActiveTabUI();
     updateTitle();
     updateCursorStatus();
+    updateEncodingStatus();
+    updateLineEndingStatus();
+    updateIndentStatus();
+}
+
+function bindPaneEvents(pane) {
+    pane.el.addEventListener('mousedown', () => {
+        if (state.activePaneId !== pane.id) focusPane(pane.id);
+    });
+
+    const closeBtn = pane.el.querySelector('.pane-close-btn');
+    if (closeBtn) closeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        closePane(pane.id);
+    });
+
+    if (pane.tabBarEl && pane !== state.panes[0]) {
+        pane.tabBarEl.addEventListener('dblclick', (e) => {
+            if (e.target !== pane.tabBarEl) return;
+            focusPane(pane.id);
+            createNewTab();
+        });
+    }
+}
+
+state.panes.forEach(bindPaneEvents);
+
+function addPane(afterPaneId) {
+    const pane = createPane(afterPaneId);
+    bindPaneEvents(pane);
+    return pane;
+}
+
+// Removes a tab without prompting; only used for duplicate views of a document
+function discardTab(tab) {
+    const index = state.tabs.indexOf(tab);
+    if (index !== -1) state.tabs.splice(index, 1);
+}
+
+async function cloneTab(source, paneId) {
+    state.tabCounter++;
+    const id = `tab-${state.tabCounter}`;
+    source.docId = source.docId || source.id;
+
+    const editorState = await createEditorStateFromContent(source.path, source.state.doc.toString(), source.isTodo, false, source.manualLanguage, id, { zoomLevel: source.zoomLevel, indent: source.indent });
+    const clone = {
+        ...source,
+        id,
+        paneId,
+        autoSaveTimeout: null,
+        state: editorState
+    };
+    const sourceIndex = state.tabs.indexOf(source);
+    state.tabs.splice(sourceIndex + 1, 0, clone);
+    return clone;
+}
+
+/**
+ * Split the pane holding `tabId` and open the document in the new pane.
+ * Text documents are mirrored with shared edits; rich-text documents move instead.
+ */
+export async function splitPane(direction = 'horizontal', tabId = state.activeTabId) {
+    const source = state.tabs.find(t => t.id === tabId);
+    if (!source) return;
+    if (source.isDoc && getPaneTabs(source.paneId).length < 2) {
+        showStatus('Nothing left to split');
+        return;
+    }
+
+    state.splitDirection = direction;
+    const pane = addPane(source.paneId);
+    layoutPanes();
+
+    if (source.isDoc) {
+        moveTabToPane(source.id, pane.id);
+    } else {
+        const clone = await cloneTab(source, pane.id);
+        renderTabs();
+        switchTab(clone.id);
+    }
     saveSessionDebounced();
-    
-    checkPendingReload(tab);
 }
 
-export async function closeTab(id, forceClose = false, multipleFiles = false) {
+/**
+ * Close a pane, folding its tabs into the neighbouring pane. The first pane owns
+ * the title bar tab strip, so it absorbs the next pane instead of disappearing.
+ */
+export function closePane(paneId) {
+    const pane = getPane(paneId);
+    if (!pane || state.panes.length < 2) return;
+
+    const index = state.panes.indexOf(pane);
+    const keep = index === 0 ? pane : state.panes[index - 1];
+    const drop = index === 0 ? state.panes[1] : pane;
+    const preferredId = index === 0 ? drop.activeTabId : keep.activeTabId;
+
+    const dropActive = state.tabs.find(t => t.id === drop.activeTabId);
+    if (dropActive && dropActive.isDoc && drop.quillView) dropActive.savedContent = drop.quillView.root.innerHTML;
+
+    getPaneTabs(drop.id).forEach(t => {
+        if (getLinkedTabs(t).some(peer => peer.paneId === keep.id)) discardTab(t);
+        else t.paneId = keep.id;
+    });
+    destroyPane(drop.id);
+
+    const keepTabs = getPaneTabs(keep.id);
+    const preferred = state.tabs.find(t => t.id === preferredId && t.paneId === keep.id);
+    const next = preferred || keepTabs.find(t => t.id === keep.activeTabId) || keepTabs[0];
+
+    renderTabs();
+    if (next) switchTab(next.id);
+    else {
+        focusPane(keep.id);
+        switchTab(null);
+    }
+    saveSessionDebounced();
+}
+
+/** Move a tab within or between panes, optionally placing it next to `targetTabId`. */
+export function moveTabToPane(tabId, paneId, targetTabId = null, placeAfter = false) {
+    const tab = state.tabs.find(t => t.id === tabId);
+    const targetPane = getPane(paneId);
+    if (!tab || !targetPane) return;
+    const sourcePane = getPane(tab.paneId);
+
+    state.tabs.splice(state.tabs.indexOf(tab), 1);
+    let insertAt = state.tabs.length;
+    const targetIndex = targetTabId ? state.tabs.findIndex(t => t.id === targetTabId) : -1;
+    if (targetIndex !== -1) {
+        insertAt = placeAfter ? targetIndex + 1 : targetIndex;
+    } else {
+        const lastInPane = state.tabs.map(t => t.paneId).lastIndexOf(targetPane.id);
+        if (lastInPane !== -1) insertAt = lastInPane + 1;
+    }
+    state.tabs.splice(insertAt, 0, tab);
+
+    if (sourcePane === targetPane) {
+        renderTabs();
+        saveSessionDebounced();
+        return;
+    }
+
+    // A pane never holds two views of the same document
+    const twin = getLinkedTabs(tab).find(t => t.paneId === targetPane.id);
+    const wasShown = sourcePane && sourcePane.activeTabId === tab.id;
+    if (wasShown && tab.isDoc && sourcePane.quillView) tab.savedContent = sourcePane.quillView.root.innerHTML;
+
+    if (twin) discardTab(tab);
+    else tab.paneId = targetPane.id;
+
+    if (wasShown) {
+        const remaining = getPaneTabs(sourcePane.id);
+        if (remaining.length > 0) showTabInPane(sourcePane, remaining[remaining.length - 1]);
+        else {
+            sourcePane.activeTabId = null;
+            if (sourcePane.editorView) {
+                sourcePane.editorView.destroy();
+                sourcePane.editorView = null;
+            }
+        }
+    }
+
+    renderTabs();
+    switchTab(twin ? twin.id : tab.id);
+    if (sourcePane && getPaneTabs(sourcePane.id).length === 0) closePane(sourcePane.id);
+    saveSessionDebounced();
+}
+
+/** Recreate saved split panes; returns a map from saved pane ids to live ones. */
+export function restorePaneLayout(layout) {
+    const paneIds = { [state.panes[0].id]: state.panes[0].id };
+    if (!layout || !Array.isArray(layout.panes) || layout.panes.length === 0) return paneIds;
+
+    state.splitDirection = layout.direction === 'vertical' ? 'vertical' : 'horizontal';
+    let previous = state.panes[0];
+    layout.panes.forEach((saved, index) => {
+        const pane = index === 0 ? state.panes[0] : addPane(previous.id);
+        pane.size = saved.size > 0 ? saved.size : 1;
+        paneIds[saved.id] = pane.id;
+        previous = pane;
+    });
+    layoutPanes();
+    return paneIds;
+}
+
+/** Show each restored pane's last active tab and drop panes that came back empty. */
+export function showRestoredPanes(layout, paneIds) {
+    const savedPanes = layout && Array.isArray(layout.panes) ? layout.panes : [];
+    [...state.panes].reverse().forEach(pane => {
+        if (!state.panes.includes(pane)) return;
+        const tabs = getPaneTabs(pane.id);
+        if (tabs.length === 0) {
+            if (state.panes.length > 1) closePane(pane.id);
+            return;
+        }
+        const saved = savedPanes.find(p => paneIds[p.id] === pane.id);
+        const active = tabs.find(t => saved && t.id === saved.activeTabId) || tabs[0];
+        switchTab(active.id);
+    });
+}
+
+export function changeLineEnding(lineEnding) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab || tab.isDoc || tab.lineEnding === lineEnding) return;
+
+    tab.lineEnding = lineEnding;
+    // Kept when saving, whatever .editorconfig says
+    tab.isLineEndingChosen = true;
+    setTabUnsaved(tab, tab.lineEnding !== tab.savedLineEnding || getTabContent(tab) !== tab.savedContent);
+    syncLinkedTabs(tab);
+
+    if (tab.isUnsaved && getSetting('files.autoSave')) autoSaveDiskDebounced(tab);
+    updateLineEndingStatus();
+    saveSessionDebounced();
+    showStatus(`Line endings set to ${lineEnding}`);
+}
+
+/** Set the indentation of the active tab and its linked tabs; null goes back to the settings. */
+export function changeIndentation(indent) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab || tab.isDoc) return;
+
+    [tab, ...getLinkedTabs(tab)].forEach(t => {
+        t.indent = indent;
+        updateTabState(t, { effects: indentEffect(indent) });
+    });
+    updateIndentStatus();
+    saveSessionDebounced();
+    showStatus(`Indentation: ${describeIndent(indent)}`);
+}
+
+/** Ask for an indentation width and indent the active tab with tabs or spaces of that width. */
+export async function promptIndentation(useTabs) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab || tab.isDoc) return;
+
+    const current = resolveIndent(tab.indent).size;
+    const answer = await askInputUI(useTabs ? 'Tab Size' : 'Indent Size (spaces)', String(current), '1-16');
+    if (answer === null) return;
+    const size = Number(answer.trim());
+    if (!Number.isInteger(size) || size < 1 || size > 16) {
+        showStatus(`Invalid indent size: ${answer}`);
+        return;
+    }
+    changeIndentation({ useTabs, size });
+}
+
+export function detectTabIndentation() {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab || tab.isDoc) return;
+    changeIndentation(detectIndentation(getTabContent(tab)));
+}
+
+/** Rewrite the leading whitespace of the active document as tabs or spaces and indent with that from now on. */
+export function convertTabIndentation(useTabs) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab || tab.isDoc) return;
+
+    const from = resolveIndent(tab.indent);
+    const to = { useTabs, size: from.size };
+    const content = tab.state.doc.toString();
+    const converted = convertIndentation(content, from, to);
+    if (converted !== content) {
+        updateTabState(tab, { changes: { from: 0, to: content.length, insert: converted } });
+    }
+    changeIndentation(to);
+}
+
+/** Reindent every line of the active document using its language's indentation rules. */
+export function reindentDocument() {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab || tab.isDoc) return;
+
+    const changes = indentRange(tab.state, 0, tab.state.doc.length);
+    if (changes.empty) {
+        showStatus('Nothing to reindent');
+        return;
+    }
+    updateTabState(tab, { changes, userEvent: 'input.indent' });
+    showStatus('Document reindented');
+}
+
+export async function closeTab(id, forceClose = false, multipleFiles = false, rememberClosed = true) {
     const tabIndex = state.tabs.findIndex(t => t.id === id);
     if (tabIndex === -1) return false;
     const tab = state.tabs[tabIndex];
 
     let result = 'closed';
 
-    if (tab.isUnsaved) {
+    // Another pane still shows this document, so nothing is lost by closing this view
+    if (tab.isUnsaved && getLinkedTabs(tab).length === 0) {
         let askPrompt = true;
 
-        let content = '';
-        if (tab.isDoc) {
-            content = (tab.id === state.activeTabId && state.quillView) ? state.quillView.root.innerHTML : (tab.savedContent || '');
-        } else {
-            content = (tab.id === state.activeTabId && state.editorView)
-                ? state.editorView.state.doc.toString()
-                : tab.state.doc.toString();
-        }
+        const content = getTabContent(tab);
 
         if (!tab.path) {
             const cleanContent = content.trim();
@@ -294,7 +778,7 @@ export async function closeTab(id, forceClose = false, multipleFiles = false) {
             }
         }
 
-        if (tab.path && window.__TAURI__) {
+        if (tab.path && window.__TAURI__ && !tab.isOrphaned) {
             try {
                 const exists = await window.__TAURI__.fs.exists(tab.path);
                 if (!exists) askPrompt = false;
@@ -333,19 +817,18 @@ export async function closeTab(id, forceClose = false, multipleFiles = false) {
     const newTabIndex = state.tabs.findIndex(t => t.id === id);
     if (newTabIndex === -1) return false;
 
-    if (!window.isRestoringTab) {
+    if (!window.isRestoringTab && rememberClosed) {
         const closedTabInfo = {
             path: tab.path,
             title: tab.title,
             isTodo: tab.isTodo,
             isDoc: tab.isDoc,
             manualLanguage: tab.manualLanguage,
+            encoding: tab.encoding,
+            hasBom: tab.hasBom,
+            lineEnding: tab.lineEnding,
         };
-        if (tab.isDoc) {
-            closedTabInfo.content = (tab.id === state.activeTabId && state.quillView) ? state.quillView.root.innerHTML : (tab.savedContent || '');
-        } else {
-            closedTabInfo.content = (tab.id === state.activeTabId && state.editorView) ? state.editorView.state.doc.toString() : tab.state.doc.toString();
-        }
+        closedTabInfo.content = getTabContent(tab);
 
         if (currentCloseBatch !== null) {
             currentCloseBatch.push(closedTabInfo);
@@ -355,12 +838,17 @@ export async function closeTab(id, forceClose = false, multipleFiles = false) {
         }
     }
 
+    const pane = getPane(tab.paneId) || getActivePane();
+    const paneIndex = getPaneTabs(pane.id).indexOf(tab);
     state.tabs.splice(newTabIndex, 1);
-    if (state.tabs.length === 0) {
+    const paneTabs = getPaneTabs(pane.id);
+    if (paneTabs.length === 0) {
+        renderTabs();
+        if (pane.id !== state.activePaneId) focusPane(pane.id);
         switchTab(null);
-    } else if (state.activeTabId === id) {
+    } else if (pane.activeTabId === id) {
         renderTabs();
-        const nextTab = state.tabs[Math.max(0, newTabIndex - 1)];
+        const nextTab = paneTabs[Math.max(0, paneIndex - 1)];
         switchTab(nextTab.id);
     } else {
         renderTabs();
@@ -369,6 +857,13 @@ export async function closeTab(id, forceClose = false, multipleFiles = false) {
     return result;
 }
 
+/** Close every tab without asking, once their content is stored elsewhere (e.g. in a workspace being switched away from). */
+export async function discardAllTabs() {
+    for (const tab of [...state.tabs]) {
+        await closeTab(tab.id, true, false, false);
+    }
+}
+
 export async function closeMultipleTabs(tabsToClose) {
     const { saveFile } = await import('./file-io.js');
     const unsavedTabs = tabsToClose.filter(t => t.isUnsaved);
@@ -418,6 +913,11 @@ export async function spawnTodoList() {
         savedContent: initialContent,
         manualLanguage: null,
         autoLanguage: "todo",
+        encoding: DEFAULT_ENCODING,
+        hasBom: false,
+        lineEnding: DEFAULT_LINE_ENDING,
+        savedLineEnding: DEFAULT_LINE_ENDING,
+        paneId: getActivePane().id,
         state: editorState
     };
 
@@ -449,6 +949,11 @@ export async function spawnDocProcess() {
         savedContent: initialContent,
         manualLanguage: null,
         autoLanguage: null,
+        encoding: DEFAULT_ENCODING,
+        hasBom: false,
+        lineEnding: DEFAULT_LINE_ENDING,
+        savedLineEnding: DEFAULT_LINE_ENDING,
+        paneId: getActivePane().id,
         state: null
     };
 
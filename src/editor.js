@@ -1,56 +1,45 @@
-import { EditorState, Compartment, StateEffect } from "@codemirror/state";
+import { EditorState, EditorSelection, Compartment, StateEffect } from "@codemirror/state";
 import { EditorView, lineNumbers, highlightActiveLineGutter, highlightSpecialChars, drawSelection, dropCursor, rectangularSelection, crosshairCursor, highlightActiveLine, keymap } from "@codemirror/view";
-import { defaultKeymap, history, historyKeymap } from "@codemirror/commands";
+import { defaultKeymap, history, historyField, historyKeymap } from "@codemirror/commands";
 import { searchKeymap, highlightSelectionMatches } from "@codemirror/search";
-import { syntaxHighlighting, HighlightStyle, bracketMatching, foldGutter, foldKeymap, indentOnInput, StreamLanguage } from "@codemirror/language";
+import { bracketMatching, foldGutter, foldKeymap, indentOnInput, indentUnit, StreamLanguage } from "@codemirror/language";
 import { closeBrackets, autocompletion, closeBracketsKeymap, completionKeymap } from "@codemirror/autocomplete";
-import { tags as t } from "@lezer/highlight";
 import { rainbowCsvExtension } from "./csv.js";
+import { getSetting } from "./settings.js";
+import { resolveIndent } from "./indentation.js";
 
 // Languages unloaded by default to reduce boot time
 
 export const wordWrapCompartment = new Compartment();
 export const languageCompartment = new Compartment();
+export const keymapCompartment = new Compartment();
+const themeCompartment = new Compartment();
+// Driven by settings.json; see editorSettingsEffects()
+const fontCompartment = new Compartment();
+const indentCompartment = new Compartment();
+const lineNumbersCompartment = new Compartment();
+const activeLineCompartment = new Compartment();
 
-const cyberpunkHighlightStyle = HighlightStyle.define([
-    { tag: [t.keyword, t.controlKeyword, t.moduleKeyword], color: "#FF79C6", fontWeight: "bold" },
-    { tag: [t.string, t.special(t.string), t.inserted], color: "#50FA7B" },
-    { tag: [t.meta, t.comment, t.lineComment, t.blockComment], color: "#6272A4", fontStyle: "italic" },
-    { tag: [t.number, t.bool, t.null, t.changed, t.className], color: "#FFB86C" },
-    { tag: [t.operator, t.operatorKeyword, t.punctuation, t.derefOperator], color: "#FF79C6" },
-    { tag: [t.function(t.variableName), t.function(t.propertyName), t.definition(t.name)], color: "#8BE9FD" },
-    { tag: [t.variableName, t.propertyName, t.name], color: "#F8F8F2" },
-    { tag: [t.typeName, t.typeOperator, t.standard(t.name)], color: "#8BE9FD", fontStyle: "italic" },
-    { tag: [t.special(t.variableName), t.macroName, t.local(t.variableName)], color: "#BD93F9" },
-    { tag: t.invalid, color: "#F8F8F0", backgroundColor: "#FF79C6" }
-]);
+// CodeMirror's own shortcuts. App command bindings are placed in front of them, so a rebound key wins.
+export const builtinKeymap = [
+    ...closeBracketsKeymap,
+    ...defaultKeymap,
+    ...searchKeymap,
+    ...historyKeymap,
+    ...foldKeymap,
+    ...completionKeymap
+];
+let commandKeymap = [];
+let themeExtension = [];
 
-const customTheme = EditorView.theme({
+// Layout of the editor chrome; its colors come from the active theme (see themes.js)
+const layoutTheme = EditorView.theme({
     "&": {
-        backgroundColor: "#000000 !important",
-        color: "#ABB2BF",
-        height: "100%",
-        fontSize: "14.5px",
-        fontFamily: "'JetBrains Mono', 'Consolas', monospace"
-    },
-    ".cm-content": {
-        caretColor: "#528BFF"
-    },
-    "&.cm-focused .cm-cursor": {
-        borderLeftColor: "#528BFF"
-    },
-    "&.cm-focused .cm-selectionBackground, .cm-selectionBackground, .cm-content ::selection": {
-        backgroundColor: "rgba(59, 130, 246, 0.4)"
+        height: "100%"
     },
     ".cm-panels": {
-        backgroundColor: "#14171c",
-        color: "#f0f0f0",
-        borderTop: "1px solid #ffffff10 !important",
         fontFamily: "'Inter', system-ui, sans-serif"
     },
-    ".cm-panels.cm-panels-bottom": {
-        borderTop: "1px solid #ffffff10"
-    },
     ".cm-search": {
         padding: "8px 12px",
         display: "flex",
@@ -59,22 +48,14 @@ const customTheme = EditorView.theme({
         gap: "8px"
     },
     ".cm-search input": {
-        backgroundColor: "#0f1115",
-        border: "1px solid #ffffff10",
-        color: "#f0f0f0",
         borderRadius: "4px",
         padding: "4px 8px",
         fontSize: "13px",
         outline: "none",
         transition: "border-color 0.15s"
     },
-    ".cm-search input:focus": {
-        borderColor: "#3b82f6"
-    },
     ".cm-search button": {
         backgroundColor: "transparent",
-        color: "#8b92a5",
-        border: "1px solid #ffffff10",
         borderRadius: "4px",
         padding: "4px 10px",
         fontSize: "12px",
@@ -87,22 +68,12 @@ const customTheme = EditorView.theme({
         position: "absolute",
         top: "8px",
         right: "8px",
-        border: "none",
         fontSize: "16px",
         padding: "0 6px",
-        color: "#8b92a5",
         textTransform: "none"
     },
-    ".cm-search button[name=close]:hover": {
-        color: "#FF5555"
-    },
-    ".cm-search button:hover": {
-        backgroundColor: "#ffffff0a",
-        color: "#f0f0f0"
-    },
     ".cm-search label": {
         fontSize: "12px",
-        color: "#8b92a5",
         display: "flex",
         alignItems: "center",
         gap: "4px",
@@ -110,76 +81,84 @@ const customTheme = EditorView.theme({
         textTransform: "capitalize"
     },
     ".cm-search input[type=checkbox]": {
-        accentColor: "#3b82f6",
         cursor: "pointer"
     },
-    ".cm-searchMatch": {
-        backgroundColor: "#3b82f630"
-    },
     ".cm-searchMatch.cm-searchMatch-selected": {
-        backgroundColor: "#3b82f660",
-        color: "#f0f0f0",
-        outline: "1px solid #3b82f6",
         outlineOffset: "-1px"
     },
-    ".cm-activeLine": {
-        backgroundColor: "rgba(255, 255, 255, 0.08)"
-    },
-    ".cm-activeLineGutter": {
-        backgroundColor: "rgba(255, 255, 255, 0.08)",
-        color: "#C678DD"
-    },
-    ".cm-gutters": {
-        backgroundColor: "#000000",
-        color: "#4B5263",
-        border: "none",
-        borderRight: "1px solid #181A1F"
-    },
     ".cm-foldPlaceholder": {
         backgroundColor: "transparent",
-        border: "none",
-        color: "#528BFF"
+        border: "none"
     }
-}, { dark: true });
+});
 
-export function createEditorState(initialDoc, langExtensions = [], otherExtensions = [], isWordWrapEnabled = false) {
-    return EditorState.create({
-        doc: initialDoc,
-        extensions: [
-            lineNumbers(),
-            highlightActiveLineGutter(),
-            highlightSpecialChars(),
-            history(),
-            foldGutter(),
-            drawSelection(),
-            dropCursor(),
-            EditorState.allowMultipleSelections.of(true),
-            indentOnInput(),
-            bracketMatching(),
-            closeBrackets(),
-            autocompletion(),
-            rectangularSelection(),
-            crosshairCursor(),
-            highlightActiveLine(),
-            highlightSelectionMatches(),
-            keymap.of([
-                ...closeBracketsKeymap,
-                ...defaultKeymap,
-                ...searchKeymap,
-                ...historyKeymap,
-                ...foldKeymap,
-                ...completionKeymap
-            ]),
-            syntaxHighlighting(cyberpunkHighlightStyle, { fallback: true }),
-            customTheme,
-            wordWrapCompartment.of(isWordWrapEnabled ? EditorView.lineWrapping : []),
-            languageCompartment.of(langExtensions),
-            ...otherExtensions,
-            ...rainbowCsvExtension()
-        ]
+// `zoom` scales the font size, e.g. 1.2 for 120%
+function fontExtension(zoom) {
+    const ligatures = getSetting('editor.fontLigatures');
+    return EditorView.theme({
+        ".cm-scroller": {
+            fontFamily: getSetting('editor.fontFamily'),
+            fontSize: `${Math.round(getSetting('editor.fontSize') * zoom * 10) / 10}px`,
+            lineHeight: String(getSetting('editor.lineHeight')),
+            fontVariantLigatures: ligatures ? "normal" : "none",
+            fontFeatureSettings: ligatures ? "normal" : '"liga" 0, "calt" 0'
+        }
     });
 }
 
+// `indent` is the tab's own { useTabs, size }, or null to follow the settings
+function indentExtension(indent) {
+    const { useTabs, size } = resolveIndent(indent);
+    return [EditorState.tabSize.of(size), indentUnit.of(useTabs ? '\t' : ' '.repeat(size))];
+}
+
+function lineNumbersExtension() {
+    return getSetting('editor.lineNumbers') ? [lineNumbers(), highlightActiveLineGutter()] : [];
+}
+
+function activeLineExtension() {
+    return getSetting('editor.highlightActiveLine') ? highlightActiveLine() : [];
+}
+
+export function createEditorState(initialDoc, langExtensions = [], otherExtensions = [], { zoom = 1, indent = null, undoHistory = null } = {}) {
+    const extensions = [
+        lineNumbersCompartment.of(lineNumbersExtension()),
+        highlightSpecialChars(),
+        history(),
+        foldGutter(),
+        drawSelection(),
+        dropCursor(),
+        EditorState.allowMultipleSelections.of(true),
+        indentOnInput(),
+        bracketMatching(),
+        closeBrackets(),
+        autocompletion(),
+        rectangularSelection(),
+        crosshairCursor(),
+        activeLineCompartment.of(activeLineExtension()),
+        highlightSelectionMatches(),
+        keymapCompartment.of(keymap.of([...commandKeymap, ...builtinKeymap])),
+        themeCompartment.of(themeExtension),
+        layoutTheme,
+        fontCompartment.of(fontExtension(zoom)),
+        indentCompartment.of(indentExtension(indent)),
+        wordWrapCompartment.of(getSetting('editor.wordWrap') ? EditorView.lineWrapping : []),
+        languageCompartment.of(langExtensions),
+        ...otherExtensions,
+        ...rainbowCsvExtension()
+    ];
+    if (undoHistory) {
+        // A saved history from undo-history.js, recorded against this same text
+        try {
+            const json = { doc: initialDoc, selection: EditorSelection.single(0).toJSON(), history: undoHistory };
+            return EditorState.fromJSON(json, { extensions }, { history: historyField });
+        } catch (e) {
+            console.warn('Could not restore undo history', e);
+        }
+    }
+    return EditorState.create({ doc: initialDoc, extensions });
+}
+
 export function createEditorView(state, parent) {
     return new EditorView({
         state,
@@ -333,26 +312,48 @@ export async function getLanguageExtension(filename, content = '', manualExt = n
     }
 }
 
-export function toggleLineWrapping(view, isEnabled) {
-    view.dispatch({
-        effects: wordWrapCompartment.reconfigure(isEnabled ? EditorView.lineWrapping : [])
-    });
+// Reconfiguration effects; dispatch them through updateTabState so split panes stay in sync
+export function lineWrappingEffect(isEnabled) {
+    return wordWrapCompartment.reconfigure(isEnabled ? EditorView.lineWrapping : []);
 }
 
-export function applyLineWrappingToState(state, isEnabled) {
-    return state.update({
-        effects: wordWrapCompartment.reconfigure(isEnabled ? EditorView.lineWrapping : [])
-    }).state;
+/** Bring an editor in line with the current editor.* settings, at the tab's zoom factor and indentation. */
+export function editorSettingsEffects(zoom = 1, indent = null) {
+    return [
+        fontCompartment.reconfigure(fontExtension(zoom)),
+        indentCompartment.reconfigure(indentExtension(indent)),
+        lineNumbersCompartment.reconfigure(lineNumbersExtension()),
+        activeLineCompartment.reconfigure(activeLineExtension()),
+        lineWrappingEffect(getSetting('editor.wordWrap'))
+    ];
 }
 
-export function setLanguageExtension(view, extensions) {
-    view.dispatch({
-        effects: languageCompartment.reconfigure(extensions)
-    });
+export function fontEffect(zoom) {
+    return fontCompartment.reconfigure(fontExtension(zoom));
+}
+
+export function indentEffect(indent) {
+    return indentCompartment.reconfigure(indentExtension(indent));
+}
+
+/** Set the command bindings used by new editors; pair with keymapEffect() for open ones. */
+export function setCommandKeymap(bindings) {
+    commandKeymap = bindings;
+}
+
+export function keymapEffect() {
+    return keymapCompartment.reconfigure(keymap.of([...commandKeymap, ...builtinKeymap]));
+}
+
+/** Set the color theme used by new editors; pair with themeEffect() for open ones. */
+export function setEditorTheme(extension) {
+    themeExtension = extension;
+}
+
+export function themeEffect() {
+    return themeCompartment.reconfigure(themeExtension);
 }
 
-export function applyLanguageExtensionToState(state, extensions) {
-    return state.update({
-        effects: languageCompartment.reconfigure(extensions)
-    }).state;
+export function languageEffect(extensions) {
+    return languageCompartment.reconfigure(extensions);
 }
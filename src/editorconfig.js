@@ -0,0 +1,228 @@
+// editorconfig.js — .editorconfig support (https://editorconfig.org)
+// Files are found by walking up from the opened file's directory until a file
+// with `root = true`. Nearer files and later sections win. The indentation is
+// applied when a tab opens; the other properties are enforced when saving (see save-actions.js).
+import { state } from './state.js';
+import { invoke } from './tauri-bridge.js';
+import { getParentDir, joinPath, getRelativePath, isPathWithin } from './utils.js';
+
+const CONFIG_NAME = '.editorconfig';
+
+// Path → { config, mtime } for each .editorconfig looked up; config and mtime
+// are null when a directory has none
+const configCache = new Map();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile an editorconfig section glob to a RegExp source. Numeric ranges such as
+ * {1..3} become capture groups whose bounds are pushed onto `ranges`.
+ */
+function globSource(glob, ranges) {
+    let source = '';
+    let braceDepth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' spans zero or more directories, any other '**' everything below
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i++;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (set[0] === '!') set = '^' + set.slice(1);
+            source += `[${set}]`;
+            i = end;
+        } else if (c === '{') {
+            const end = glob.indexOf('}', i);
+            const range = end === -1 ? null : /^(-?\d+)\.\.(-?\d+)$/.exec(glob.slice(i + 1, end));
+            if (range) {
+                ranges.push([Number(range[1]), Number(range[2])]);
+                source += '([+-]?\\d+)';
+                i = end;
+            } else if (end === -1 || !glob.slice(i + 1, end).includes(',')) {
+                // A brace without alternatives is literal
+                source += '\\{';
+            } else {
+                source += '(?:';
+                braceDepth++;
+            }
+        } else if (c === ',' && braceDepth > 0) {
+            source += '|';
+        } else if (c === '}' && braceDepth > 0) {
+            source += ')';
+            braceDepth--;
+        } else if (c === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else {
+            source += escapeRegExp(c);
+        }
+    }
+    return source;
+}
+
+/** Compile a section name; `relPath` is matched relative to the .editorconfig directory. */
+function compileSection(glob) {
+    const ranges = [];
+    // Without a slash the glob matches the file name at any depth
+    const pattern = glob.includes('/') ? glob.replace(/^\//, '') : `**/${glob}`;
+    const regex = new RegExp(`^${globSource(pattern, ranges)}$`);
+    return (relPath) => {
+        const match = regex.exec(relPath);
+        if (!match) return false;
+        return ranges.every(([min, max], i) => {
+            const n = Number(match[i + 1]);
+            return n >= Math.min(min, max) && n <= Math.max(min, max);
+        });
+    };
+}
+
+/** Parse the text of an .editorconfig file. Keys and values are lowercased, as the spec asks. */
+export function parseEditorConfig(text) {
+    const config = { root: false, sections: [] };
+    let section = null;
+    for (let line of text.split(/\r?\n/)) {
+        line = line.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+
+        const header = /^\[(.+)\]$/.exec(line);
+        if (header) {
+            section = { matches: compileSection(header[1]), props: {} };
+            config.sections.push(section);
+            continue;
+        }
+
+        const eq = line.indexOf('=');
+        if (eq === -1) continue;
+        const key = line.slice(0, eq).trim().toLowerCase();
+        const value = line.slice(eq + 1).trim().toLowerCase();
+        if (section) section.props[key] = value;
+        else if (key === 'root') config.root = value === 'true';
+    }
+    return config;
+}
+
+async function getModifiedTime(path) {
+    try {
+        // Milliseconds, so a file edited twice within a second is still read again
+        return await invoke('get_file_modified_ms', { path });
+    } catch (e) {
+        return null;
+    }
+}
+
+// A cached file is used while its mtime is unchanged, so files edited, created or
+// deleted outside LightPad are picked up the next time a tab looks them up
+async function readConfig(path) {
+    const mtime = await getModifiedTime(path);
+    const cached = configCache.get(path);
+    if (cached && cached.mtime === mtime) return cached.config;
+    let config = null;
+    try {
+        if (mtime !== null) {
+            config = parseEditorConfig(await window.__TAURI__.fs.readTextFile(path));
+        }
+    } catch (e) {
+        console.warn(`Could not read ${path}`, e);
+    }
+    configCache.set(path, { config, mtime });
+    return config;
+}
+
+/**
+ * The editorconfig properties that apply to the file at `path`, or null when no
+ * .editorconfig covers it. `unset` removes a property set by an outer file.
+ */
+export async function loadEditorConfig(path) {
+    if (!path || !window.__TAURI__) return null;
+
+    const found = [];
+    let dir = getParentDir(path);
+    while (true) {
+        const configPath = joinPath(dir, CONFIG_NAME);
+        const config = await readConfig(configPath);
+        if (config) {
+            found.unshift({ dir, config });
+            if (config.root) break;
+        }
+        const parent = getParentDir(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+    if (found.length === 0) return null;
+
+    const props = {};
+    for (const { dir, config } of found) {
+        const relPath = getRelativePath(dir, path);
+        for (const section of config.sections) {
+            if (section.matches(relPath)) Object.assign(props, section.props);
+        }
+    }
+    for (const key of Object.keys(props)) {
+        if (props[key] === 'unset') delete props[key];
+    }
+    return Object.keys(props).length > 0 ? props : null;
+}
+
+/**
+ * The tab indentation ({ useTabs, size }) for `props`, layered over the `detected`
+ * one. Returns `detected` when the properties say nothing about indentation.
+ */
+export function getEditorConfigIndent(props, detected = null) {
+    if (!props) return detected;
+    const style = props.indent_style;
+    const tabWidth = parseInt(props.tab_width, 10) || null;
+    const indentSize = props.indent_size === 'tab' ? tabWidth : (parseInt(props.indent_size, 10) || null);
+    if (style !== 'tab' && style !== 'space' && !indentSize && !tabWidth) return detected;
+
+    const useTabs = style === 'tab' || style === 'space' ? style === 'tab' : (detected ? detected.useTabs : null);
+    const size = (useTabs ? tabWidth || indentSize : indentSize || tabWidth) || (detected ? detected.size : null);
+    return { useTabs, size };
+}
+
+const LINE_ENDINGS = { lf: 'LF', crlf: 'CRLF', cr: 'CR' };
+const CHARSETS = {
+    'utf-8': { encoding: 'utf-8', hasBom: false },
+    'utf-8-bom': { encoding: 'utf-8', hasBom: true },
+    'utf-16le': { encoding: 'utf-16le', hasBom: true },
+    'utf-16be': { encoding: 'utf-16be', hasBom: true },
+    'latin1': { encoding: 'iso-8859-1', hasBom: false }
+};
+
+/** The line ending, encoding and BOM that `props` require, null for those it leaves alone. */
+export function getEditorConfigFileFormat(props) {
+    const charset = CHARSETS[props.charset] || null;
+    return {
+        lineEnding: LINE_ENDINGS[props.end_of_line] || null,
+        encoding: charset ? charset.encoding : null,
+        hasBom: charset ? charset.hasBom : null
+    };
+}
+
+/** Saving an .editorconfig in a tab drops the cached copy and re-applies it to open files. */
+export async function handleEditorConfigSaved(path) {
+    if (!path || !/[\\/]\.editorconfig$/.test(path)) return;
+    configCache.delete(path);
+    const dir = getParentDir(path);
+    const { refreshTabEditorConfig } = await import('./editor-manager.js');
+    for (const tab of state.tabs) {
+        if (tab.path && !tab.isDoc && isPathWithin(tab.path, dir)) await refreshTabEditorConfig(tab);
+    }
+}
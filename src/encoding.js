@@ -0,0 +1,176 @@
+// encoding.js — Text encoding detection and round-tripping for files on disk
+import { invoke, readBinaryFile } from './tauri-bridge.js';
+
+export const DEFAULT_ENCODING = 'utf-8';
+
+export const supportedEncodings = [
+    { name: 'UTF-8', encoding: 'utf-8', hasBom: false },
+    { name: 'UTF-8 with BOM', encoding: 'utf-8', hasBom: true },
+    { name: 'UTF-16 LE', encoding: 'utf-16le', hasBom: true },
+    { name: 'UTF-16 BE', encoding: 'utf-16be', hasBom: true },
+    { name: 'Windows-1252', encoding: 'windows-1252', hasBom: false },
+    { name: 'ISO-8859-1', encoding: 'iso-8859-1', hasBom: false }
+];
+
+const BOMS = {
+    'utf-8': [0xEF, 0xBB, 0xBF],
+    'utf-16le': [0xFF, 0xFE],
+    'utf-16be': [0xFE, 0xFF]
+};
+
+// Windows-1252 only differs from Latin-1 in 0x80–0x9F (undefined slots map straight through)
+const CP1252_HIGH = [
+    0x20AC, 0x0081, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021,
+    0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x008D, 0x017D, 0x008F,
+    0x0090, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014,
+    0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x009D, 0x017E, 0x0178
+];
+const CP1252_REVERSE = new Map(CP1252_HIGH.map((code, i) => [code, 0x80 + i]));
+
+function startsWithBom(bytes, encoding) {
+    const bom = BOMS[encoding];
+    if (!bom || bytes.length < bom.length) return false;
+    return bom.every((b, i) => bytes[i] === b);
+}
+
+function isValidUtf8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+export function getEncodingLabel(encoding = DEFAULT_ENCODING, hasBom = false) {
+    if (encoding === 'utf-8') return hasBom ? 'UTF-8 with BOM' : 'UTF-8';
+    const match = supportedEncodings.find(e => e.encoding === encoding);
+    return match ? match.name : encoding.toUpperCase();
+}
+
+/**
+ * Guess the encoding of raw file bytes.
+ * BOMs win outright; otherwise BOM-less UTF-16 is spotted by its zero-byte
+ * pattern, strict UTF-8 validation is tried next and Windows-1252 is the fallback.
+ */
+export function detectEncoding(bytes) {
+    for (const encoding of ['utf-8', 'utf-16le', 'utf-16be']) {
+        if (startsWithBom(bytes, encoding)) return { encoding, hasBom: true };
+    }
+
+    const sample = bytes.subarray(0, Math.min(bytes.length, 4096));
+    if (sample.length >= 4) {
+        let evenZeros = 0, oddZeros = 0;
+        for (let i = 0; i < sample.length; i++) {
+            if (sample[i] === 0) {
+                if (i % 2 === 0) evenZeros++;
+                else oddZeros++;
+            }
+        }
+        const pairs = sample.length / 2;
+        if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return { encoding: 'utf-16le', hasBom: false };
+        if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return { encoding: 'utf-16be', hasBom: false };
+    }
+
+    if (isValidUtf8(bytes)) return { encoding: 'utf-8', hasBom: false };
+    return { encoding: 'windows-1252', hasBom: false };
+}
+
+export function decodeBytes(bytes, encoding = DEFAULT_ENCODING) {
+    const bom = BOMS[encoding];
+    const body = bom && startsWithBom(bytes, encoding) ? bytes.subarray(bom.length) : bytes;
+
+    if (encoding === 'windows-1252' || encoding === 'iso-8859-1') {
+        const isCp1252 = encoding === 'windows-1252';
+        const codes = new Array(body.length);
+        for (let i = 0; i < body.length; i++) {
+            const b = body[i];
+            codes[i] = isCp1252 && b >= 0x80 && b <= 0x9F ? CP1252_HIGH[b - 0x80] : b;
+        }
+        let out = '';
+        for (let i = 0; i < codes.length; i += 8192) {
+            out += String.fromCharCode.apply(null, codes.slice(i, i + 8192));
+        }
+        return out;
+    }
+    return new TextDecoder(encoding, { ignoreBOM: true }).decode(body);
+}
+
+function isSingleByte(encoding) {
+    return encoding === 'windows-1252' || encoding === 'iso-8859-1';
+}
+
+function canEncodeChar(code, encoding) {
+    if (encoding !== 'windows-1252') return code < 0x100;
+    return CP1252_REVERSE.has(code) || (code < 0x100 && !(code >= 0x80 && code <= 0x9F));
+}
+
+/**
+ * The distinct characters of `text` that `encoding` cannot store, in order of
+ * appearance (at most `limit`). Only the single-byte code pages lose anything.
+ */
+export function findUnencodableChars(text, encoding = DEFAULT_ENCODING, limit = 5) {
+    if (!isSingleByte(encoding)) return [];
+    const found = [];
+    for (const char of text) {
+        if (!canEncodeChar(char.codePointAt(0), encoding) && !found.includes(char)) {
+            found.push(char);
+            if (found.length >= limit) break;
+        }
+    }
+    return found;
+}
+
+export function encodeText(text, encoding = DEFAULT_ENCODING, hasBom = false) {
+    const bom = hasBom && BOMS[encoding] ? BOMS[encoding] : [];
+
+    if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+        const out = new Uint8Array(bom.length + text.length * 2);
+        out.set(bom, 0);
+        const littleEndian = encoding === 'utf-16le';
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            const at = bom.length + i * 2;
+            out[at] = littleEndian ? code & 0xFF : code >> 8;
+            out[at + 1] = littleEndian ? code >> 8 : code & 0xFF;
+        }
+        return out;
+    }
+
+    if (isSingleByte(encoding)) {
+        // By code point, so a character outside the BMP becomes one '?' rather than two
+        const bytes = [];
+        for (const char of text) {
+            const code = char.codePointAt(0);
+            if (!canEncodeChar(code, encoding)) bytes.push(0x3F); // '?'; callers check findUnencodableChars first
+            else bytes.push(CP1252_REVERSE.has(code) && encoding === 'windows-1252' ? CP1252_REVERSE.get(code) : code);
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    const encoded = new TextEncoder().encode(text);
+    if (!bom.length) return encoded;
+    const out = new Uint8Array(bom.length + encoded.length);
+    out.set(bom, 0);
+    out.set(encoded, bom.length);
+    return out;
+}
+
+/** Read a file and decode it, detecting the encoding unless one is forced. */
+export async function readFileWithEncoding(path, forcedEncoding = null) {
+    const bytes = await readBinaryFile(path);
+    const detected = forcedEncoding
+        ? { encoding: forcedEncoding, hasBom: startsWithBom(bytes, forcedEncoding) }
+        : detectEncoding(bytes);
+    return { content: decodeBytes(bytes, detected.encoding), ...detected };
+}
+
+/**
+ * Encode and write a file. The backend writes a temp file and renames it over
+ * `path`, so a failed write never truncates it; `backups` > 0 first keeps that
+ * many previous versions in the app data folder.
+ */
+export async function writeFileWithEncoding(path, content, encoding = DEFAULT_ENCODING, hasBom = false, backups = 0) {
+    const contents = Array.from(encodeText(content, encoding, hasBom));
+    await invoke('save_file', { path, contents, backups });
+}
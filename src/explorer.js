@@ -0,0 +1,421 @@
+// explorer.js — Folder workspace and file explorer sidebar
+// Directories are read lazily, the first time they are expanded. Entries
+// matched by the root or any nested .gitignore are hidden from the tree.
+import { state } from './state.js';
+import { showStatus } from './status-bar.js';
+import { askConfirmUI, askInputUI } from './overlays.js';
+import { saveSessionDebounced } from './session.js';
+import { openFileFromHistory } from './file-io.js';
+import { openDialog } from './tauri-bridge.js';
+import { getFilename, joinPath, getParentDir, isPathWithin, getRelativePath } from './utils.js';
+import { parseGitignore, createIgnoreMatcher } from './ignore.js';
+import { registerCommand } from './commands.js';
+
+const sidebar = document.getElementById('explorer');
+const treeEl = document.getElementById('explorer-tree');
+const contextMenu = document.getElementById('explorer-context-menu');
+
+const expandedDirs = new Set();
+const dirEntries = new Map(); // directory path → [{ path, name, isDir }]
+const gitignoreDirs = new Set();
+let ignoreMatcher = createIgnoreMatcher();
+let selectedPath = null;
+let menuTargetPath = null;
+
+/* ── Paths ──────────────────────────────────────────────────────── */
+
+function relativePath(path) {
+    return getRelativePath(state.workspaceRoot, path);
+}
+
+function findEntry(path) {
+    for (const entries of dirEntries.values()) {
+        const entry = entries.find(e => e.path === path);
+        if (entry) return entry;
+    }
+    return null;
+}
+
+/** The folder new entries go into when `path` is the context: itself if a folder, else its parent. */
+function targetDirFor(path) {
+    if (!path || path === state.workspaceRoot) return state.workspaceRoot;
+    return findEntry(path)?.isDir ? path : getParentDir(path);
+}
+
+/* ── Tree loading & rendering ───────────────────────────────────── */
+
+async function loadDir(dir) {
+    const { fs } = window.__TAURI__;
+    const entries = await fs.readDir(dir);
+
+    if (!gitignoreDirs.has(dir) && entries.some(e => e.name === '.gitignore' && !e.children)) {
+        gitignoreDirs.add(dir);
+        try {
+            ignoreMatcher.add(parseGitignore(await fs.readTextFile(joinPath(dir, '.gitignore')), relativePath(dir)));
+        } catch (e) {
+            console.warn(`Could not read .gitignore in ${dir}`, e);
+        }
+    }
+
+    dirEntries.set(dir, entries
+        .map(e => ({ path: e.path, name: e.name || getFilename(e.path), isDir: Array.isArray(e.children) }))
+        .filter(e => !ignoreMatcher.isIgnored(relativePath(e.path), e.isDir))
+        .sort((a, b) => (b.isDir - a.isDir) || a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' })));
+}
+
+/** Re-read every expanded folder from disk and redraw the tree. */
+export async function refreshExplorer() {
+    const root = state.workspaceRoot;
+    if (!root) return;
+    dirEntries.clear();
+    gitignoreDirs.clear();
+    ignoreMatcher = createIgnoreMatcher();
+
+    // Parents load first so their .gitignore rules apply to the folders below them
+    const dirs = [...expandedDirs].sort((a, b) => a.length - b.length);
+    for (const dir of dirs) {
+        const isListed = dir === root || dirEntries.get(getParentDir(dir))?.some(e => e.path === dir && e.isDir);
+        if (!isListed) {
+            expandedDirs.delete(dir);
+            continue;
+        }
+        try {
+            await loadDir(dir);
+        } catch (e) {
+            expandedDirs.delete(dir);
+            if (dir === root) showStatus(`Could not read folder ${getFilename(root)}`, 5000);
+        }
+    }
+    renderExplorer();
+}
+
+function renderExplorer() {
+    treeEl.innerHTML = '';
+    if (!state.workspaceRoot) return;
+    document.getElementById('explorer-title').textContent = getFilename(state.workspaceRoot);
+    sidebar.title = state.workspaceRoot;
+
+    const fragment = document.createDocumentFragment();
+    appendEntries(fragment, state.workspaceRoot, 0);
+    treeEl.appendChild(fragment);
+}
+
+function appendEntries(parent, dir, depth) {
+    for (const entry of dirEntries.get(dir) || []) {
+        const isExpanded = entry.isDir && expandedDirs.has(entry.path);
+        const item = document.createElement('div');
+        item.className = 'explorer-item';
+        if (entry.isDir) item.classList.add('is-dir');
+        if (isExpanded) item.classList.add('expanded');
+        if (entry.path === selectedPath) item.classList.add('selected');
+        item.dataset.path = entry.path;
+        item.style.paddingLeft = `${8 + depth * 12}px`;
+        item.title = entry.path;
+
+        const chevron = document.createElement('span');
+        chevron.className = 'explorer-chevron';
+        const name = document.createElement('span');
+        name.className = 'explorer-name';
+        name.textContent = entry.name;
+        item.append(chevron, name);
+        parent.appendChild(item);
+
+        if (isExpanded) appendEntries(parent, entry.path, depth + 1);
+    }
+}
+
+async function toggleDir(dir) {
+    if (expandedDirs.has(dir)) {
+        expandedDirs.forEach(d => { if (isPathWithin(d, dir)) expandedDirs.delete(d); });
+    } else {
+        try {
+            await loadDir(dir);
+            expandedDirs.add(dir);
+        } catch (e) {
+            console.error(e);
+            showStatus(`Could not read ${getFilename(dir)}`);
+        }
+    }
+    renderExplorer();
+}
+
+/* ── Folder lifecycle ───────────────────────────────────────────── */
+
+function setExplorerVisible(isVisible) {
+    sidebar.style.display = isVisible && state.workspaceRoot ? 'flex' : 'none';
+}
+
+/**
+ * Make `path` the workspace folder, or ask for one when no path is given.
+ * `persist` is false while a session is being restored.
+ */
+export async function openFolder(path = null, persist = true) {
+    if (!window.__TAURI__) return alert('Opening folders is only supported in the app.');
+    try {
+        if (!path) {
+            path = await openDialog({ directory: true });
+            if (!path) return;
+        }
+        if (!(await window.__TAURI__.fs.exists(path))) {
+            showStatus(`Folder no longer exists: ${getFilename(path)}`, 5000);
+            return;
+        }
+    } catch (e) {
+        console.error(e);
+        showStatus('Error opening folder');
+        return;
+    }
+
+    state.workspaceRoot = path;
+    expandedDirs.clear();
+    expandedDirs.add(path);
+    selectedPath = null;
+    await refreshExplorer();
+    setExplorerVisible(true);
+    if (persist) {
+        saveSessionDebounced();
+        showStatus(`Opened folder ${getFilename(path)}`);
+    }
+}
+
+export function closeFolder(persist = true) {
+    if (!state.workspaceRoot) return;
+    state.workspaceRoot = null;
+    expandedDirs.clear();
+    dirEntries.clear();
+    selectedPath = null;
+    renderExplorer();
+    setExplorerVisible(false);
+    if (persist) saveSessionDebounced();
+}
+
+/* ── File operations ────────────────────────────────────────────── */
+
+function isValidName(name) {
+    if (name && name !== '.' && name !== '..' && !/[\\/]/.test(name)) return true;
+    showStatus(`Invalid name: ${name}`);
+    return false;
+}
+
+async function createEntry(contextPath, isDir) {
+    const dir = targetDirFor(contextPath);
+    if (!dir) return;
+    const name = (await askInputUI(isDir ? 'New Folder' : 'New File', '', isDir ? 'Folder name' : 'File name'))?.trim();
+    if (!name || !isValidName(name)) return;
+
+    const { fs } = window.__TAURI__;
+    const path = joinPath(dir, name);
+    try {
+        if (await fs.exists(path)) return showStatus(`${name} already exists`);
+        if (isDir) await fs.createDir(path);
+        else await fs.writeTextFile(path, '');
+    } catch (e) {
+        console.error(e);
+        return showStatus(`Error creating ${name}`);
+    }
+
+    expandedDirs.add(dir);
+    selectedPath = path;
+    await refreshExplorer();
+    if (!isDir) await openFileFromHistory(path);
+}
+
+async function renameEntry(path) {
+    if (!path || path === state.workspaceRoot) return;
+    const oldName = getFilename(path);
+    const name = (await askInputUI('Rename', oldName))?.trim();
+    if (!name || name === oldName || !isValidName(name)) return;
+    await moveEntry(path, joinPath(getParentDir(path), name));
+}
+
+/**
+ * True when `to`, which exists, is only `from` again: a case-only rename on a
+ * case-insensitive file system. Where both names exist on their own, the folder
+ * lists `to` under its exact name.
+ */
+async function isSameEntry(from, to) {
+    if (from === to) return true;
+    if (from.toLowerCase() !== to.toLowerCase()) return false;
+    const entries = await window.__TAURI__.fs.readDir(getParentDir(to));
+    return !entries.some(entry => entry.name === getFilename(to));
+}
+
+/** Rename or move a file or folder, carrying open tabs and expanded folders along. */
+async function moveEntry(from, to) {
+    const { fs } = window.__TAURI__;
+    try {
+        if (await fs.exists(to) && !(await isSameEntry(from, to))) {
+            showStatus(`${getFilename(to)} already exists`);
+            return;
+        }
+        await fs.renameFile(from, to);
+    } catch (e) {
+        console.error(e);
+        showStatus(`Error moving ${getFilename(from)}`);
+        return;
+    }
+
+    const movedPath = (path) => isPathWithin(path, from) ? to + path.slice(from.length) : path;
+    const { handleExternalFileChange } = await import('./editor-manager.js');
+    const openPaths = new Set(state.tabs.filter(t => t.path && isPathWithin(t.path, from)).map(t => t.path));
+    openPaths.forEach(path => handleExternalFileChange(path, null, null, 'renamed', movedPath(path)));
+
+    const expanded = [...expandedDirs].map(movedPath);
+    expandedDirs.clear();
+    expanded.forEach(dir => expandedDirs.add(dir));
+    if (selectedPath) selectedPath = movedPath(selectedPath);
+    await refreshExplorer();
+}
+
+async function deleteEntry(path) {
+    if (!path || path === state.workspaceRoot) return;
+    const isDir = !!findEntry(path)?.isDir;
+    const name = getFilename(path);
+    const answer = await askConfirmUI(isDir ? `Permanently delete the folder "${name}" and everything in it?` : `Permanently delete "${name}"?`);
+    if (answer !== 'yes') return;
+
+    const { fs } = window.__TAURI__;
+    try {
+        if (isDir) await fs.removeDir(path, { recursive: true });
+        else await fs.removeFile(path);
+    } catch (e) {
+        console.error(e);
+        return showStatus(`Error deleting ${name}`);
+    }
+
+    // Saved tabs close as with "Delete File"; tabs with unsaved edits stay open, marked as deleted
+    const { handleExternalFileChange, closeTab } = await import('./editor-manager.js');
+    for (const tab of state.tabs.filter(t => t.path && isPathWithin(t.path, path))) {
+        if (tab.isUnsaved) handleExternalFileChange(tab.path, null, null, 'removed');
+        else await closeTab(tab.id, true);
+    }
+
+    expandedDirs.forEach(d => { if (isPathWithin(d, path)) expandedDirs.delete(d); });
+    if (selectedPath && isPathWithin(selectedPath, path)) selectedPath = null;
+    await refreshExplorer();
+}
+
+/* ── Drag to move ───────────────────────────────────────────────── */
+
+let drag = null;
+let suppressClick = false;
+
+/** The folder a drop at (x, y) would move into, or null if the drop is not allowed there. */
+function dropDirAt(x, y) {
+    const el = document.elementFromPoint(x, y);
+    if (!el || !treeEl.contains(el)) return null;
+    const item = el.closest('.explorer-item');
+    const dir = item ? targetDirFor(item.dataset.path) : state.workspaceRoot;
+    if (isPathWithin(dir, drag.path) || dir === getParentDir(drag.path)) return null;
+    return dir;
+}
+
+function clearDropTarget() {
+    treeEl.classList.remove('drop-target');
+    treeEl.querySelectorAll('.explorer-item.drop-target').forEach(el => el.classList.remove('drop-target'));
+}
+
+function endDrag() {
+    if (drag?.item) drag.item.classList.remove('dragging');
+    clearDropTarget();
+    drag = null;
+}
+
+function bindDragEvents() {
+    treeEl.addEventListener('pointerdown', (e) => {
+        suppressClick = false;
+        const item = e.target.closest('.explorer-item');
+        if (!item || e.button !== 0) return;
+        drag = { path: item.dataset.path, item, startX: e.clientX, startY: e.clientY, isDragging: false };
+    });
+
+    treeEl.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        if (!drag.isDragging) {
+            if (Math.abs(e.clientX - drag.startX) < 5 && Math.abs(e.clientY - drag.startY) < 5) return;
+            drag.isDragging = true;
+            treeEl.setPointerCapture(e.pointerId);
+            drag.item.classList.add('dragging');
+        }
+        clearDropTarget();
+        const dir = dropDirAt(e.clientX, e.clientY);
+        if (dir === state.workspaceRoot) treeEl.classList.add('drop-target');
+        else if (dir) treeEl.querySelector(`.explorer-item[data-path="${CSS.escape(dir)}"]`)?.classList.add('drop-target');
+    });
+
+    treeEl.addEventListener('pointerup', async (e) => {
+        if (!drag) return;
+        if (!drag.isDragging) {
+            drag = null;
+            return;
+        }
+        suppressClick = true;
+        treeEl.releasePointerCapture(e.pointerId);
+        const from = drag.path;
+        const dir = dropDirAt(e.clientX, e.clientY);
+        endDrag();
+        if (dir) await moveEntry(from, joinPath(dir, getFilename(from)));
+    });
+
+    treeEl.addEventListener('pointercancel', endDrag);
+}
+
+/* ── Wiring ─────────────────────────────────────────────────────── */
+
+function showContextMenu(e, path) {
+    e.preventDefault();
+    e.stopPropagation();
+    menuTargetPath = path;
+    const isEntry = path !== state.workspaceRoot;
+    contextMenu.querySelectorAll('.explorer-entry-only').forEach(el => { el.style.display = isEntry ? '' : 'none'; });
+    contextMenu.style.display = 'block';
+    contextMenu.style.left = `${e.clientX}px`;
+    contextMenu.style.top = `${e.clientY}px`;
+}
+
+export function setupExplorer() {
+    treeEl.addEventListener('click', async (e) => {
+        if (suppressClick) {
+            suppressClick = false;
+            return;
+        }
+        const item = e.target.closest('.explorer-item');
+        if (!item) return;
+        selectedPath = item.dataset.path;
+        if (item.classList.contains('is-dir')) {
+            await toggleDir(selectedPath);
+        } else {
+            renderExplorer();
+            await openFileFromHistory(selectedPath);
+        }
+    });
+
+    treeEl.addEventListener('contextmenu', (e) => {
+        const item = e.target.closest('.explorer-item');
+        if (item) {
+            selectedPath = item.dataset.path;
+            renderExplorer();
+        }
+        showContextMenu(e, item ? item.dataset.path : state.workspaceRoot);
+    });
+
+    treeEl.addEventListener('keydown', async (e) => {
+        if (!selectedPath) return;
+        if (e.key === 'F2') { e.preventDefault(); await renameEntry(selectedPath); }
+        else if (e.key === 'Delete') { e.preventDefault(); await deleteEntry(selectedPath); }
+    });
+
+    bindDragEvents();
+
+    document.addEventListener('click', () => { contextMenu.style.display = 'none'; });
+    document.getElementById('menu-explorer-new-file').addEventListener('click', () => createEntry(menuTargetPath, false));
+    document.getElementById('menu-explorer-new-folder').addEventListener('click', () => createEntry(menuTargetPath, true));
+    document.getElementById('menu-explorer-rename').addEventListener('click', () => renameEntry(menuTargetPath));
+    document.getElementById('menu-explorer-delete').addEventListener('click', () => deleteEntry(menuTargetPath));
+    document.getElementById('menu-explorer-refresh').addEventListener('click', refreshExplorer);
+
+    const hasFolder = () => !!state.workspaceRoot;
+    registerCommand({ id: 'explorer.newFile', title: 'New File...', category: 'Explorer', when: hasFolder, run: () => createEntry(selectedPath, false) });
+    registerCommand({ id: 'explorer.newFolder', title: 'New Folder...', category: 'Explorer', when: hasFolder, run: () => createEntry(selectedPath, true) });
+    registerCommand({ id: 'explorer.refresh', title: 'Refresh', category: 'Explorer', when: hasFolder, run: refreshExplorer });
+}
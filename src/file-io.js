@@ -1,12 +1,95 @@
 import { state } from './state.js';
 import { getFilename } from './utils.js';
 import { renderTabs, updateActiveTabUI } from './tabs-ui.js';
-import { updateTitle, showStatus } from './status-bar.js';
+import { updateTitle, showStatus, updateEncodingStatus, updateLineEndingStatus } from './status-bar.js';
 import { saveSessionDebounced } from './session.js';
-import { switchTab, createNewTab, syncChannel } from './editor-manager.js';
+import { switchTab, createNewTab, syncChannel, syncLinkedTabs, setTabUnsaved, updateTabState, refreshTabEditorConfig } from './editor-manager.js';
+import { getTabContent, getTabQuill } from './panes.js';
 import { askConfirmUI } from './overlays.js';
 import { addToFileHistory, removeFromFileHistory } from './history.js';
-import { invoke, readTextFile, writeTextFile, openDialog, saveDialog } from './tauri-bridge.js';
+import { invoke, openDialog, saveDialog } from './tauri-bridge.js';
+import { readFileWithEncoding, writeFileWithEncoding, getEncodingLabel, findUnencodableChars } from './encoding.js';
+import { detectLineEnding, normalizeLineEndings, applyLineEnding, DEFAULT_LINE_ENDING } from './line-endings.js';
+import { handleEditorConfigSaved } from './editorconfig.js';
+import { prepareSaveActions, applySaveActions } from './save-actions.js';
+import { recordSnapshot } from './local-history.js';
+import { getSetting } from './settings.js';
+
+/**
+ * Reads a file from disk for editing: decodes it (see encoding.js) and
+ * normalizes its line endings, recording the original style.
+ */
+export async function readDocumentFile(path, forcedEncoding = null) {
+    const file = await readFileWithEncoding(path, forcedEncoding);
+    return {
+        content: normalizeLineEndings(file.content),
+        encoding: file.encoding,
+        hasBom: file.hasBom,
+        lineEnding: detectLineEnding(file.content) || DEFAULT_LINE_ENDING
+    };
+}
+
+// Auto-save writes every few seconds, so it only adds a backup now and then
+const AUTOSAVE_BACKUP_INTERVAL = 5 * 60 * 1000;
+const lastBackupTimes = new Map();
+
+function backupCountFor(path, isAutoSave) {
+    const count = getSetting('files.backupCount');
+    if (count === 0) return 0;
+    if (isAutoSave && Date.now() - (lastBackupTimes.get(path) || 0) < AUTOSAVE_BACKUP_INTERVAL) return 0;
+    lastBackupTimes.set(path, Date.now());
+    return count;
+}
+
+/** Writes editor content back using the tab's encoding and line ending, keeping a backup of the old version. */
+export async function writeDocumentFile(path, content, tab, { isAutoSave = false } = {}) {
+    const text = tab.isDoc ? content : applyLineEnding(content, tab.lineEnding);
+    await writeFileWithEncoding(path, text, tab.encoding, tab.hasBom, backupCountFor(path, isAutoSave));
+    if (!tab.isDoc) recordSnapshot(path, content, { isAutoSave });
+}
+
+/** Previous versions of `path` kept by saves, newest first, as { path, savedAt, size }. */
+export async function listBackups(path) {
+    if (!window.__TAURI__ || !path) return [];
+    return invoke('list_backups', { path });
+}
+
+/** Put the text of a backup into the tab as an ordinary, undoable edit. Nothing is written until the user saves. */
+export async function restoreBackup(tab, backup) {
+    try {
+        const file = await readDocumentFile(backup.path, tab.encoding);
+        if (tab.isDoc) {
+            const quill = getTabQuill(tab);
+            if (quill) quill.root.innerHTML = file.content;
+            else tab.savedContent = file.content;
+            setTabUnsaved(tab, true);
+        } else {
+            updateTabState(tab, { changes: { from: 0, to: tab.state.doc.length, insert: file.content } });
+        }
+        renderTabs();
+        saveSessionDebounced();
+        showStatus(`Restored the version saved over at ${new Date(backup.savedAt).toLocaleString()}`);
+    } catch (e) {
+        console.error(e);
+        showStatus('Error restoring backup');
+    }
+}
+
+/**
+ * Offer to switch a tab to UTF-8 when its encoding cannot store all of its text.
+ * Resolves false if the save should not go ahead.
+ */
+async function confirmEncodable(actions, path) {
+    const chars = findUnencodableChars(actions.text, actions.encoding);
+    if (chars.length === 0) return true;
+    const answer = await askConfirmUI(`${getEncodingLabel(actions.encoding)} cannot store some characters in "${getFilename(path)}" (${chars.join(' ')}). Save it as UTF-8 instead? No saves anyway, replacing them with "?".`, false, true);
+    if (answer === 'cancel') return false;
+    if (answer === 'yes') {
+        actions.encoding = 'utf-8';
+        actions.hasBom = false;
+    }
+    return true;
+}
 
 export async function openFile() {
     if (!window.__TAURI__) return alert('Opening files is only supported in the app.');
@@ -22,8 +105,8 @@ export async function openFile() {
                 return;
             }
 
-            const contents = await readTextFile(selected);
-            await createNewTab(selected, contents);
+            const { content, ...fileInfo } = await readDocumentFile(selected);
+            await createNewTab(selected, content, fileInfo);
             try {
                 const newT = state.tabs[state.tabs.length - 1];
                 if (newT) newT.lastModified = await invoke('get_file_modified', { path: selected });
@@ -38,6 +121,14 @@ export async function openFile() {
     }
 }
 
+/** Saving settings.json, keybindings.json, a user theme or an .editorconfig in a tab applies it right away. */
+export function reloadIfConfigFile(path) {
+    handleEditorConfigSaved(path);
+    import('./settings.js').then(m => m.handleSettingsFileSaved(path));
+    import('./keybindings.js').then(m => m.handleKeybindingsFileSaved(path));
+    import('./themes.js').then(m => m.handleThemeFileSaved(path));
+}
+
 export async function saveFile(returnResult = false) {
     if (!window.__TAURI__) {
         alert('Saving files is only supported in the app.');
@@ -63,18 +154,14 @@ export async function saveFile(returnResult = false) {
         }
 
         if (pathToSave) {
-            let content = '';
-            if (tab.isDoc) {
-                if (state.quillView) {
-                    content = state.quillView.root.innerHTML;
-                } else {
-                    content = tab.savedContent || '';
-                }
-            } else {
-                content = state.editorView.state.doc.toString();
-            }
+            const actions = await prepareSaveActions(tab, pathToSave);
+            // Cancelling here must leave the tab untouched, so nothing is applied before the answer
+            if (!(await confirmEncodable(actions, pathToSave))) return returnResult ? false : undefined;
+            applySaveActions(tab, actions);
+            const content = getTabContent(tab);
+            const isNewPath = pathToSave !== tab.path;
 
-            await writeTextFile(pathToSave, content);
+            await writeDocumentFile(pathToSave, content, tab);
 
             try {
                 let mtime = await invoke('get_file_modified', { path: pathToSave });
@@ -84,13 +171,19 @@ export async function saveFile(returnResult = false) {
 
             tab.path = pathToSave;
             tab.isUnsaved = false;
+            tab.isOrphaned = false;
             tab.savedContent = content;
+            tab.savedLineEnding = tab.lineEnding;
+            syncLinkedTabs(tab);
 
             addToFileHistory(pathToSave);
             renderTabs();
             updateTitle();
-            showStatus('Saved successfully');
+            if (actions.kept.length > 0) showStatus(`Saved, keeping ${actions.kept.join(' and ')}`, 5000);
+            else showStatus('Saved successfully');
             saveSessionDebounced();
+            reloadIfConfigFile(pathToSave);
+            if (isNewPath) refreshTabEditorConfig(tab);
             return returnResult ? true : undefined;
         } else {
             return returnResult ? false : undefined; // User cancelled OS save dialog
@@ -148,8 +241,8 @@ export async function openFileFromHistory(path) {
             return;
         }
 
-        const contents = await readTextFile(path);
-        await createNewTab(path, contents);
+        const { content, ...fileInfo } = await readDocumentFile(path);
+        await createNewTab(path, content, fileInfo);
         try {
             const newT = state.tabs[state.tabs.length - 1];
             if (newT) newT.lastModified = await invoke('get_file_modified', { path: path });
@@ -171,10 +264,10 @@ export async function openDroppedPaths(paths) {
             const existing = state.tabs.find(t => t.path === filePath);
             if (existing) { switchTab(existing.id); continue; }
 
-            const content = await readTextFile(filePath);
+            const { content, ...fileInfo } = await readDocumentFile(filePath);
             const name = getFilename(filePath);
 
-            await createNewTab(filePath, content);
+            await createNewTab(filePath, content, fileInfo);
             try {
                 const newlyCreatedTab = state.tabs[state.tabs.length - 1]; // Assume the new tab is appended to end
                 newlyCreatedTab.lastModified = await invoke('get_file_modified', { path: filePath });
@@ -188,3 +281,60 @@ export async function openDroppedPaths(paths) {
         }
     }
 }
+
+export async function reopenWithEncoding(encoding) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab) return;
+    if (!tab.path || !window.__TAURI__) return showStatus('Save the file before reopening it with another encoding');
+
+    if (tab.isUnsaved) {
+        const answer = await askConfirmUI(`Discard unsaved changes to "${getFilename(tab.path)}" and reopen it as ${getEncodingLabel(encoding)}?`);
+        if (answer !== 'yes') return;
+    }
+
+    try {
+        const file = await readDocumentFile(tab.path, encoding);
+        tab.encoding = file.encoding;
+        tab.hasBom = file.hasBom;
+        tab.lineEnding = file.lineEnding;
+        tab.savedLineEnding = file.lineEnding;
+        tab.savedContent = file.content;
+
+        if (tab.isDoc) {
+            if (state.quillView) state.quillView.root.innerHTML = file.content;
+        } else {
+            updateTabState(tab, {
+                changes: { from: 0, to: tab.state.doc.length, insert: file.content }
+            });
+        }
+        tab.isUnsaved = false;
+        syncLinkedTabs(tab);
+
+        renderTabs();
+        updateEncodingStatus();
+        updateLineEndingStatus();
+        saveSessionDebounced();
+        showStatus(`Reopened with ${getEncodingLabel(tab.encoding, tab.hasBom)}`);
+    } catch (e) {
+        console.error(e);
+        showStatus('Error reopening file');
+    }
+}
+
+export async function saveWithEncoding(encoding, hasBom) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    if (!tab) return;
+
+    const previous = { encoding: tab.encoding, hasBom: tab.hasBom, isEncodingChosen: tab.isEncodingChosen };
+    tab.encoding = encoding;
+    tab.hasBom = hasBom;
+    // Later saves keep it too, whatever .editorconfig says
+    tab.isEncodingChosen = true;
+    updateEncodingStatus();
+
+    const saved = await saveFile(true);
+    if (!saved) {
+        Object.assign(tab, previous);
+        updateEncodingStatus();
+    }
+}
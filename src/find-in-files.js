@@ -0,0 +1,98 @@
+// find-in-files.js — Folder walking and file access for project-wide search
+// Honors .gitignore files like the explorer does, plus the include/exclude
+// globs typed into the search modal. Binary and very large files are skipped.
+import { invoke, readBinaryFile } from './tauri-bridge.js';
+import { detectEncoding, decodeBytes, writeFileWithEncoding, findUnencodableChars, getEncodingLabel } from './encoding.js';
+import { detectLineEnding, normalizeLineEndings, applyLineEnding, DEFAULT_LINE_ENDING } from './line-endings.js';
+import { parseGitignore, createIgnoreMatcher } from './ignore.js';
+import { getRelativePath, isPathWithin } from './utils.js';
+import { getSetting } from './settings.js';
+
+export const MAX_SEARCH_FILE_SIZE = 5 * 1024 * 1024;
+const BINARY_SAMPLE_SIZE = 8000;
+
+/** Split a comma-separated glob list such as `*.js, src/**` */
+export function splitGlobs(text) {
+    return text.split(',').map(glob => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Yield every candidate file below `root` as { path, relPath }.
+ * Folders are read one at a time, so the caller can stop the walk early.
+ * Folders in `skip` (absolute paths) are not entered at all.
+ */
+export async function* walkFiles(root, { include = [], exclude = [], skip = [] } = {}) {
+    const { fs } = window.__TAURI__;
+    const gitignore = createIgnoreMatcher();
+    const excluded = createIgnoreMatcher(parseGitignore(exclude.join('\n')));
+    // Include globs use the same matching rules as ignore patterns
+    const included = include.length ? createIgnoreMatcher(parseGitignore(include.join('\n'))) : null;
+
+    const pending = [root];
+    while (pending.length) {
+        const dir = pending.shift();
+        let entries;
+        try {
+            entries = await fs.readDir(dir);
+        } catch (e) {
+            console.warn(`Skipping unreadable folder ${dir}`, e);
+            continue;
+        }
+
+        const ignoreFile = entries.find(e => e.name === '.gitignore' && !e.children);
+        if (ignoreFile) {
+            try {
+                gitignore.add(parseGitignore(await fs.readTextFile(ignoreFile.path), getRelativePath(root, dir)));
+            } catch (e) {}
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+        for (const entry of entries) {
+            const relPath = getRelativePath(root, entry.path);
+            const isDir = Array.isArray(entry.children);
+            if (gitignore.isIgnored(relPath, isDir) || excluded.isIgnored(relPath, isDir)) continue;
+            if (isDir) {
+                if (!skip.some(dir => isPathWithin(entry.path, dir))) pending.push(entry.path);
+            }
+            else if (!included || included.isIgnored(relPath)) yield { path: entry.path, relPath };
+        }
+    }
+}
+
+/**
+ * Read a file for searching. Resolves null for binary files and anything over
+ * MAX_SEARCH_FILE_SIZE. Like an opened document, `content` has '\n' line
+ * endings and `lineEnding` records the style to write back. For rich text
+ * documents (`isDoc`) `content` is their HTML, not the text to search.
+ */
+export async function readSearchableFile(path) {
+    try {
+        if (await invoke('get_file_size', { path }) > MAX_SEARCH_FILE_SIZE) return null;
+    } catch (e) {}
+
+    const bytes = await readBinaryFile(path);
+    if (bytes.length > MAX_SEARCH_FILE_SIZE) return null;
+    const { encoding, hasBom } = detectEncoding(bytes);
+    // UTF-16 text is full of zero bytes; in anything else a NUL means binary, as git assumes
+    if (!encoding.startsWith('utf-16') && bytes.subarray(0, BINARY_SAMPLE_SIZE).includes(0)) return null;
+
+    const raw = decodeBytes(bytes, encoding);
+    return {
+        content: normalizeLineEndings(raw),
+        isDoc: path.endsWith('.doc'),
+        encoding,
+        hasBom,
+        lineEnding: detectLineEnding(raw) || DEFAULT_LINE_ENDING
+    };
+}
+
+/**
+ * Write back text read by readSearchableFile, keeping its encoding, BOM and line
+ * ending, and a backup. Documents are written as they are, like writeDocumentFile does.
+ */
+export async function writeSearchedFile(path, content, file) {
+    const chars = findUnencodableChars(content, file.encoding);
+    if (chars.length > 0) throw new Error(`${getEncodingLabel(file.encoding)} cannot store ${chars.join(' ')}`);
+    const text = file.isDoc ? content : applyLineEnding(content, file.lineEnding);
+    await writeFileWithEncoding(path, text, file.encoding, file.hasBom, getSetting('files.backupCount'));
+}
@@ -0,0 +1,121 @@
+// formatters.js — Built-in document formatters for JSON, CSS and HTML
+// They only change layout: JSON and CSS tokens are kept verbatim (numbers are
+// not re-serialized) and HTML is reindented by its CodeMirror language, so
+// whitespace-sensitive content between tags is left alone.
+import { indentRange } from '@codemirror/language';
+
+/** Reformat JSON with one token per line. Throws on invalid JSON, which leaves the file as it is. */
+export function formatJson(text, indentText) {
+    JSON.parse(text);
+    const tokens = text.match(/"(?:[^"\\]|\\.)*"|[{}[\],:]|[^\s{}[\],:"]+/g) || [];
+    let out = '';
+    let depth = 0;
+    const newline = () => '\n' + indentText.repeat(depth);
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token === '{' || token === '[') {
+            const close = token === '{' ? '}' : ']';
+            if (tokens[i + 1] === close) {
+                out += token + close;
+                i++;
+                continue;
+            }
+            depth++;
+            out += token + newline();
+        } else if (token === '}' || token === ']') {
+            depth--;
+            out += newline() + token;
+        } else if (token === ',') {
+            out += ',' + newline();
+        } else if (token === ':') {
+            out += ': ';
+        } else {
+            out += token;
+        }
+    }
+    return /\n\s*$/.test(text) ? out + '\n' : out;
+}
+
+/** Put each declaration and brace of a stylesheet on its own line, indented by nesting depth. */
+export function formatCss(text, indentText) {
+    let out = '';
+    let line = '';
+    let depth = 0;
+    let parens = 0;
+    let blankBeforeNext = false;
+
+    const flush = () => {
+        let content = line.trim();
+        line = '';
+        if (!content) return;
+        // Declarations read `property: value`
+        if (depth > 0 && !content.endsWith('{')) content = content.replace(/^([\w-]+)\s*:\s*/, '$1: ');
+        if (blankBeforeNext && depth === 0 && content !== '}') out += '\n';
+        blankBeforeNext = false;
+        out += indentText.repeat(depth) + content + '\n';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            const stop = end === -1 ? text.length : end + 2;
+            // A comment on its own stays on its own line
+            const standalone = !line.trim();
+            line += text.slice(i, stop);
+            if (standalone) flush();
+            i = stop - 1;
+        } else if (c === '"' || c === "'") {
+            let j = i + 1;
+            while (j < text.length && text[j] !== c && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+            line += text.slice(i, j + 1);
+            i = j;
+        } else if (c === '(' || c === ')') {
+            parens += c === '(' ? 1 : -1;
+            line += c;
+        } else if (c === '{') {
+            line = line.trim() + ' {';
+            flush();
+            depth++;
+        } else if (c === '}') {
+            flush();
+            depth = Math.max(0, depth - 1);
+            line = '}';
+            flush();
+            if (depth === 0) blankBeforeNext = true;
+        } else if (c === ';' && parens === 0) {
+            line += ';';
+            flush();
+        } else if (/\s/.test(c)) {
+            if (line && !/\s$/.test(line)) line += ' ';
+        } else {
+            line += c;
+        }
+    }
+    flush();
+    return out;
+}
+
+/** Reindent every line using the document's language, as HTML formatting. */
+export function formatHtml(editorState) {
+    return indentRange(editorState, 0, editorState.doc.length).apply(editorState.doc).toString();
+}
+
+/**
+ * The formatted text of `editorState` for `language`, or null when there is no
+ * formatter for it. `indentText` is one level of indentation.
+ */
+export function formatDocument(language, editorState, indentText) {
+    switch (language) {
+        case 'json':
+            return formatJson(editorState.doc.toString(), indentText);
+        case 'css':
+            return formatCss(editorState.doc.toString(), indentText);
+        case 'html':
+        case 'htm':
+            return formatHtml(editorState);
+        default:
+            return null;
+    }
+}
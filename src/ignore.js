@@ -0,0 +1,123 @@
+// ignore.js — .gitignore-style path matching
+// Paths are always relative to the workspace root and use '/' separators.
+// Rules from nested .gitignore files only apply below their own directory.
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' spans zero or more directories, any other '**' everything below
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+            if (set[0] === '!') set = '^' + set.slice(1);
+            source += `[${set}]`;
+            i = end;
+        } else if (c === '\\' && i + 1 < glob.length) {
+            source += escapeRegExp(glob[++i]);
+        } else {
+            source += escapeRegExp(c);
+        }
+    }
+    return source;
+}
+
+/** Compile a glob such as `src/**` or `*.min.js` into an anchored RegExp. */
+export function globToRegExp(glob) {
+    return new RegExp(`^${globSource(glob)}$`);
+}
+
+/**
+ * Parse the text of a .gitignore file into rules.
+ * `base` is the directory holding the file, relative to the root ('' for the root).
+ */
+export function parseGitignore(text, base = '') {
+    const rules = [];
+    for (let line of text.split(/\r?\n/)) {
+        if (!line || line.startsWith('#')) continue;
+        line = line.replace(/(?<!\\)\s+$/, '');
+        if (!line) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/')) {
+            dirOnly = true;
+            line = line.slice(0, -1);
+        }
+        if (!line) continue;
+
+        // A slash anywhere but the end ties the pattern to `base`; otherwise it matches at any depth
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) line = line.slice(1);
+        const source = globSource(line);
+        rules.push({
+            base,
+            negate,
+            dirOnly,
+            regex: new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`)
+        });
+    }
+    return rules;
+}
+
+/** Matcher over an ordered rule list. Later rules win, as in git. */
+export function createIgnoreMatcher(rules = []) {
+    const allRules = [...parseGitignore('.git/'), ...rules];
+
+    const matchesSelf = (path, isDir) => {
+        let ignored = false;
+        for (const rule of allRules) {
+            if (rule.dirOnly && !isDir) continue;
+            let relPath = path;
+            if (rule.base) {
+                if (!path.startsWith(rule.base + '/')) continue;
+                relPath = path.slice(rule.base.length + 1);
+            }
+            if (rule.regex.test(relPath)) ignored = !rule.negate;
+        }
+        return ignored;
+    };
+
+    return {
+        add(newRules) {
+            allRules.push(...newRules);
+        },
+        isIgnored(path, isDir = false) {
+            // Nothing inside an ignored directory can be re-included
+            const parts = path.split('/');
+            for (let i = 1; i < parts.length; i++) {
+                if (matchesSelf(parts.slice(0, i).join('/'), true)) return true;
+            }
+            return matchesSelf(path, isDir);
+        }
+    };
+}
@@ -0,0 +1,81 @@
+// indentation.js — Indentation detection and conversion
+// Text tabs carry an `indent` of { useTabs, size } detected from the file when
+// it is opened (or from .editorconfig). A null indent, or a null field in it,
+// falls back to the editor.insertSpaces and editor.tabSize settings.
+import { getSetting } from './settings.js';
+
+// Only look at the start of large files
+const MAX_SCANNED_LINES = 10000;
+const MAX_INDENT_SIZE = 8;
+
+/**
+ * Guess the indentation style of `text`: tabs vs spaces from the number of lines
+ * starting with each, and the width from the most common step between the
+ * indentation of consecutive lines. Returns null when nothing is indented.
+ */
+export function detectIndentation(text) {
+    if (!text) return null;
+    const lines = text.split('\n', MAX_SCANNED_LINES);
+    let tabLines = 0, spaceLines = 0;
+    const steps = new Map();
+    let previous = 0;
+
+    for (const line of lines) {
+        if (line.trim() === '') continue;
+        const indent = /^[ \t]*/.exec(line)[0];
+        // Leading spaces before '*' are usually block comment alignment, not indentation
+        if (line[indent.length] === '*' && indent.endsWith(' ')) continue;
+
+        if (line[0] === '\t') tabLines++;
+        else if (line[0] === ' ') spaceLines++;
+        if (indent.includes('\t')) {
+            previous = 0;
+            continue;
+        }
+        const step = Math.abs(indent.length - previous);
+        if (step > 1 && step <= MAX_INDENT_SIZE) steps.set(step, (steps.get(step) || 0) + 1);
+        previous = indent.length;
+    }
+
+    if (tabLines === 0 && spaceLines === 0) return null;
+    if (tabLines > spaceLines) return { useTabs: true, size: null };
+
+    let size = null, best = 0;
+    for (const [step, count] of steps) {
+        if (count > best || (count === best && step < size)) {
+            size = step;
+            best = count;
+        }
+    }
+    return { useTabs: false, size };
+}
+
+/** The effective indentation for a tab's `indent`, with settings filling the gaps. */
+export function resolveIndent(indent) {
+    return {
+        useTabs: indent && indent.useTabs !== null ? indent.useTabs : !getSetting('editor.insertSpaces'),
+        size: (indent && indent.size) || getSetting('editor.tabSize')
+    };
+}
+
+export function describeIndent(indent) {
+    const { useTabs, size } = resolveIndent(indent);
+    return useTabs ? `Tab Size: ${size}` : `Spaces: ${size}`;
+}
+
+/**
+ * Rewrite the leading whitespace of every line of `text` from `from` to `to`
+ * (both resolved indents), keeping each line's visual indentation.
+ */
+export function convertIndentation(text, from, to) {
+    return text.split('\n').map(line => {
+        const indent = /^[ \t]*/.exec(line)[0];
+        if (!indent) return line;
+        let width = 0;
+        for (const ch of indent) width = ch === '\t' ? width + from.size - (width % from.size) : width + 1;
+        const leading = to.useTabs
+            ? '\t'.repeat(Math.floor(width / to.size)) + ' '.repeat(width % to.size)
+            : ' '.repeat(width);
+        return leading + line.slice(indent.length);
+    }).join('\n');
+}
@@ -0,0 +1,385 @@
+// keybindings.js — User keymap layered over the default command shortcuts
+// Overrides are stored in keybindings.json in the app data folder, mapping a
+// command id to its shortcuts: { "file.quickOpen": ["Ctrl+P"] }. An empty list
+// unbinds the command. The same bindings drive the global key handler and,
+// ahead of CodeMirror's own keymap, every editor.
+import { state } from './state.js';
+import { getCommands, getCommand, isCommandEnabled, runCommand, setCommandKeys } from './commands.js';
+import { builtinKeymap, setCommandKeymap, keymapEffect } from './editor.js';
+import { updateTabState } from './editor-manager.js';
+import { showStatus } from './status-bar.js';
+import { openFileFromHistory } from './file-io.js';
+import { escapeHtml, getFilename } from './utils.js';
+
+const STORAGE_KEY = 'lightpad-keybindings';
+const NAMED_KEYS = ['Tab', 'Enter', 'Escape', 'Space', 'Backspace', 'Delete', 'Insert', 'Home', 'End',
+    'PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+const isMac = /Mac/.test(navigator.platform);
+
+let userKeymap = {};
+let keybindingsPath = null;
+let capturingCommandId = null;
+
+/* ── Key names ──────────────────────────────────────────────────── */
+
+function formatKeyParts({ ctrl, shift, alt, key }) {
+    const parts = [];
+    if (ctrl) parts.push('Ctrl');
+    if (shift) parts.push('Shift');
+    if (alt) parts.push('Alt');
+    parts.push(key);
+    return parts.join('+');
+}
+
+function normalizeKeyName(key) {
+    if (key.length === 1) return key.toUpperCase();
+    if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(key)) return key.toUpperCase();
+    if (/^esc$/i.test(key)) return 'Escape';
+    if (/^del$/i.test(key)) return 'Delete';
+    return NAMED_KEYS.find(name => name.toLowerCase() === key.toLowerCase()) || null;
+}
+
+/**
+ * Canonical form of a shortcut typed by the user, e.g. 'shift+ctrl+p' becomes
+ * 'Ctrl+Shift+P'. Cmd, Meta and Mod count as Ctrl. Returns null if it is not a shortcut.
+ */
+export function normalizeKeys(text) {
+    const parts = text.trim().split('+');
+    // A trailing '+' is the plus key itself, as in 'Ctrl++'
+    if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') parts.splice(-2, 2, '+');
+    const key = normalizeKeyName(parts.pop().trim());
+    if (!key) return null;
+
+    const result = { ctrl: false, shift: false, alt: false, key };
+    for (const part of parts) {
+        const mod = part.trim().toLowerCase();
+        if (['ctrl', 'control', 'cmd', 'command', 'meta', 'mod'].includes(mod)) result.ctrl = true;
+        else if (mod === 'shift') result.shift = true;
+        else if (['alt', 'option', 'opt'].includes(mod)) result.alt = true;
+        else return null;
+    }
+    return formatKeyParts(result);
+}
+
+/** CodeMirror key name for a canonical shortcut: 'Ctrl+Shift+P' becomes 'Mod-Shift-p'. */
+function toCodeMirrorKey(keys) {
+    const parts = keys.split(/\+(?!$)/);
+    let key = parts.pop();
+    if (key.length === 1) key = key.toLowerCase();
+    return [...parts.map(mod => mod === 'Ctrl' ? 'Mod' : mod), key].join('-');
+}
+
+/** Canonical shortcut for a CodeMirror key name such as 'Shift-Mod-k', or null. */
+function fromCodeMirrorKey(name) {
+    if (name.includes(' ')) return null;
+    const parts = name.split(/-(?!$)/);
+    const key = normalizeKeyName(parts.pop());
+    if (!key) return null;
+    const result = { ctrl: false, shift: false, alt: false, key };
+    for (const mod of parts) {
+        if (/^(mod|ctrl|control|c|cmd|meta|m)$/i.test(mod)) result.ctrl = true;
+        else if (/^(shift|s)$/i.test(mod)) result.shift = true;
+        else if (/^(alt|a)$/i.test(mod)) result.alt = true;
+    }
+    return formatKeyParts(result);
+}
+
+/* ── Keymap ─────────────────────────────────────────────────────── */
+
+/** Shortcuts CodeMirror handles itself, such as Ctrl+D or Alt+ArrowUp. */
+function getEditorShortcuts() {
+    const shortcuts = new Set();
+    builtinKeymap.forEach(binding => {
+        const name = (isMac && binding.mac) || binding.key;
+        const keys = name ? fromCodeMirrorKey(name) : null;
+        if (keys && binding.run) shortcuts.add(keys);
+    });
+    return shortcuts;
+}
+
+/**
+ * Shortcuts claimed by more than one command, as a Map from shortcut to
+ * command ids. Only the first registered command runs on such a key.
+ */
+export function getKeybindingConflicts() {
+    const owners = new Map();
+    getCommands().forEach(command => {
+        command.keys.forEach(keys => {
+            if (!owners.has(keys)) owners.set(keys, []);
+            owners.get(keys).push(command.id);
+        });
+    });
+    return new Map([...owners].filter(([, ids]) => ids.length > 1));
+}
+
+function validateUserKeymap(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object of command ids');
+    const keymap = {};
+    Object.entries(data).forEach(([id, keys]) => {
+        if (!getCommand(id)) {
+            console.warn(`keybindings.json: unknown command ${id}`);
+            return;
+        }
+        const list = Array.isArray(keys) ? keys : [keys];
+        keymap[id] = list.map(k => {
+            const normalized = typeof k === 'string' ? normalizeKeys(k) : null;
+            if (!normalized) throw new Error(`invalid shortcut "${k}" for ${id}`);
+            return normalized;
+        });
+    });
+    return keymap;
+}
+
+/** Give every command its effective shortcuts and push them to the editors. */
+function applyKeybindings() {
+    getCommands().forEach(command => {
+        setCommandKeys(command.id, userKeymap[command.id] || command.defaultKeys);
+    });
+
+    const bindings = [];
+    getCommands().forEach(command => {
+        command.keys.forEach(keys => {
+            bindings.push({
+                key: toCodeMirrorKey(keys),
+                preventDefault: true,
+                // Disabled commands fall through to CodeMirror's own binding for the key
+                run: () => {
+                    if (!isCommandEnabled(command)) return false;
+                    runCommand(command.id);
+                    return true;
+                }
+            });
+        });
+    });
+    setCommandKeymap(bindings);
+    state.tabs.forEach(tab => {
+        if (!tab.isDoc) updateTabState(tab, { effects: keymapEffect() });
+    });
+    updateCommandTitles();
+}
+
+/** Keep the shortcut hint in toolbar tooltips in step with the keymap. */
+function updateCommandTitles() {
+    document.querySelectorAll('[data-command][title]').forEach(el => {
+        const command = getCommand(el.dataset.command);
+        if (!command) return;
+        const base = el.title.replace(/\s*\((?:[A-Z][a-z]*\+)+[^)]*\)$/, '');
+        el.title = command.keys.length ? `${base} (${command.keys[0]})` : base;
+    });
+}
+
+function reportConflicts() {
+    const [first] = getKeybindingConflicts();
+    if (!first) return;
+    const [keys, ids] = first;
+    showStatus(`Keybinding conflict: ${keys} is bound to ${ids.map(id => getCommand(id).title).join(' and ')}`, 5000);
+}
+
+async function getKeybindingsPath() {
+    if (!keybindingsPath && window.__TAURI__) {
+        const { appDataDir, join } = window.__TAURI__.path;
+        keybindingsPath = await join(await appDataDir(), 'keybindings.json');
+    }
+    return keybindingsPath;
+}
+
+async function readUserKeymap() {
+    const path = await getKeybindingsPath();
+    if (!path) return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const { exists, readTextFile } = window.__TAURI__.fs;
+    if (!(await exists(path))) return {};
+    const text = await readTextFile(path);
+    return text.trim() ? JSON.parse(text) : {};
+}
+
+async function writeUserKeymap() {
+    const text = JSON.stringify(userKeymap, null, 4);
+    const path = await getKeybindingsPath();
+    if (!path) {
+        localStorage.setItem(STORAGE_KEY, text);
+        return;
+    }
+    const { exists, createDir, writeTextFile } = window.__TAURI__.fs;
+    const { appDataDir } = window.__TAURI__.path;
+    const dir = await appDataDir();
+    if (!(await exists(dir))) await createDir(dir, { recursive: true });
+    await writeTextFile(path, text);
+}
+
+/** Read the user keymap and apply it. A broken file keeps the current bindings. */
+export async function loadKeybindings() {
+    try {
+        userKeymap = validateUserKeymap(await readUserKeymap());
+    } catch (e) {
+        console.error('Failed to load keybindings', e);
+        showStatus(`keybindings.json: ${e.message}`, 5000);
+        return;
+    }
+    applyKeybindings();
+    reportConflicts();
+}
+
+/** Called after a file is saved, so edits to keybindings.json take effect at once. */
+export async function handleKeybindingsFileSaved(path) {
+    if (path !== await getKeybindingsPath()) return;
+    await loadKeybindings();
+    renderKeybindingsList();
+}
+
+async function setUserKeys(commandId, keys) {
+    const command = getCommand(commandId);
+    if (!command) return;
+    const isDefault = keys.length === command.defaultKeys.length && keys.every((k, i) => k === command.defaultKeys[i]);
+    if (isDefault) delete userKeymap[commandId];
+    else userKeymap[commandId] = keys;
+
+    applyKeybindings();
+    renderKeybindingsList();
+    try {
+        await writeUserKeymap();
+    } catch (e) {
+        console.error('Failed to save keybindings', e);
+        showStatus('Error saving keybindings');
+    }
+}
+
+/* ── Keyboard Shortcuts editor ──────────────────────────────────── */
+
+export function openKeybindingsEditor() {
+    const modal = document.getElementById('keybindings-modal');
+    const filter = document.getElementById('keybindings-filter');
+    modal.style.display = 'flex';
+    filter.value = '';
+    renderKeybindingsList();
+    setTimeout(() => filter.focus(), 10);
+}
+
+export function closeKeybindingsEditor() {
+    capturingCommandId = null;
+    const modal = document.getElementById('keybindings-modal');
+    if (modal) modal.style.display = 'none';
+    if (state.editorView) state.editorView.focus();
+}
+
+function renderKeys(keys) {
+    if (keys.length === 0) return '<span class="keybinding-none">—</span>';
+    return keys.map(k => `<span class="command-keys">${k.split(/\+(?!$)/).map(part => `<kbd>${escapeHtml(part)}</kbd>`).join('')}</span>`).join('');
+}
+
+function renderKeybindingsList() {
+    const list = document.getElementById('keybindings-list');
+    const modal = document.getElementById('keybindings-modal');
+    if (!list || modal.style.display !== 'flex') return;
+
+    const query = document.getElementById('keybindings-filter').value.trim().toLowerCase();
+    const conflicts = getKeybindingConflicts();
+    const editorShortcuts = getEditorShortcuts();
+    const commands = getCommands()
+        .map(command => ({ command, label: command.category ? `${command.category}: ${command.title}` : command.title }))
+        .filter(({ command, label }) => !query || label.toLowerCase().includes(query) || command.keys.some(k => k.toLowerCase().includes(query)))
+        .sort((a, b) => a.label.localeCompare(b.label));
+
+    list.innerHTML = '';
+    commands.forEach(({ command, label }) => {
+        const row = document.createElement('div');
+        row.className = 'keybinding-row';
+        row.dataset.commandId = command.id;
+        const isCapturing = capturingCommandId === command.id;
+        const isCustom = !!userKeymap[command.id];
+
+        const notes = [];
+        command.keys.forEach(keys => {
+            const others = (conflicts.get(keys) || []).filter(id => id !== command.id);
+            if (others.length) notes.push(`${keys} is also bound to ${others.map(id => getCommand(id).title).join(', ')}`);
+            if (editorShortcuts.has(keys)) notes.push(`${keys} overrides a built-in editor shortcut`);
+        });
+        if (notes.some(note => note.includes('also bound'))) row.classList.add('is-conflict');
+        if (isCustom) row.classList.add('is-custom');
+
+        row.innerHTML = `
+            <div class="keybinding-label">
+                <span>${escapeHtml(label)}</span>
+                ${notes.length ? `<span class="keybinding-note">${escapeHtml(notes.join('. '))}</span>` : ''}
+            </div>
+            <div class="keybinding-keys">${isCapturing ? '<span class="keybinding-capture">Press a shortcut…</span>' : renderKeys(command.keys)}</div>
+            <div class="keybinding-actions">
+                <button class="icon-btn" data-action="edit" title="Change Shortcut">
+                    <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+                </button>
+                <button class="icon-btn" data-action="remove" title="Remove Shortcut"${command.keys.length ? '' : ' disabled'}>
+                    <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+                </button>
+                <button class="icon-btn" data-action="reset" title="Reset to Default"${isCustom ? '' : ' disabled'}>
+                    <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>
+                </button>
+            </div>`;
+        list.appendChild(row);
+    });
+
+    const summary = document.getElementById('keybindings-summary');
+    summary.textContent = conflicts.size ? `${conflicts.size} conflicting shortcut${conflicts.size !== 1 ? 's' : ''}` : '';
+}
+
+function startCapture(commandId) {
+    capturingCommandId = commandId;
+    renderKeybindingsList();
+}
+
+// Runs in the capture phase so the shortcut being recorded never reaches the app or the editor
+function handleCaptureKeydown(e) {
+    if (!capturingCommandId) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return;
+
+    const commandId = capturingCommandId;
+    capturingCommandId = null;
+    if (e.key === 'Escape') {
+        renderKeybindingsList();
+        return;
+    }
+    const keys = normalizeKeys(formatKeyParts({ ctrl: e.ctrlKey || e.metaKey, shift: e.shiftKey, alt: e.altKey, key: e.code === 'Backslash' ? '\\' : e.key === ' ' ? 'Space' : e.key }));
+    if (!keys) {
+        showStatus('That key cannot be used as a shortcut');
+        renderKeybindingsList();
+        return;
+    }
+    setUserKeys(commandId, [keys]);
+}
+
+/** Open keybindings.json in a tab, creating it first if needed. */
+export async function openKeybindingsFile() {
+    const path = await getKeybindingsPath();
+    if (!path) return showStatus('Editing keybindings.json is only supported in the app.');
+    try {
+        if (!(await window.__TAURI__.fs.exists(path))) await writeUserKeymap();
+        closeKeybindingsEditor();
+        await openFileFromHistory(path);
+        showStatus(`Save ${getFilename(path)} to apply your changes`);
+    } catch (e) {
+        console.error(e);
+        showStatus('Error opening keybindings.json');
+    }
+}
+
+export function setupKeybindings() {
+    const modal = document.getElementById('keybindings-modal');
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeKeybindingsEditor();
+    });
+    document.getElementById('keybindings-filter').addEventListener('input', renderKeybindingsList);
+    document.getElementById('keybindings-list').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const row = e.target.closest('.keybinding-row');
+        if (!button || !row) return;
+        const commandId = row.dataset.commandId;
+        if (button.dataset.action === 'edit') startCapture(commandId);
+        else if (button.dataset.action === 'remove') setUserKeys(commandId, []);
+        else if (button.dataset.action === 'reset') setUserKeys(commandId, getCommand(commandId).defaultKeys);
+    });
+    document.getElementById('keybindings-open-json').addEventListener('click', openKeybindingsFile);
+    document.getElementById('keybindings-close').addEventListener('click', closeKeybindingsEditor);
+    window.addEventListener('keydown', handleCaptureKeydown, true);
+
+    return loadKeybindings();
+}
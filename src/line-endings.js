@@ -0,0 +1,40 @@
+// line-endings.js — Line ending detection and conversion
+// CodeMirror keeps documents "\n"-only, so files are normalized on load and
+// converted back to their recorded style when written.
+
+export const lineEndings = [
+    { name: 'LF', label: 'LF (Unix / macOS)', separator: '\n' },
+    { name: 'CRLF', label: 'CRLF (Windows)', separator: '\r\n' },
+    { name: 'CR', label: 'CR (Classic Mac)', separator: '\r' }
+];
+
+export const DEFAULT_LINE_ENDING = navigator.userAgent.includes('Windows') ? 'CRLF' : 'LF';
+
+/** Returns the dominant line ending in `text`, or null when it has no line breaks. */
+export function detectLineEnding(text) {
+    if (!text) return null;
+    let crlf = 0, lf = 0, cr = 0;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        if (ch === 13) {
+            if (text.charCodeAt(i + 1) === 10) { crlf++; i++; }
+            else cr++;
+        } else if (ch === 10) {
+            lf++;
+        }
+    }
+    if (crlf === 0 && lf === 0 && cr === 0) return null;
+    if (crlf >= lf && crlf >= cr) return 'CRLF';
+    return lf >= cr ? 'LF' : 'CR';
+}
+
+export function normalizeLineEndings(text) {
+    return text ? text.replace(/\r\n?/g, '\n') : text;
+}
+
+export function applyLineEnding(text, lineEnding = DEFAULT_LINE_ENDING) {
+    const target = lineEndings.find(l => l.name === lineEnding);
+    const normalized = normalizeLineEndings(text || '');
+    if (!target || target.separator === '\n') return normalized;
+    return normalized.replace(/\n/g, target.separator);
+}
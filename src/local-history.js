@@ -0,0 +1,296 @@
+// local-history.js — Snapshots of every saved version of a file, and their timeline
+// Snapshots live in `<app data>/local-history`: index.json lists them per path
+// and each text is stored once under its hash, so unchanged saves cost nothing.
+// Once the texts outgrow the size cap the oldest snapshots are dropped first.
+import { state } from './state.js';
+import { getSetting } from './settings.js';
+import { diffHunks } from './diff.js';
+import { updateTabState } from './editor-manager.js';
+import { getTabContent } from './panes.js';
+import { renderTabs } from './tabs-ui.js';
+import { showStatus } from './status-bar.js';
+import { saveSessionDebounced } from './session.js';
+import { escapeHtml, getFilename } from './utils.js';
+
+const CONTEXT_LINES = 3;
+// Auto-saves closer together than this replace each other instead of piling up
+const AUTOSAVE_MERGE_WINDOW = 60 * 1000;
+
+// { entries: { [path]: [{ time, hash, size, isAutoSave }] } }, oldest first
+let index = null;
+// Index writes are chained so two saves never interleave their read-modify-write
+let pending = Promise.resolve();
+let timeline = null;
+
+async function getHistoryDir() {
+    const { appDataDir, join } = window.__TAURI__.path;
+    return join(await appDataDir(), 'local-history');
+}
+
+async function loadIndex() {
+    if (index) return index;
+    const { exists, readTextFile } = window.__TAURI__.fs;
+    const { join } = window.__TAURI__.path;
+    index = { entries: {} };
+    try {
+        const path = await join(await getHistoryDir(), 'index.json');
+        if (await exists(path)) index = { entries: {}, ...JSON.parse(await readTextFile(path)) };
+    } catch (e) {
+        console.warn('Could not read local history index', e);
+    }
+    return index;
+}
+
+async function writeIndex() {
+    const { writeTextFile } = window.__TAURI__.fs;
+    const { join } = window.__TAURI__.path;
+    await writeTextFile(await join(await getHistoryDir(), 'index.json'), JSON.stringify(index));
+}
+
+async function hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function blobPath(hash) {
+    const { join } = window.__TAURI__.path;
+    return join(await getHistoryDir(), 'blobs', `${hash}.txt`);
+}
+
+/**
+ * Drop snapshots past the per-file limit and the oldest ones over the size cap,
+ * then texts no snapshot uses. `dropped` holds hashes of snapshots the caller
+ * already took out of the index.
+ */
+async function pruneHistory(dropped) {
+    const maxEntries = getSetting('files.localHistoryMaxEntries');
+    const maxBytes = getSetting('files.localHistoryMaxSize') * 1024 * 1024;
+
+    for (const path of Object.keys(index.entries)) {
+        const entries = index.entries[path];
+        entries.slice(0, -maxEntries).forEach(entry => dropped.add(entry.hash));
+        index.entries[path] = entries.slice(-maxEntries);
+    }
+
+    const sizes = new Map();
+    Object.values(index.entries).flat().forEach(entry => sizes.set(entry.hash, entry.size));
+    let total = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+
+    const oldestFirst = Object.entries(index.entries)
+        .flatMap(([path, entries]) => entries.map(entry => ({ path, entry })))
+        .sort((a, b) => a.entry.time - b.entry.time);
+    for (const { path, entry } of oldestFirst) {
+        if (total <= maxBytes) break;
+        index.entries[path] = index.entries[path].filter(e => e !== entry);
+        dropped.add(entry.hash);
+        if (!Object.values(index.entries).some(entries => entries.some(e => e.hash === entry.hash))) {
+            total -= sizes.get(entry.hash);
+            sizes.delete(entry.hash);
+        }
+    }
+
+    for (const path of Object.keys(index.entries)) {
+        if (index.entries[path].length === 0) delete index.entries[path];
+    }
+
+    for (const hash of dropped) {
+        if (!sizes.has(hash)) await window.__TAURI__.fs.removeFile(await blobPath(hash)).catch(() => {});
+    }
+}
+
+/**
+ * Record `content` as the newest snapshot of `path`. Saving the same text as
+ * the newest snapshot again adds nothing.
+ */
+export function recordSnapshot(path, content, { isAutoSave = false } = {}) {
+    if (!path || !window.__TAURI__ || !getSetting('files.localHistory')) return Promise.resolve();
+
+    pending = pending.then(async () => {
+        await loadIndex();
+        const hash = await hashText(content);
+        const entries = index.entries[path] || [];
+        const latest = entries[entries.length - 1];
+        if (latest && latest.hash === hash) return;
+
+        const { exists, createDir, writeTextFile } = window.__TAURI__.fs;
+        const file = await blobPath(hash);
+        const blobsDir = await window.__TAURI__.path.join(await getHistoryDir(), 'blobs');
+        if (!(await exists(blobsDir))) await createDir(blobsDir, { recursive: true });
+        if (!(await exists(file))) await writeTextFile(file, content);
+
+        const now = Date.now();
+        const dropped = new Set();
+        // A merged auto-save replaces the previous one, whose text may now be unused
+        if (isAutoSave && latest && latest.isAutoSave && now - latest.time < AUTOSAVE_MERGE_WINDOW) dropped.add(entries.pop().hash);
+        entries.push({ time: now, hash, size: new TextEncoder().encode(content).length, isAutoSave });
+        index.entries[path] = entries;
+
+        await pruneHistory(dropped);
+        await writeIndex();
+    }).catch(e => console.error('Could not record local history', e));
+    return pending;
+}
+
+/** Snapshots of `path`, newest first. */
+export async function getSnapshots(path) {
+    if (!path || !window.__TAURI__) return [];
+    await pending;
+    await loadIndex();
+    return [...(index.entries[path] || [])].reverse();
+}
+
+export async function readSnapshot(entry) {
+    return window.__TAURI__.fs.readTextFile(await blobPath(entry.hash));
+}
+
+/* ── Timeline panel ─────────────────────────────────────────────── */
+
+function formatTime(time) {
+    const date = new Date(time);
+    const today = new Date().toDateString() === date.toDateString();
+    return today ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+function renderDiffLines(lines, kind) {
+    const sign = kind === 'removed' ? '-' : kind === 'added' ? '+' : ' ';
+    return lines.map(line => `<div class="timeline-line ${kind}"><span class="timeline-sign">${sign}</span>${escapeHtml(line) || '&nbsp;'}</div>`).join('');
+}
+
+/** Unified diff from `oldText` to `newText`, with a few lines of context around each change. */
+function renderDiff(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+    const hunks = diffHunks(a, b);
+    if (hunks.length === 0) return '<div class="timeline-empty">Same as the current text.</div>';
+
+    let html = '';
+    let ai = 0;
+    const fold = (count) => count > 0 ? `<div class="merge-fold">${count} unchanged line${count === 1 ? '' : 's'}</div>` : '';
+    hunks.forEach((hunk, i) => {
+        // Context shared with the previous hunk is shown once
+        const start = Math.max(ai, hunk.aStart - CONTEXT_LINES);
+        html += fold(start - ai) + renderDiffLines(a.slice(start, hunk.aStart), 'context');
+        html += renderDiffLines(a.slice(hunk.aStart, hunk.aEnd), 'removed');
+        html += renderDiffLines(b.slice(hunk.bStart, hunk.bEnd), 'added');
+        const next = hunks[i + 1];
+        const end = Math.min(next ? next.aStart : a.length, hunk.aEnd + CONTEXT_LINES);
+        html += renderDiffLines(a.slice(hunk.aEnd, end), 'context');
+        ai = end;
+    });
+    return html + fold(a.length - ai);
+}
+
+async function selectSnapshot(indexInList) {
+    const { tab, snapshots } = timeline;
+    const entry = snapshots[indexInList];
+    timeline.selected = indexInList;
+    document.querySelectorAll('#timeline-list .timeline-item').forEach((item, i) => {
+        item.classList.toggle('selected', i === indexInList);
+    });
+
+    const diff = document.getElementById('timeline-diff');
+    try {
+        const text = await readSnapshot(entry);
+        if (timeline?.selected !== indexInList) return;
+        timeline.text = text;
+        diff.innerHTML = renderDiff(text, getTabContent(tab));
+    } catch (e) {
+        console.error(e);
+        timeline.text = null;
+        diff.innerHTML = '<div class="timeline-empty">This snapshot could not be read.</div>';
+    }
+    document.getElementById('timeline-btn-restore').disabled = timeline.text === null;
+}
+
+function renderTimelineList() {
+    const list = document.getElementById('timeline-list');
+    const { snapshots } = timeline;
+    if (snapshots.length === 0) {
+        list.innerHTML = '<div class="timeline-empty">No snapshots yet. One is taken every time the file is saved.</div>';
+        return;
+    }
+    list.innerHTML = snapshots.map((entry, i) => `<div class="timeline-item" data-index="${i}">
+        <div class="timeline-item-text">
+            <div class="timeline-item-time">${escapeHtml(formatTime(entry.time))}</div>
+            <div class="timeline-item-meta">${entry.isAutoSave ? 'Auto-saved' : 'Saved'}</div>
+        </div>
+        <button class="merge-choice timeline-restore" data-index="${i}" title="Replace the text with this version">Restore</button>
+    </div>`).join('');
+}
+
+/** Put a snapshot into the tab as one undoable edit. */
+async function restoreSnapshot(indexInList) {
+    const { tab, snapshots } = timeline;
+    const entry = snapshots[indexInList];
+    let text;
+    try {
+        text = timeline.selected === indexInList && timeline.text !== null ? timeline.text : await readSnapshot(entry);
+    } catch (e) {
+        console.error(e);
+        return showStatus('This snapshot could not be read');
+    }
+    closeTimeline();
+    updateTabState(tab, { changes: { from: 0, to: tab.state.doc.length, insert: text } });
+    renderTabs();
+    saveSessionDebounced();
+    showStatus(`Restored ${getFilename(tab.path)} as of ${formatTime(entry.time)}`);
+}
+
+/** Show the saved versions of a tab's file, newest first, each diffed against the buffer. */
+export async function openTimeline(tabId = state.activeTabId) {
+    const tab = state.tabs.find(t => t.id === tabId);
+    if (!tab) return;
+    if (!tab.path || tab.isDoc) return showStatus('Local history is kept for saved text files');
+    if (!window.__TAURI__) return showStatus('Local history is only available in the app.');
+
+    const snapshots = await getSnapshots(tab.path);
+    timeline = { tab, snapshots, selected: -1, text: null };
+
+    document.getElementById('timeline-modal-title').textContent = `Local History: ${getFilename(tab.path)}`;
+    document.getElementById('timeline-diff').innerHTML = '';
+    document.getElementById('timeline-btn-restore').disabled = true;
+    renderTimelineList();
+    document.getElementById('timeline-modal').style.display = 'flex';
+    document.getElementById('timeline-list').focus();
+    if (snapshots.length > 0) await selectSnapshot(0);
+}
+
+export function closeTimeline() {
+    const modal = document.getElementById('timeline-modal');
+    if (modal) modal.style.display = 'none';
+    timeline = null;
+    if (state.editorView) state.editorView.focus();
+}
+
+export function setupTimeline() {
+    const modal = document.getElementById('timeline-modal');
+    if (!modal) return;
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeTimeline();
+    });
+    document.getElementById('timeline-list').addEventListener('click', (e) => {
+        if (!timeline) return;
+        const restore = e.target.closest('.timeline-restore');
+        const item = e.target.closest('.timeline-item');
+        if (restore) restoreSnapshot(parseInt(restore.dataset.index, 10));
+        else if (item) selectSnapshot(parseInt(item.dataset.index, 10));
+    });
+    modal.addEventListener('keydown', (e) => {
+        if (!timeline || timeline.snapshots.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const next = timeline.selected + (e.key === 'ArrowDown' ? 1 : -1);
+            if (next >= 0 && next < timeline.snapshots.length) {
+                selectSnapshot(next);
+                document.querySelector(`#timeline-list .timeline-item[data-index="${next}"]`)?.scrollIntoView({ block: 'nearest' });
+            }
+        } else if (e.key === 'Enter' && timeline.selected >= 0) {
+            e.preventDefault();
+            restoreSnapshot(timeline.selected);
+        }
+    });
+    document.getElementById('timeline-btn-restore').addEventListener('click', () => {
+        if (timeline && timeline.selected >= 0) restoreSnapshot(timeline.selected);
+    });
+    document.getElementById('timeline-btn-close').addEventListener('click', closeTimeline);
+}
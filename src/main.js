@@ -1,67 +1,88 @@
 // main.js — Application entry point (orchestrator)
 import { state } from './state.js';
-import { toggleLineWrapping, applyLineWrappingToState } from './editor.js';
-import { switchTab, createNewTab, closeTab, closeMultipleTabs, spawnTodoList, spawnDocProcess, closedTabsHistory, createEditorStateFromContent } from './editor-manager.js';
+import { editorSettingsEffects } from './editor.js';
+import { switchTab, createNewTab, closeTab, closeMultipleTabs, spawnTodoList, spawnDocProcess, closedTabsHistory, createEditorStateFromContent, updateTabState, splitPane, changeLineEnding, promptIndentation, detectTabIndentation, convertTabIndentation, reindentDocument } from './editor-manager.js';
+import { getActivePane, getPaneElement, getPaneTabs } from './panes.js';
 import { openFile, saveFile, deleteActiveFile } from './file-io.js';
-import { saveSession, loadSession, saveSessionDebounced } from './session.js';
+import { saveSession, loadSession, saveSessionDebounced, autoSaveDiskDebounced } from './session.js';
 import { renderTabs } from './tabs-ui.js';
-import { showStatus, updateCursorStatus, updateTitle } from './status-bar.js';
-import { loadFileHistory, addToFileHistory } from './history.js';
-import { toggleQuickOpen, closeQuickOpen, toggleGlobalSearch, closeGlobalSearch, toggleLanguageOpen, closeLanguageOpen as closeLanguageModal, setupOverlays, setupFileDrop, askConfirmUI } from './overlays.js';
+import { showStatus, updateCursorStatus, updateTitle, updateIndentStatus } from './status-bar.js';
+import { loadFileHistory } from './history.js';
+import { toggleQuickOpen, closeQuickOpen, toggleCommandPalette, closeCommandPalette, toggleGlobalSearch, closeGlobalSearch, toggleLanguageOpen, closeLanguageOpen as closeLanguageModal, toggleEncodingOpen, closeEncodingOpen, toggleThemePicker, closeThemePicker, toggleBackupPicker, closeBackupPicker, setupOverlays, setupFileDrop, closeInputUI, closeReportUI } from './overlays.js';
 import { getLanguageExtension, createEditorState, detectLanguageFromContent } from './editor.js';
-import { invoke, readTextFile, writeTextFile, openDialog, saveDialog } from './tauri-bridge.js';
+import { invoke } from './tauri-bridge.js';
 import { getFilename } from './utils.js';
+import { startFileWatcher, isWatching } from './watcher.js';
+import { closeMergeView } from './merge.js';
+import { startJournal, closeJournal } from './recovery.js';
+import { openTimeline, closeTimeline, setupTimeline } from './local-history.js';
+import { openWorkspaceSwitcher, closeWorkspaceSwitcher, setupWorkspaces, switchWorkspace, createWorkspace, saveWorkspaceAs, openWorkspaceFile, setDefaultSession } from './workspaces.js';
+import { setupExplorer, openFolder, closeFolder } from './explorer.js';
+import { registerCommand, runCommand, findCommandForEvent, bindCommandElements } from './commands.js';
+import { setupKeybindings, openKeybindingsEditor, openKeybindingsFile, closeKeybindingsEditor } from './keybindings.js';
+import { setupSettings, getSetting, setSetting, onSettingsChange, openSettingsEditor, openSettingsFile, closeSettingsEditor } from './settings.js';
+import { setupThemes, applyTheme, getActiveThemeId, openUserThemeFile } from './themes.js';
+import { changeZoom, getZoomFactor, getTabZoomLevel, updatePaneZoom } from './zoom.js';
 import './quill-init.js';
 
 /* ── Toggle helpers ─────────────────────────────────────────────── */
 
-function toggleAutoSave() {
-    state.isAutoSaveEnabled = !state.isAutoSaveEnabled;
-    localStorage.setItem('lightpad-autosave', state.isAutoSaveEnabled.toString());
-    updateAutoSaveUI();
-    showStatus(state.isAutoSaveEnabled ? 'Auto-Save Enabled' : 'Auto-Save Disabled');
-    if (state.isAutoSaveEnabled) {
-        state.tabs.forEach(tab => {
-            if (tab.isUnsaved && tab.path) {
-                import('./session.js').then(m => m.autoSaveDiskDebounced(tab, 0));
-            }
-        });
-    }
+async function toggleAutoSave() {
+    const isEnabled = !getSetting('files.autoSave');
+    await setSetting('files.autoSave', isEnabled);
+    showStatus(isEnabled ? 'Auto-Save Enabled' : 'Auto-Save Disabled');
 }
 
 function updateAutoSaveUI() {
+    const isEnabled = getSetting('files.autoSave');
     const btn = document.getElementById('btn-auto-save');
     const statusEl = document.getElementById('status-autosave');
     if (btn) {
-        if (state.isAutoSaveEnabled) btn.classList.add('active');
+        if (isEnabled) btn.classList.add('active');
         else btn.classList.remove('active');
     }
     if (statusEl) {
-        statusEl.textContent = state.isAutoSaveEnabled ? 'Auto-Save: ON' : 'Auto-Save: OFF';
+        statusEl.textContent = isEnabled ? 'Auto-Save: ON' : 'Auto-Save: OFF';
     }
 }
 
 function toggleWordWrap() {
-    state.isWordWrapEnabled = !state.isWordWrapEnabled;
-    localStorage.setItem('lightpad-wordwrap', state.isWordWrapEnabled.toString());
+    return setSetting('editor.wordWrap', !getSetting('editor.wordWrap'));
+}
+
+function updateWordWrapUI() {
     const btn = document.getElementById('btn-wordwrap');
-    if (btn) {
-        if (state.isWordWrapEnabled) btn.classList.add('active');
-        else btn.classList.remove('active');
+    if (btn) btn.classList.toggle('active', getSetting('editor.wordWrap'));
+}
+
+/* ── Settings ───────────────────────────────────────────────────── */
+
+// Runs for changes from the preferences panel, the toolbar and edits to settings.json alike
+function applySettings(changedKeys) {
+    if (changedKeys.includes('workbench.colorTheme')) applyTheme(getSetting('workbench.colorTheme'));
+    if (changedKeys.some(key => key.startsWith('editor.'))) {
+        state.tabs.forEach(tab => {
+            if (!tab.isDoc) updateTabState(tab, { effects: editorSettingsEffects(getZoomFactor(getTabZoomLevel(tab)), tab.indent) });
+        });
+        state.panes.forEach(updatePaneZoom);
+        updateIndentStatus();
     }
-    state.tabs.forEach(tab => {
-        if (!tab.isDoc && tab.state) {
-            tab.state = applyLineWrappingToState(tab.state, state.isWordWrapEnabled);
+    if (changedKeys.includes('editor.wordWrap')) updateWordWrapUI();
+    if (changedKeys.includes('files.autoSave')) {
+        updateAutoSaveUI();
+        if (getSetting('files.autoSave')) {
+            state.tabs.forEach(tab => {
+                if (tab.isUnsaved && tab.path) autoSaveDiskDebounced(tab, 0);
+            });
         }
-    });
-    if (state.editorView) toggleLineWrapping(state.editorView, state.isWordWrapEnabled);
+    }
 }
 
 /* ── Markdown preview ───────────────────────────────────────────── */
 
 function renderMarkdownPreview(content = null) {
     if (!state.isMarkdownPreviewEnabled) return;
-    const preview = document.getElementById('markdown-preview');
+    const preview = getPaneElement(getActivePane(), '.markdown-preview');
     if (!preview) return;
     let text = content;
     if (text === null) {
@@ -75,37 +96,25 @@ function renderMarkdownPreview(content = null) {
 }
 window.renderMarkdownPreview = renderMarkdownPreview;
 
+function toggleMarkdownPreview() {
+    state.isMarkdownPreviewEnabled = !state.isMarkdownPreviewEnabled;
+    const preview = getPaneElement(getActivePane(), '.markdown-preview');
+    const markdownBtn = document.getElementById('btn-markdown');
+    if (preview) preview.style.display = state.isMarkdownPreviewEnabled ? 'block' : 'none';
+    if (markdownBtn) markdownBtn.classList.toggle('active', state.isMarkdownPreviewEnabled);
+    renderMarkdownPreview();
+}
+
 /* ── Keyboard shortcuts ─────────────────────────────────────────── */
 
 window.addEventListener('keydown', async (e) => {
-    // Ctrl+Tab / Ctrl+Shift+Tab
-    if ((e.ctrlKey || e.metaKey) && e.key === 'Tab') {
-        e.preventDefault();
-        if (state.tabs.length > 1) {
-            const ci = state.tabs.findIndex(t => t.id === state.activeTabId);
-            const ni = e.shiftKey
-                ? (Math.max(0, ci) - 1 + state.tabs.length) % state.tabs.length
-                : (Math.max(0, ci) + 1) % state.tabs.length;
-            switchTab(state.tabs[ni].id);
-        }
-        return;
-    }
-    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 's') { e.preventDefault(); await saveFile(); }
-    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'o') { e.preventDefault(); await openFile(); }
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'w') { e.preventDefault(); await closeMultipleTabs([...state.tabs]); return; }
-    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'w') { e.preventDefault(); if (state.activeTabId) await closeTab(state.activeTabId); return; }
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 't') {
+    // Inside an editor the command keymap has already run the command and prevented the default
+    const command = e.defaultPrevented ? null : findCommandForEvent(e);
+    if (command) {
         e.preventDefault();
-        if (closedTabsHistory.length > 0) document.getElementById('menu-undo-close')?.click();
-        else showStatus('No recently closed tabs');
+        await runCommand(command.id);
         return;
     }
-    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 'n') { e.preventDefault(); await createNewTab(); return; }
-    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && e.key.toLowerCase() === 't') { e.preventDefault(); toggleQuickOpen(); return; }
-    if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'f') { e.preventDefault(); toggleGlobalSearch(); }
-    if ((e.ctrlKey || e.metaKey) && e.key === '1') { e.preventDefault(); spawnTodoList(); }
-    if ((e.ctrlKey || e.metaKey) && e.key === '2') { e.preventDefault(); spawnDocProcess(); }
-    if (e.altKey && e.key.toLowerCase() === 'z') { e.preventDefault(); toggleWordWrap(); }
 
     /* ── Unified popup/menu keyboard navigation ─────────────────── */
 
@@ -149,15 +158,26 @@ window.addEventListener('keydown', async (e) => {
         return; // Absorb other keys while menu is open
     }
 
-    // 2) Modal overlays (discard, link, quick-open, language, global search)
+    // 2) Modal overlays (discard, link, quick-open, command palette, language, global search)
     const activeModal = document.querySelector('.modal-overlay[style*="display: flex"], .modal-overlay[style*="display: block"]');
     if (activeModal) {
         if (e.key === 'Escape') {
             if (activeModal.id === 'discard-modal') { /* buttons handle their own cleanup */ }
             else if (activeModal.id === 'link-modal') { activeModal.style.display = 'none'; if (state.quillView) state.quillView.focus(); }
             else if (activeModal.id === 'quick-open-modal') closeQuickOpen();
+            else if (activeModal.id === 'command-palette-modal') closeCommandPalette();
             else if (activeModal.id === 'global-search-modal') closeGlobalSearch();
             else if (activeModal.id === 'language-modal') closeLanguageModal();
+            else if (activeModal.id === 'encoding-modal') closeEncodingOpen();
+            else if (activeModal.id === 'theme-modal') closeThemePicker();
+            else if (activeModal.id === 'backup-modal') closeBackupPicker();
+            else if (activeModal.id === 'timeline-modal') closeTimeline();
+            else if (activeModal.id === 'workspace-modal') closeWorkspaceSwitcher();
+            else if (activeModal.id === 'merge-modal') closeMergeView();
+            else if (activeModal.id === 'input-modal') closeInputUI();
+            else if (activeModal.id === 'report-modal') closeReportUI();
+            else if (activeModal.id === 'keybindings-modal') closeKeybindingsEditor();
+            else if (activeModal.id === 'settings-modal') closeSettingsEditor();
             return;
         }
 
@@ -238,65 +258,128 @@ function modifyEditorSelection(transformFn) {
     }
 }
 
-/* ── Session manager helpers ────────────────────────────────────── */
+/* ── Tab helpers ────────────────────────────────────────────────── */
 
-async function saveExplicitSession() {
-    if (!window.__TAURI__) return alert('Saving sessions is only supported in the app.');
-    try {
-        let activeDocContent = null;
-        const activeTab = state.tabs.find(t => t.id === state.activeTabId);
-        if (activeTab && activeTab.isDoc && state.quillView) activeDocContent = state.quillView.root.innerHTML;
-        const sessionTabs = state.tabs.map(tab => {
-            let content = null;
-            if (tab.isDoc) content = (tab.id === state.activeTabId && activeDocContent !== null) ? activeDocContent : tab.savedContent;
-            else content = (tab.id === state.activeTabId && state.editorView) ? state.editorView.state.doc.toString() : tab.state.doc.toString();
-            return { path: tab.path, title: tab.title, isTodo: tab.isTodo, isDoc: tab.isDoc, manualLanguage: tab.manualLanguage, content: tab.isUnsaved || !tab.path || tab.isTodo || tab.isDoc ? content : null };
-        });
-        const sessionData = JSON.stringify({ tabs: sessionTabs, version: 1 }, null, 2);
-        const selected = await saveDialog({ filters: [{ name: 'LightPad Session', extensions: ['lpsession'] }] });
-        if (selected) {
-            await writeTextFile(selected, sessionData);
-            state.activeSessionPath = selected;
-            updateTitle();
-            showStatus('Workspace Session saved natively');
-        }
-    } catch (e) { console.error(e); showStatus('Error saving Workspace'); }
+function cycleTab(step) {
+    const paneTabs = getPaneTabs(state.activePaneId);
+    if (paneTabs.length < 2) return;
+    const ci = Math.max(0, paneTabs.findIndex(t => t.id === state.activeTabId));
+    switchTab(paneTabs[(ci + step + paneTabs.length) % paneTabs.length].id);
 }
 
-async function loadExplicitSession() {
-    if (!window.__TAURI__) return alert('Loading sessions is only supported in the app.');
-    try {
-        const selected = await openDialog({ filters: [{ name: 'LightPad Session', extensions: ['lpsession'] }] });
-        if (selected) {
-            const rawData = await readTextFile(selected);
-            let sessionParams;
-            try { sessionParams = JSON.parse(rawData); } catch (e) { return showStatus('Invalid or corrupted Session format'); }
-            if (!sessionParams.tabs || !Array.isArray(sessionParams.tabs)) return showStatus('No valid tabs found in session file');
-            if (state.tabs.length > 0) {
-                let answer = await askConfirmUI('Close current tabs before loading the Workspace?', true);
-                if (answer === 'yes') await closeMultipleTabs(state.tabs);
-                else if (answer === 'cancel') return;
-            }
-            state.activeSessionPath = selected;
-            for (const t of sessionParams.tabs) {
-                let content = t.content;
-                if (content === null && t.path) { try { content = await readTextFile(t.path); } catch (e) { content = ''; } }
-                else if (content === undefined || content === null) content = '';
-                await createNewTab(t.path || null, content);
-                const newT = state.tabs[state.tabs.length - 1];
-                if (t.isTodo) newT.isTodo = true;
-                if (t.isDoc) newT.isDoc = true;
-                if (t.title) newT.title = t.title;
-                if (t.manualLanguage) newT.manualLanguage = t.manualLanguage;
-                if (t.path) {
-                    try { newT.lastModified = await invoke('get_file_modified', { path: t.path }); } catch (err) {}
-                    addToFileHistory(t.path);
-                }
-            }
-            updateTitle();
-            showStatus('Workspace loaded successfully');
-        }
-    } catch (e) { console.error(e); showStatus('Error loading session'); }
+async function closeOtherTabs(tabId = state.activeTabId) {
+    const target = state.tabs.find(t => t.id === tabId);
+    if (target) await closeMultipleTabs(getPaneTabs(target.paneId).filter(t => t !== target));
+}
+
+async function closeTabsToRight(tabId = state.activeTabId) {
+    const target = state.tabs.find(t => t.id === tabId);
+    if (!target) return;
+    const paneTabs = getPaneTabs(target.paneId);
+    await closeMultipleTabs(paneTabs.slice(paneTabs.indexOf(target) + 1));
+}
+
+async function reopenClosedTabs() {
+    if (closedTabsHistory.length === 0) return showStatus('No recently closed tabs');
+    window.isRestoringTab = true;
+    const batch = closedTabsHistory.pop();
+    for (let i = batch.length - 1; i >= 0; i--) {
+        const info = batch[i];
+        await createNewTab(info.path || null, info.content || '', { encoding: info.encoding, hasBom: info.hasBom, lineEnding: info.lineEnding });
+        const newTab = state.tabs[state.tabs.length - 1];
+        if (info.isTodo) newTab.isTodo = true;
+        if (info.isDoc) newTab.isDoc = true;
+        if (info.title) newTab.title = info.title;
+        if (info.manualLanguage) newTab.manualLanguage = info.manualLanguage;
+    }
+    showStatus(batch.length > 1 ? `Restored ${batch.length} tabs` : 'Tab restored');
+    window.isRestoringTab = false;
+}
+
+/* ── Commands ───────────────────────────────────────────────────── */
+
+function registerCommands() {
+    const hasTab = () => !!state.activeTabId;
+    const hasTextTab = () => {
+        const tab = state.tabs.find(t => t.id === state.activeTabId);
+        return !!tab && !tab.isDoc;
+    };
+
+    // File
+    registerCommand({ id: 'file.newTab', title: 'New Tab', category: 'File', keys: ['Ctrl+N'], run: () => createNewTab() });
+    registerCommand({ id: 'file.newTodo', title: 'New Todo List', category: 'File', keys: ['Ctrl+1'], run: spawnTodoList });
+    registerCommand({ id: 'file.newDoc', title: 'New Rich Text Document', category: 'File', keys: ['Ctrl+2'], run: spawnDocProcess });
+    registerCommand({ id: 'file.open', title: 'Open File...', category: 'File', keys: ['Ctrl+O'], run: openFile });
+    registerCommand({ id: 'file.openFolder', title: 'Open Folder...', category: 'File', keys: ['Ctrl+Shift+O'], run: () => openFolder() });
+    registerCommand({ id: 'file.closeFolder', title: 'Close Folder', category: 'File', when: () => !!state.workspaceRoot, run: () => closeFolder() });
+    registerCommand({ id: 'file.quickOpen', title: 'Quick Open Recent File', category: 'File', keys: ['Ctrl+T'], run: toggleQuickOpen });
+    registerCommand({ id: 'file.save', title: 'Save', category: 'File', keys: ['Ctrl+S'], run: saveFile });
+    registerCommand({ id: 'file.delete', title: 'Delete File', category: 'File', when: hasTab, run: deleteActiveFile });
+    registerCommand({ id: 'file.toggleAutoSave', title: 'Toggle Auto-Save', category: 'File', run: toggleAutoSave });
+    registerCommand({ id: 'file.reopenWithEncoding', title: 'Reopen with Encoding...', category: 'File', when: hasTab, run: () => toggleEncodingOpen('reopen') });
+    registerCommand({ id: 'file.saveWithEncoding', title: 'Save with Encoding...', category: 'File', when: hasTab, run: () => toggleEncodingOpen('save') });
+    registerCommand({ id: 'file.localHistory', title: 'Local History...', category: 'File', when: () => !!state.tabs.find(t => t.id === state.activeTabId)?.path, run: (tabId) => openTimeline(tabId) });
+    registerCommand({ id: 'file.restoreFromBackup', title: 'Restore from Backup...', category: 'File', when: () => !!state.tabs.find(t => t.id === state.activeTabId)?.path, run: (tabId) => toggleBackupPicker(tabId) });
+    registerCommand({ id: 'file.lineEndingLF', title: 'Change Line Endings to LF', category: 'File', when: hasTextTab, run: () => changeLineEnding('LF') });
+    registerCommand({ id: 'file.lineEndingCRLF', title: 'Change Line Endings to CRLF', category: 'File', when: hasTextTab, run: () => changeLineEnding('CRLF') });
+    registerCommand({ id: 'file.lineEndingCR', title: 'Change Line Endings to CR', category: 'File', when: hasTextTab, run: () => changeLineEnding('CR') });
+
+    // Edit
+    registerCommand({ id: 'edit.find', title: 'Find / Replace in File', category: 'Edit', keys: ['Ctrl+F'], when: hasTextTab, run: () => {
+        if (state.editorView) import('@codemirror/search').then(({ openSearchPanel }) => openSearchPanel(state.editorView));
+    } });
+    registerCommand({ id: 'edit.indentUsingSpaces', title: 'Indent Using Spaces...', category: 'Edit', when: hasTextTab, run: () => promptIndentation(false) });
+    registerCommand({ id: 'edit.indentUsingTabs', title: 'Indent Using Tabs...', category: 'Edit', when: hasTextTab, run: () => promptIndentation(true) });
+    registerCommand({ id: 'edit.detectIndentation', title: 'Detect Indentation from Content', category: 'Edit', when: hasTextTab, run: detectTabIndentation });
+    registerCommand({ id: 'edit.indentationToSpaces', title: 'Convert Indentation to Spaces', category: 'Edit', when: hasTextTab, run: () => convertTabIndentation(false) });
+    registerCommand({ id: 'edit.indentationToTabs', title: 'Convert Indentation to Tabs', category: 'Edit', when: hasTextTab, run: () => convertTabIndentation(true) });
+    registerCommand({ id: 'edit.reindentLines', title: 'Reindent Lines', category: 'Edit', when: hasTextTab, run: reindentDocument });
+    registerCommand({ id: 'edit.findInFiles', title: 'Search in Tabs or Folder', category: 'Edit', keys: ['Ctrl+Shift+F'], run: toggleGlobalSearch });
+
+    // Text transforms
+    registerCommand({ id: 'text.upperCase', title: 'Transform to UPPERCASE', category: 'Text', when: hasTab, run: () => modifyEditorSelection(t => t.toUpperCase()) });
+    registerCommand({ id: 'text.lowerCase', title: 'Transform to lowercase', category: 'Text', when: hasTab, run: () => modifyEditorSelection(t => t.toLowerCase()) });
+    registerCommand({ id: 'text.titleCase', title: 'Transform to Title Case', category: 'Text', when: hasTab, run: () => modifyEditorSelection(t => t.split(/(?<=\s|-|_)/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join('')) });
+    registerCommand({ id: 'text.sortLines', title: 'Sort Lines', category: 'Text', when: hasTab, run: () => modifyEditorSelection(t => t.split('\n').sort().join('\n')) });
+    registerCommand({ id: 'text.reverse', title: 'Reverse String', category: 'Text', when: hasTab, run: () => modifyEditorSelection(t => t.split('').reverse().join('')) });
+    registerCommand({ id: 'text.removeEmptyLines', title: 'Remove Empty Lines', category: 'Text', when: hasTab, run: () => modifyEditorSelection(t => t.split('\n').filter(l => l.trim().length > 0).join('\n')) });
+
+    // View
+    registerCommand({ id: 'view.commandPalette', title: 'Show All Commands', category: 'View', keys: ['Ctrl+Shift+P'], run: toggleCommandPalette });
+    registerCommand({ id: 'view.toggleWordWrap', title: 'Toggle Word Wrap', category: 'View', keys: ['Alt+Z'], run: toggleWordWrap });
+    registerCommand({ id: 'view.zoomIn', title: 'Zoom In', category: 'View', keys: ['Ctrl+=', 'Ctrl+Shift++', 'Ctrl++'], run: () => changeZoom(1) });
+    registerCommand({ id: 'view.zoomOut', title: 'Zoom Out', category: 'View', keys: ['Ctrl+-'], run: () => changeZoom(-1) });
+    registerCommand({ id: 'view.resetZoom', title: 'Reset Zoom', category: 'View', keys: ['Ctrl+0'], run: () => changeZoom(0) });
+    registerCommand({ id: 'view.toggleMarkdownPreview', title: 'Toggle Markdown Preview', category: 'View', run: toggleMarkdownPreview });
+    registerCommand({ id: 'view.changeLanguage', title: 'Change Language Mode...', category: 'View', when: hasTextTab, run: toggleLanguageOpen });
+    registerCommand({ id: 'view.splitRight', title: 'Split Right', category: 'View', keys: ['Ctrl+\\'], when: hasTab, run: (tabId) => splitPane('horizontal', tabId) });
+    registerCommand({ id: 'view.splitDown', title: 'Split Down', category: 'View', keys: ['Ctrl+Shift+\\'], when: hasTab, run: (tabId) => splitPane('vertical', tabId) });
+
+    // Tabs
+    registerCommand({ id: 'tabs.next', title: 'Next Tab', category: 'Tabs', keys: ['Ctrl+Tab'], run: () => cycleTab(1) });
+    registerCommand({ id: 'tabs.previous', title: 'Previous Tab', category: 'Tabs', keys: ['Ctrl+Shift+Tab'], run: () => cycleTab(-1) });
+    registerCommand({ id: 'tabs.close', title: 'Close Tab', category: 'Tabs', keys: ['Ctrl+W'], when: hasTab, run: () => closeTab(state.activeTabId) });
+    registerCommand({ id: 'tabs.closeAll', title: 'Close All Tabs', category: 'Tabs', keys: ['Ctrl+Shift+W'], run: () => closeMultipleTabs([...state.tabs]) });
+    registerCommand({ id: 'tabs.closeOthers', title: 'Close Other Tabs', category: 'Tabs', when: hasTab, run: closeOtherTabs });
+    registerCommand({ id: 'tabs.closeToRight', title: 'Close Tabs to the Right', category: 'Tabs', when: hasTab, run: closeTabsToRight });
+    registerCommand({ id: 'tabs.closeSaved', title: 'Close Saved Tabs', category: 'Tabs', run: () => closeMultipleTabs(state.tabs.filter(t => !t.isUnsaved)) });
+    registerCommand({ id: 'tabs.reopenClosed', title: 'Reopen Closed Tabs', category: 'Tabs', keys: ['Ctrl+Shift+T'], run: reopenClosedTabs });
+
+    // Sessions
+    registerCommand({ id: 'session.switch', title: 'Switch Workspace...', category: 'Session', run: openWorkspaceSwitcher });
+    registerCommand({ id: 'session.new', title: 'New Workspace...', category: 'Session', run: createWorkspace });
+    registerCommand({ id: 'session.saveAs', title: 'Save Workspace As...', category: 'Session', run: saveWorkspaceAs });
+    registerCommand({ id: 'session.load', title: 'Load Workspace...', category: 'Session', run: openWorkspaceFile });
+    registerCommand({ id: 'session.setDefault', title: 'Set as Default Session', category: 'Session', run: setDefaultSession });
+    registerCommand({ id: 'session.loadDefault', title: 'Load Default Session', category: 'Session', run: () => switchWorkspace(null) });
+
+    // Preferences
+    registerCommand({ id: 'preferences.openSettings', title: 'Settings', category: 'Preferences', keys: ['Ctrl+,'], run: openSettingsEditor });
+    registerCommand({ id: 'preferences.colorTheme', title: 'Color Theme', category: 'Preferences', run: toggleThemePicker });
+    registerCommand({ id: 'preferences.createColorTheme', title: 'Create Color Theme...', category: 'Preferences', run: openUserThemeFile });
+    registerCommand({ id: 'preferences.openSettingsFile', title: 'Open Settings (JSON)', category: 'Preferences', run: openSettingsFile });
+    registerCommand({ id: 'preferences.keyboardShortcuts', title: 'Keyboard Shortcuts', category: 'Preferences', run: openKeybindingsEditor });
+    registerCommand({ id: 'preferences.openKeybindingsFile', title: 'Open Keyboard Shortcuts (JSON)', category: 'Preferences', run: openKeybindingsFile });
 }
 
 /* ── DOMContentLoaded — wire everything ─────────────────────────── */
@@ -304,6 +387,15 @@ async function loadExplicitSession() {
 window.addEventListener('DOMContentLoaded', () => {
     const appWindow = window.__TAURI__?.window?.appWindow;
 
+    // Themes and settings are read before the session restores, so tabs open with them already applied
+    onSettingsChange(applySettings);
+    const settingsReady = setupThemes().then(setupSettings).then(() => {
+        if (!getActiveThemeId()) applyTheme(getSetting('workbench.colorTheme'));
+    });
+
+    // Crash-recovery journal, registered before the session loads so it can tell crashed instances from running ones
+    startJournal();
+
     if (window.__TAURI__) {
         // Version display
         if (window.__TAURI__.app) {
@@ -353,13 +445,23 @@ window.addEventListener('DOMContentLoaded', () => {
         // Titlebar buttons
         document.getElementById('titlebar-minimize').addEventListener('click', () => appWindow.minimize());
         document.getElementById('titlebar-maximize').addEventListener('click', () => appWindow.toggleMaximize());
-        document.getElementById('titlebar-close').addEventListener('click', async () => { saveSession(); appWindow.close(); });
+        // The window only closes once the session is stored and the journal cleared; beforeunload cannot wait for either
+        document.getElementById('titlebar-close').addEventListener('click', async () => {
+            try {
+                await saveSession();
+                await closeJournal();
+            } finally {
+                appWindow.close();
+            }
+        });
 
-        window.addEventListener('beforeunload', () => saveSession());
+        window.addEventListener('beforeunload', () => { saveSession(); closeJournal(); });
+
+        // Native watcher for open files; the focus-time mtime check below covers platforms where it is unavailable
+        startFileWatcher();
 
-        // External file modification check on focus
         window.addEventListener('focus', async () => {
-            if (!window.__TAURI__) return;
+            if (!window.__TAURI__ || isWatching()) return;
             const { handleExternalFileChange } = await import('./editor-manager.js');
             for (let tab of state.tabs) {
                 if (tab.path && !tab.isUnsaved) {
@@ -373,7 +475,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
         // Primary instance lock
         navigator.locks.request('lightpad-primary-instance', { mode: 'exclusive', ifAvailable: true }, async (lock) => {
-            if (lock) { state.isPrimaryInstance = true; loadSession(); return new Promise(() => {}); }
+            if (lock) { state.isPrimaryInstance = true; await settingsReady; loadSession(); return new Promise(() => {}); }
             else console.log("Secondary instance started, opening blank slate.");
         });
 
@@ -381,47 +483,19 @@ window.addEventListener('DOMContentLoaded', () => {
         setupFileDrop();
     } else {
         console.warn("Tauri API not found. Running in browser mode.");
-        loadSession();
+        window.addEventListener('beforeunload', closeJournal);
+        settingsReady.then(loadSession);
     }
 
     loadFileHistory();
 
-    // Toolbar buttons
-    document.getElementById('btn-open').addEventListener('click', openFile);
-    document.getElementById('btn-save').addEventListener('click', saveFile);
-    document.getElementById('btn-find').addEventListener('click', () => {
-        if (state.editorView) import('@codemirror/search').then(({ openSearchPanel }) => openSearchPanel(state.editorView));
-    });
-    document.getElementById('btn-delete')?.addEventListener('click', deleteActiveFile);
-    document.getElementById('btn-quick-open')?.addEventListener('click', toggleQuickOpen);
-    document.getElementById('btn-new-tab')?.addEventListener('click', async () => await createNewTab());
-    document.getElementById('btn-todo')?.addEventListener('click', spawnTodoList);
-    document.getElementById('btn-doc')?.addEventListener('click', spawnDocProcess);
-
-    // Word wrap
-    const wordWrapBtn = document.getElementById('btn-wordwrap');
-    if (wordWrapBtn) {
-        if (state.isWordWrapEnabled) wordWrapBtn.classList.add('active');
-        wordWrapBtn.addEventListener('click', toggleWordWrap);
-    }
-
-    // Auto-save
-    const autoSaveBtn = document.getElementById('btn-auto-save');
-    if (autoSaveBtn) {
-        autoSaveBtn.addEventListener('click', toggleAutoSave);
-        updateAutoSaveUI();
-    }
+    // Toolbar buttons and menu items run registered commands through their data-command attribute
+    registerCommands();
+    bindCommandElements();
 
-    // Markdown preview
-    const markdownBtn = document.getElementById('btn-markdown');
-    if (markdownBtn) {
-        markdownBtn.addEventListener('click', () => {
-            state.isMarkdownPreviewEnabled = !state.isMarkdownPreviewEnabled;
-            const preview = document.getElementById('markdown-preview');
-            if (state.isMarkdownPreviewEnabled) { preview.style.display = 'block'; markdownBtn.classList.add('active'); renderMarkdownPreview(); }
-            else { preview.style.display = 'none'; markdownBtn.classList.remove('active'); }
-        });
-    }
+    // Word wrap & auto-save toggles
+    updateWordWrapUI();
+    updateAutoSaveUI();
 
     // Tab bar double-click to create new tab
     const tabBarContainer = document.querySelector('.tab-bar-container');
@@ -438,12 +512,6 @@ window.addEventListener('DOMContentLoaded', () => {
     if (textFormatBtn && textFormatMenu) {
         textFormatBtn.addEventListener('click', (e) => { e.stopPropagation(); textFormatMenu.style.display = textFormatMenu.style.display === 'block' ? 'none' : 'block'; });
         document.addEventListener('click', (e) => { if (!textFormatBtn.contains(e.target) && !textFormatMenu.contains(e.target)) textFormatMenu.style.display = 'none'; });
-        document.getElementById('menu-format-upper').addEventListener('click', () => { modifyEditorSelection(t => t.toUpperCase()); textFormatMenu.style.display = 'none'; });
-        document.getElementById('menu-format-lower').addEventListener('click', () => { modifyEditorSelection(t => t.toLowerCase()); textFormatMenu.style.display = 'none'; });
-        document.getElementById('menu-format-title').addEventListener('click', () => { modifyEditorSelection(t => t.split(/(?<=\s|-|_)/).map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join('')); textFormatMenu.style.display = 'none'; });
-        document.getElementById('menu-format-sort').addEventListener('click', () => { modifyEditorSelection(t => t.split('\n').sort().join('\n')); textFormatMenu.style.display = 'none'; });
-        document.getElementById('menu-format-reverse').addEventListener('click', () => { modifyEditorSelection(t => t.split('').reverse().join('')); textFormatMenu.style.display = 'none'; });
-        document.getElementById('menu-format-remove-empty').addEventListener('click', () => { modifyEditorSelection(t => t.split('\n').filter(l => l.trim().length > 0).join('\n')); textFormatMenu.style.display = 'none'; });
     }
 
     // Session manager menu
@@ -452,65 +520,37 @@ window.addEventListener('DOMContentLoaded', () => {
     if (sessionManagerBtn && sessionMenu) {
         sessionManagerBtn.addEventListener('click', (e) => { e.stopPropagation(); sessionMenu.style.display = sessionMenu.style.display === 'block' ? 'none' : 'block'; });
         document.addEventListener('click', (e) => { if (!sessionManagerBtn.contains(e.target) && !sessionMenu.contains(e.target)) sessionMenu.style.display = 'none'; });
-        document.getElementById('menu-session-save').addEventListener('click', async () => { sessionMenu.style.display = 'none'; await saveExplicitSession(); });
-        document.getElementById('menu-session-load').addEventListener('click', async () => { sessionMenu.style.display = 'none'; await loadExplicitSession(); });
-        document.getElementById('menu-session-set-default').addEventListener('click', async () => {
-            sessionMenu.style.display = 'none';
-            if (!state.activeSessionPath && state.isPrimaryInstance) return showStatus('Already using Default Session');
-            state.isPrimaryInstance = true;
-            state.activeSessionPath = null;
-            saveSession();
-            updateTitle();
-            showStatus('Current tabs set to Default Session');
-        });
-        document.getElementById('menu-session-load-default').addEventListener('click', async () => {
-            sessionMenu.style.display = 'none';
-            if (state.tabs.length > 0) {
-                let answer = await askConfirmUI('Close current tabs before reverting to Default Session?', true);
-                if (answer === 'yes') await closeMultipleTabs(state.tabs);
-                else if (answer === 'cancel') return;
-            }
-            state.activeSessionPath = null;
-            state.isPrimaryInstance = true;
-            loadSession();
-            updateTitle();
-            showStatus('Loaded Default Session');
-        });
     }
 
-    // Context menu
+    // Tab context menu: the same commands, aimed at the right-clicked tab
     document.addEventListener('click', () => { const menu = document.getElementById('tab-context-menu'); if (menu) menu.style.display = 'none'; });
-    document.getElementById('menu-close-all')?.addEventListener('click', async () => await closeMultipleTabs([...state.tabs]));
-    document.getElementById('menu-close-others')?.addEventListener('click', async () => {
-        if (!state.contextMenuTargetId) return;
-        await closeMultipleTabs(state.tabs.filter(t => t.id !== state.contextMenuTargetId));
-    });
-    document.getElementById('menu-close-right')?.addEventListener('click', async () => {
-        if (!state.contextMenuTargetId) return;
-        const ti = state.tabs.findIndex(t => t.id === state.contextMenuTargetId);
-        if (ti !== -1) await closeMultipleTabs(state.tabs.slice(ti + 1));
-    });
-    document.getElementById('menu-close-saved')?.addEventListener('click', async () => await closeMultipleTabs(state.tabs.filter(t => !t.isUnsaved)));
-    document.getElementById('menu-undo-close')?.addEventListener('click', async () => {
-        if (closedTabsHistory.length > 0) {
-            window.isRestoringTab = true;
-            const batch = closedTabsHistory.pop();
-            for (let i = batch.length - 1; i >= 0; i--) {
-                const info = batch[i];
-                await createNewTab(info.path || null, info.content || '');
-                const newTab = state.tabs[state.tabs.length - 1];
-                if (info.isTodo) newTab.isTodo = true;
-                if (info.isDoc) newTab.isDoc = true;
-                if (info.title) newTab.title = info.title;
-                if (info.manualLanguage) newTab.manualLanguage = info.manualLanguage;
-            }
-            showStatus(batch.length > 1 ? `Restored ${batch.length} tabs` : 'Tab restored');
-            window.isRestoringTab = false;
-        } else showStatus('No recently closed tabs');
+    const tabMenuCommands = {
+        'menu-undo-close': 'tabs.reopenClosed',
+        'menu-close-all': 'tabs.closeAll',
+        'menu-close-others': 'tabs.closeOthers',
+        'menu-close-right': 'tabs.closeToRight',
+        'menu-close-saved': 'tabs.closeSaved',
+        'menu-split-right': 'view.splitRight',
+        'menu-split-down': 'view.splitDown',
+        'menu-local-history': 'file.localHistory',
+        'menu-restore-backup': 'file.restoreFromBackup'
+    };
+    Object.entries(tabMenuCommands).forEach(([menuId, commandId]) => {
+        document.getElementById(menuId)?.addEventListener('click', async () => {
+            if (state.contextMenuTargetId) await runCommand(commandId, state.contextMenuTargetId);
+        });
     });
 
     // Setup overlays (quick-open, language, global search event listeners)
     setupOverlays();
+    setupTimeline();
+    setupWorkspaces();
+
+    // Folder workspace sidebar
+    setupExplorer();
+
+    // User keymap, once every command is registered
+    setupKeybindings();
 
     // Resize shadows
     window.addEventListener('resize', () => {
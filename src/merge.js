@@ -0,0 +1,188 @@
+// merge.js — Side-by-side merge of unsaved edits with the version on disk
+// savedContent is the common ancestor: what the buffer held when it last
+// matched the file. Each changed hunk can take our lines, the disk's, or both.
+import { state } from './state.js';
+import { diff3Merge } from './diff.js';
+import { getTabContent } from './panes.js';
+import { updateTabState, setTabUnsaved, syncLinkedTabs } from './editor-manager.js';
+import { renderTabs } from './tabs-ui.js';
+import { showStatus } from './status-bar.js';
+import { saveSessionDebounced } from './session.js';
+import { invoke } from './tauri-bridge.js';
+import { escapeHtml, getFilename } from './utils.js';
+
+const CONTEXT_LINES = 3;
+let activeMerge = null;
+
+function defaultChoice(block) {
+    if (block.isConflict) return null;
+    return block.theirsChanged && !block.oursChanged ? 'theirs' : 'ours';
+}
+
+function resolvedLines(block) {
+    if (block.type === 'stable') return block.lines;
+    if (block.choice === 'theirs') return block.theirs;
+    if (block.choice === 'both') return [...block.ours, ...block.theirs];
+    return block.ours;
+}
+
+function renderLines(lines, changed) {
+    if (lines.length === 0) return `<div class="merge-line merge-line-empty"></div>`;
+    return lines.map(line => `<div class="merge-line${changed ? ' changed' : ''}">${escapeHtml(line) || '&nbsp;'}</div>`).join('');
+}
+
+function renderStable(lines, isFirst, isLast) {
+    let head = isFirst ? [] : lines.slice(0, CONTEXT_LINES);
+    let tail = isLast ? [] : lines.slice(-CONTEXT_LINES);
+    let hidden = lines.length - head.length - tail.length;
+    if (hidden <= 0) {
+        head = lines;
+        tail = [];
+        hidden = 0;
+    }
+
+    let html = '';
+    const row = (chunk) => `<div class="merge-row"><div class="merge-cell">${renderLines(chunk, false)}</div><div class="merge-cell">${renderLines(chunk, false)}</div></div>`;
+    if (head.length) html += row(head);
+    if (hidden) html += `<div class="merge-fold">${hidden} unchanged line${hidden === 1 ? '' : 's'}</div>`;
+    if (tail.length) html += row(tail);
+    return html;
+}
+
+function renderMergeView() {
+    const body = document.getElementById('merge-body');
+    const summary = document.getElementById('merge-summary');
+    const applyBtn = document.getElementById('merge-btn-apply');
+    const { blocks } = activeMerge;
+
+    body.innerHTML = blocks.map((block, index) => {
+        if (block.type === 'stable') return renderStable(block.lines, index === 0, index === blocks.length - 1);
+
+        const classes = ['merge-hunk'];
+        if (block.isConflict) classes.push('conflict');
+        if (!block.choice) classes.push('unresolved');
+        const option = (choice, label) => `<button class="merge-choice${block.choice === choice ? ' active' : ''}" data-index="${index}" data-choice="${choice}">${label}</button>`;
+        return `<div class="${classes.join(' ')}">
+            <div class="merge-row">
+                <div class="merge-cell ours">${renderLines(block.ours, block.oursChanged)}</div>
+                <div class="merge-cell theirs">${renderLines(block.theirs, block.theirsChanged)}</div>
+            </div>
+            <div class="merge-actions">
+                ${block.isConflict ? '<span class="merge-conflict-label">Conflict</span>' : ''}
+                ${option('ours', 'Use Mine')}${option('theirs', 'Use Disk')}${option('both', 'Use Both')}
+            </div>
+        </div>`;
+    }).join('');
+
+    const changes = blocks.filter(b => b.type === 'change');
+    const unresolved = changes.filter(b => !b.choice).length;
+    if (changes.length === 0) summary.textContent = 'No differences';
+    else if (unresolved > 0) summary.textContent = `${unresolved} conflict${unresolved === 1 ? '' : 's'} to resolve`;
+    else summary.textContent = `${changes.length} change${changes.length === 1 ? '' : 's'}, all resolved`;
+    applyBtn.disabled = unresolved > 0;
+}
+
+async function applyMerge() {
+    const { tab, disk, blocks } = activeMerge;
+    const merged = blocks.flatMap(resolvedLines).join('\n');
+
+    // The disk version becomes the new base; the tab stays dirty only if the merge differs from it
+    tab.savedContent = disk.content;
+    tab.savedLineEnding = disk.lineEnding;
+    tab.externalModified = null;
+    try {
+        tab.lastModified = await invoke('get_file_modified', { path: tab.path });
+    } catch (e) {}
+
+    updateTabState(tab, { changes: { from: 0, to: tab.state.doc.length, insert: merged } });
+    setTabUnsaved(tab, merged !== disk.content || tab.lineEnding !== tab.savedLineEnding);
+    syncLinkedTabs(tab);
+    renderTabs();
+    saveSessionDebounced();
+    showStatus(`Merged disk changes into ${getFilename(tab.path)}`);
+}
+
+/**
+ * Show the merge view for a tab whose file changed on disk while it had
+ * unsaved edits. Resolves true once a merge was applied, false if cancelled.
+ */
+export async function openMergeView(tab) {
+    if (!tab || tab.isDoc || !tab.path) return false;
+
+    let disk;
+    try {
+        const { readDocumentFile } = await import('./file-io.js');
+        disk = await readDocumentFile(tab.path, tab.encoding);
+    } catch (e) {
+        console.error(e);
+        showStatus(`Could not read ${getFilename(tab.path)} from disk`);
+        return false;
+    }
+
+    const base = (tab.savedContent ?? '').split('\n');
+    const blocks = diff3Merge(base, getTabContent(tab).split('\n'), disk.content.split('\n'));
+    blocks.forEach(block => {
+        if (block.type === 'change') block.choice = defaultChoice(block);
+    });
+
+    const modal = document.getElementById('merge-modal');
+    const body = document.getElementById('merge-body');
+    const btnMine = document.getElementById('merge-btn-mine');
+    const btnDisk = document.getElementById('merge-btn-disk');
+    const btnApply = document.getElementById('merge-btn-apply');
+    const btnCancel = document.getElementById('merge-btn-cancel');
+    document.getElementById('merge-modal-title').textContent = `Merge changes to ${getFilename(tab.path)}`;
+
+    return new Promise((resolve) => {
+        const setAll = (choice) => {
+            activeMerge.blocks.forEach(block => {
+                if (block.type === 'change') block.choice = choice;
+            });
+            renderMergeView();
+        };
+        const handleChoice = (e) => {
+            const btn = e.target.closest('.merge-choice');
+            if (!btn) return;
+            activeMerge.blocks[parseInt(btn.dataset.index, 10)].choice = btn.dataset.choice;
+            const scrollTop = body.scrollTop;
+            renderMergeView();
+            body.scrollTop = scrollTop;
+        };
+        const handleMine = () => setAll('ours');
+        const handleDisk = () => setAll('theirs');
+        const handleApply = async () => {
+            if (btnApply.disabled) return;
+            await applyMerge();
+            finish(true);
+        };
+        const handleCancel = () => finish(false);
+
+        const finish = (result) => {
+            modal.style.display = 'none';
+            body.removeEventListener('click', handleChoice);
+            btnMine.removeEventListener('click', handleMine);
+            btnDisk.removeEventListener('click', handleDisk);
+            btnApply.removeEventListener('click', handleApply);
+            btnCancel.removeEventListener('click', handleCancel);
+            activeMerge = null;
+            if (state.editorView) state.editorView.focus();
+            resolve(result);
+        };
+
+        activeMerge = { tab, disk, blocks, cancel: handleCancel };
+        body.addEventListener('click', handleChoice);
+        btnMine.addEventListener('click', handleMine);
+        btnDisk.addEventListener('click', handleDisk);
+        btnApply.addEventListener('click', handleApply);
+        btnCancel.addEventListener('click', handleCancel);
+
+        renderMergeView();
+        modal.style.display = 'flex';
+        const firstConflict = body.querySelector('.merge-hunk.unresolved, .merge-hunk');
+        if (firstConflict) firstConflict.scrollIntoView({ block: 'center' });
+    });
+}
+
+export function closeMergeView() {
+    if (activeMerge) activeMerge.cancel();
+}
@@ -1,14 +1,23 @@
 import { state } from './state.js';
-import { getFilename, escapeHtml } from './utils.js';
-import { switchTab, createNewTab } from './editor-manager.js';
+import { getFilename, escapeHtml, fuzzyMatch, formatAge } from './utils.js';
+import { switchTab, createNewTab, updateTabState, setTabUnsaved, syncLinkedTabs } from './editor-manager.js';
 import { renderTabs } from './tabs-ui.js';
 import { showStatus, updateCursorStatus } from './status-bar.js';
-import { saveSessionDebounced } from './session.js';
-import { getLanguageExtension, applyLanguageExtensionToState, setLanguageExtension } from './editor.js';
-import { openFileFromHistory, openDroppedPaths } from './file-io.js';
+import { saveSessionDebounced, autoSaveDiskDebounced } from './session.js';
+import { journalTab } from './recovery.js';
+import { getLanguageExtension, languageEffect } from './editor.js';
+import { getTabContent, getTabQuill, getTabView } from './panes.js';
+import { openFileFromHistory, openDroppedPaths, reopenWithEncoding, saveWithEncoding, listBackups, restoreBackup } from './file-io.js';
+import { supportedEncodings } from './encoding.js';
+import { walkFiles, readSearchableFile, writeSearchedFile, splitGlobs } from './find-in-files.js';
+import { createDetachedQuill, replaceQuillRanges } from './quill-init.js';
+import { openDialog } from './tauri-bridge.js';
+import { getCommands, runCommand } from './commands.js';
+import { getThemes, getActiveThemeId, applyTheme } from './themes.js';
+import { setSetting } from './settings.js';
 import { EditorView } from "@codemirror/view";
 
-export function askConfirmUI(message, multiple = false, showCancel = false) {
+export function askConfirmUI(message, multiple = false, showCancel = false, showMerge = false) {
     return new Promise((resolve) => {
         const modal = document.getElementById('discard-modal');
         const msg = document.getElementById('discard-modal-message');
@@ -17,11 +26,13 @@ export function askConfirmUI(message, multiple = false, showCancel = false) {
         const btnYTA = document.getElementById('modal-btn-yestoall');
         const btnNTA = document.getElementById('modal-btn-notoall');
         const btnCancel = document.getElementById('modal-btn-cancel');
+        const btnMerge = document.getElementById('modal-btn-merge');
 
         msg.textContent = message;
         btnYTA.style.display = multiple ? 'inline-block' : 'none';
         if (btnNTA) btnNTA.style.display = multiple ? 'inline-block' : 'none';
         if (btnCancel) btnCancel.style.display = showCancel ? 'inline-block' : 'none';
+        if (btnMerge) btnMerge.style.display = showMerge ? 'inline-block' : 'none';
         modal.style.display = 'flex';
 
         const handleYes = () => { cleanup(); resolve('yes'); };
@@ -29,6 +40,7 @@ export function askConfirmUI(message, multiple = false, showCancel = false) {
         const handleYTA = () => { cleanup(); resolve('all'); };
         const handleNTA = () => { cleanup(); resolve('no_all'); };
         const handleCancel = () => { cleanup(); resolve('cancel'); };
+        const handleMerge = () => { cleanup(); resolve('merge'); };
 
         const cleanup = () => {
             modal.style.display = 'none';
@@ -37,6 +49,7 @@ export function askConfirmUI(message, multiple = false, showCancel = false) {
             btnYTA.removeEventListener('click', handleYTA);
             if (btnNTA) btnNTA.removeEventListener('click', handleNTA);
             if (btnCancel) btnCancel.removeEventListener('click', handleCancel);
+            if (btnMerge) btnMerge.removeEventListener('click', handleMerge);
         };
 
         btnYes.addEventListener('click', handleYes);
@@ -44,6 +57,7 @@ export function askConfirmUI(message, multiple = false, showCancel = false) {
         btnYTA.addEventListener('click', handleYTA);
         if (btnNTA) btnNTA.addEventListener('click', handleNTA);
         if (btnCancel) btnCancel.addEventListener('click', handleCancel);
+        if (btnMerge) btnMerge.addEventListener('click', handleMerge);
 
         // Auto-focus the Yes button for fluid keyboard usage
         setTimeout(() => btnYes.focus(), 10);
@@ -99,6 +113,92 @@ export function askLinkUI(defaultText = '', defaultUrl = '') {
     });
 }
 
+let cancelInputUI = null;
+const MAX_REPORTED_PROBLEMS = 20;
+
+/** Single-line prompt. Resolves the entered text, or null when cancelled. */
+export function askInputUI(title, defaultValue = '', placeholder = '') {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('input-modal');
+        const input = document.getElementById('input-modal-value');
+        const btnOk = document.getElementById('input-modal-ok');
+        const btnCancel = document.getElementById('input-modal-cancel');
+
+        document.getElementById('input-modal-title').textContent = title;
+        input.value = defaultValue;
+        input.placeholder = placeholder;
+        modal.style.display = 'flex';
+
+        const cleanup = () => {
+            modal.style.display = 'none';
+            cancelInputUI = null;
+            btnOk.removeEventListener('click', handleOk);
+            btnCancel.removeEventListener('click', handleCancel);
+            input.removeEventListener('keydown', handleKey);
+        };
+
+        const handleOk = () => { cleanup(); resolve(input.value); };
+        const handleCancel = () => { cleanup(); resolve(null); };
+
+        const handleKey = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handleOk();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                handleCancel();
+            }
+        };
+
+        cancelInputUI = handleCancel;
+        btnOk.addEventListener('click', handleOk);
+        btnCancel.addEventListener('click', handleCancel);
+        input.addEventListener('keydown', handleKey);
+
+        setTimeout(() => {
+            input.focus();
+            // Select the name without its extension, so renaming keeps the file type
+            const dot = defaultValue.lastIndexOf('.');
+            input.setSelectionRange(0, dot > 0 ? dot : defaultValue.length);
+        }, 10);
+    });
+}
+
+export function closeInputUI() {
+    if (cancelInputUI) cancelInputUI();
+}
+
+let closeReport = null;
+
+/** Explain a failure with a list of its problems. Resolves once dismissed. */
+export function showReportUI(title, message, problems = []) {
+    return new Promise((resolve) => {
+        const modal = document.getElementById('report-modal');
+        const btnOk = document.getElementById('report-modal-ok');
+        const shown = problems.slice(0, MAX_REPORTED_PROBLEMS);
+        if (problems.length > shown.length) shown.push(`...and ${problems.length - shown.length} more`);
+
+        document.getElementById('report-modal-title').textContent = title;
+        document.getElementById('report-modal-message').textContent = message;
+        document.getElementById('report-modal-list').innerHTML = shown.map(p => `<li>${escapeHtml(p)}</li>`).join('');
+        modal.style.display = 'flex';
+
+        const handleOk = () => {
+            modal.style.display = 'none';
+            closeReport = null;
+            btnOk.removeEventListener('click', handleOk);
+            resolve();
+        };
+        closeReport = handleOk;
+        btnOk.addEventListener('click', handleOk);
+        setTimeout(() => btnOk.focus(), 10);
+    });
+}
+
+export function closeReportUI() {
+    if (closeReport) closeReport();
+}
+
 /* -------------------------------------------------------------------------- */
 /* Quick Open Palette Logic                                                   */
 /* -------------------------------------------------------------------------- */
@@ -275,19 +375,8 @@ async function setManualLanguage(ext) {
 
     tab.manualLanguage = ext;
 
-    let content = '';
-    if (state.editorView) {
-        content = state.editorView.state.doc.toString();
-    } else {
-        content = tab.state.doc.toString();
-    }
-
-    const extensions = await getLanguageExtension(tab.path, content, ext);
-    tab.state = applyLanguageExtensionToState(tab.state, extensions);
-
-    if (state.editorView) {
-        setLanguageExtension(state.editorView, extensions);
-    }
+    const extensions = await getLanguageExtension(tab.path, getTabContent(tab), ext);
+    updateTabState(tab, { effects: languageEffect(extensions) });
 
     saveSessionDebounced();
     updateCursorStatus(state.editorView);
@@ -374,247 +463,1086 @@ function renderLanguageResults() {
 }
 
 /* -------------------------------------------------------------------------- */
-/* Global Search & Replace                                                    */
+/* Encoding Selection Palette Logic                                           */
 /* -------------------------------------------------------------------------- */
 
-let globalSearchMatches = [];
+let encodingSelectedIndex = -1;
+let currentEncodingMatches = [];
+let encodingPaletteMode = 'reopen';
 
-export function toggleGlobalSearch() {
-    const modal = document.getElementById('global-search-modal');
-    const input = document.getElementById('global-search-input');
+export function toggleEncodingOpen(mode = 'reopen') {
+    const modal = document.getElementById('encoding-modal');
+    const input = document.getElementById('encoding-input');
     if (!modal || !input) return;
 
-    if (modal.style.display === 'flex') {
-        closeGlobalSearch();
+    if (modal.style.display === 'flex' && encodingPaletteMode === mode) {
+        closeEncodingOpen();
     } else {
+        encodingPaletteMode = mode;
         modal.style.display = 'flex';
         input.value = '';
-        document.getElementById('global-replace-input').value = '';
-        document.getElementById('global-search-results').innerHTML = '';
-        globalSearchMatches = [];
+        input.placeholder = mode === 'save' ? 'Save with Encoding...' : 'Reopen with Encoding...';
+        renderEncodingResults();
         setTimeout(() => input.focus(), 10);
     }
 }
 
-export function closeGlobalSearch() {
-    const modal = document.getElementById('global-search-modal');
+export function closeEncodingOpen() {
+    const modal = document.getElementById('encoding-modal');
     if (modal) modal.style.display = 'none';
     if (state.editorView) state.editorView.focus();
 }
 
-function performGlobalSearch() {
-    const query = document.getElementById('global-search-input').value;
-    const matchCase = document.getElementById('global-search-case').checked;
-    const resultsContainer = document.getElementById('global-search-results');
+async function selectEncoding(match) {
+    closeEncodingOpen();
+    if (encodingPaletteMode === 'save') await saveWithEncoding(match.encoding, match.hasBom);
+    else await reopenWithEncoding(match.encoding);
+}
 
-    globalSearchMatches = [];
-    resultsContainer.innerHTML = '';
+function updateEncodingSelection() {
+    const results = document.getElementById('encoding-results');
+    if (!results) return;
+
+    const items = results.querySelectorAll('.quick-open-item');
+    items.forEach((item, index) => {
+        if (index === encodingSelectedIndex) {
+            item.classList.add('selected');
+            item.scrollIntoView({ block: 'nearest' });
+        } else {
+            item.classList.remove('selected');
+        }
+    });
+}
 
-    if (!query) return;
+function renderEncodingResults() {
+    const input = document.getElementById('encoding-input');
+    const results = document.getElementById('encoding-results');
+    if (!input || !results) return;
 
-    state.tabs.forEach(tab => {
-        let content = '';
-        if (tab.id === state.activeTabId && state.editorView && !tab.isDoc) {
-            content = state.editorView.state.doc.toString();
-        } else if (tab.id === state.activeTabId && state.quillView && tab.isDoc) {
-            content = state.quillView.getText();
-        } else if (tab.state) {
-            content = tab.state.doc.toString();
+    const query = input.value.toLowerCase();
+    const activeTab = state.tabs.find(t => t.id === state.activeTabId);
+
+    // Reopening only cares about the decoder, so BOM variants collapse into one entry
+    let candidates = supportedEncodings;
+    if (encodingPaletteMode === 'reopen') {
+        candidates = supportedEncodings.filter((enc, i) => supportedEncodings.findIndex(e => e.encoding === enc.encoding) === i);
+    }
+
+    currentEncodingMatches = candidates.filter(enc => !query || enc.name.toLowerCase().includes(query));
+
+    results.innerHTML = '';
+    encodingSelectedIndex = currentEncodingMatches.length > 0 ? 0 : -1;
+
+    if (currentEncodingMatches.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'quick-open-empty';
+        emptyState.textContent = 'No matching encodings found.';
+        results.appendChild(emptyState);
+        return;
+    }
+
+    currentEncodingMatches.forEach((match, index) => {
+        const itemEl = document.createElement('div');
+        itemEl.className = `quick-open-item ${index === 0 ? 'selected' : ''}`;
+
+        const nameEl = document.createElement('div');
+        nameEl.className = 'quick-open-filename';
+
+        if (query && match.name.toLowerCase().includes(query)) {
+            const startIdx = match.name.toLowerCase().indexOf(query);
+            const before = match.name.substring(0, startIdx);
+            const hl = match.name.substring(startIdx, startIdx + query.length);
+            const after = match.name.substring(startIdx + query.length);
+            nameEl.innerHTML = `${escapeHtml(before)}<span class="q-match">${escapeHtml(hl)}</span>${escapeHtml(after)}`;
         } else {
-            content = tab.savedContent || '';
+            nameEl.textContent = match.name;
         }
+        itemEl.appendChild(nameEl);
 
-        const lines = content.split('\n');
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const searchLine = matchCase ? line : line.toLowerCase();
-            const searchQuery = matchCase ? query : query.toLowerCase();
-
-            const col = searchLine.indexOf(searchQuery);
-            if (col !== -1) {
-                globalSearchMatches.push({
-                    tabId: tab.id,
-                    filename: getFilename(tab.path) || tab.title,
-                    line: i + 1,
-                    col: col + 1,
-                    text: line.trim() || '...',
-                    fullLineText: line
-                });
-            }
+        const isCurrent = activeTab && activeTab.encoding === match.encoding &&
+            (encodingPaletteMode === 'reopen' || !!activeTab.hasBom === match.hasBom);
+        if (isCurrent) {
+            const pathEl = document.createElement('div');
+            pathEl.className = 'quick-open-path';
+            pathEl.textContent = 'Current encoding';
+            itemEl.appendChild(pathEl);
         }
+
+        itemEl.addEventListener('click', async () => {
+            await selectEncoding(match);
+        });
+
+        itemEl.addEventListener('mouseenter', () => {
+            encodingSelectedIndex = index;
+            updateEncodingSelection();
+        });
+
+        results.appendChild(itemEl);
     });
+}
 
-    renderGlobalSearchResults();
+/* -------------------------------------------------------------------------- */
+/* Backup Palette Logic                                                       */
+/* -------------------------------------------------------------------------- */
+
+let backupSelectedIndex = -1;
+let currentBackups = [];
+let backupTabId = null;
+
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
 }
 
-function renderGlobalSearchResults() {
-    const resultsContainer = document.getElementById('global-search-results');
-    const query = document.getElementById('global-search-input').value;
-    resultsContainer.innerHTML = '';
+/** List the backups kept for a tab's file; picking one puts its text into the tab. */
+export async function toggleBackupPicker(tabId = state.activeTabId) {
+    const modal = document.getElementById('backup-modal');
+    const input = document.getElementById('backup-input');
+    if (!modal || !input) return;
 
-    if (globalSearchMatches.length === 0) {
-        const noRes = document.createElement('div');
-        noRes.className = 'gs-empty';
-        noRes.textContent = 'No matches found in open tabs.';
-        resultsContainer.appendChild(noRes);
+    if (modal.style.display === 'flex') {
+        closeBackupPicker();
         return;
     }
 
-    const grouped = {};
-    globalSearchMatches.forEach(match => {
-        if (!grouped[match.tabId]) {
-            grouped[match.tabId] = { filename: match.filename, matches: [] };
+    const tab = state.tabs.find(t => t.id === tabId);
+    if (!tab) return;
+    if (!tab.path) return showStatus('Only saved files have backups');
+
+    try {
+        currentBackups = await listBackups(tab.path);
+    } catch (e) {
+        console.error(e);
+        return showStatus('Error reading backups');
+    }
+    backupTabId = tabId;
+    modal.style.display = 'flex';
+    input.value = '';
+    input.placeholder = `Restore ${getFilename(tab.path)} from backup...`;
+    renderBackupResults();
+    setTimeout(() => input.focus(), 10);
+}
+
+export function closeBackupPicker() {
+    const modal = document.getElementById('backup-modal');
+    if (modal) modal.style.display = 'none';
+    if (state.editorView) state.editorView.focus();
+}
+
+async function selectBackup(backup) {
+    closeBackupPicker();
+    const tab = state.tabs.find(t => t.id === backupTabId);
+    if (tab) await restoreBackup(tab, backup);
+}
+
+function updateBackupSelection() {
+    const results = document.getElementById('backup-results');
+    if (!results) return;
+
+    const items = results.querySelectorAll('.quick-open-item');
+    items.forEach((item, index) => {
+        if (index === backupSelectedIndex) {
+            item.classList.add('selected');
+            item.scrollIntoView({ block: 'nearest' });
+        } else {
+            item.classList.remove('selected');
         }
-        grouped[match.tabId].matches.push(match);
     });
+}
 
-    const countEl = document.createElement('div');
-    countEl.className = 'gs-count';
-    countEl.textContent = `${globalSearchMatches.length} result${globalSearchMatches.length !== 1 ? 's' : ''} in ${Object.keys(grouped).length} file${Object.keys(grouped).length !== 1 ? 's' : ''}`;
-    resultsContainer.appendChild(countEl);
-
-    Object.keys(grouped).forEach(tabId => {
-        const group = grouped[tabId];
-        const fileHeader = document.createElement('div');
-        fileHeader.className = 'gs-file-header';
-        fileHeader.innerHTML = `<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg><span>${group.filename}</span><span class="gs-file-count">${group.matches.length}</span>`;
-        resultsContainer.appendChild(fileHeader);
-
-        group.matches.forEach(match => {
-            const item = document.createElement('div');
-            item.className = 'gs-result-item';
-
-            const lineNum = document.createElement('span');
-            lineNum.className = 'gs-line-num';
-            lineNum.textContent = match.line;
-
-            const snippet = document.createElement('span');
-            snippet.className = 'gs-snippet';
-
-            const trimmedText = match.text;
-            const matchCase = document.getElementById('global-search-case')?.checked;
-            const searchText = matchCase ? trimmedText : trimmedText.toLowerCase();
-            const searchQuery = matchCase ? query : query.toLowerCase();
-            const matchIdx = searchText.indexOf(searchQuery);
-
-            if (matchIdx !== -1) {
-                const before = trimmedText.substring(0, matchIdx);
-                const hl = trimmedText.substring(matchIdx, matchIdx + query.length);
-                const after = trimmedText.substring(matchIdx + query.length);
-                snippet.innerHTML = `${escapeHtml(before)}<span class="gs-highlight">${escapeHtml(hl)}</span>${escapeHtml(after)}`;
-            } else {
-                snippet.textContent = trimmedText;
-            }
+function getVisibleBackups() {
+    const input = document.getElementById('backup-input');
+    const query = input ? input.value.toLowerCase() : '';
+    return currentBackups.filter(backup => !query || new Date(backup.savedAt).toLocaleString().toLowerCase().includes(query));
+}
 
-            item.appendChild(lineNum);
-            item.appendChild(snippet);
-
-            item.addEventListener('click', () => {
-                const searchLen = query.length;
-                switchTab(match.tabId);
-                closeGlobalSearch();
-
-                requestAnimationFrame(() => {
-                    const tab = state.tabs.find(t => t.id === match.tabId);
-                    if (state.editorView && tab && !tab.isDoc) {
-                        try {
-                            const lineInfo = state.editorView.state.doc.line(match.line);
-                            const from = lineInfo.from + match.col - 1;
-                            const to = from + searchLen;
-                            state.editorView.dispatch({
-                                selection: { anchor: from, head: to },
-                                effects: EditorView.scrollIntoView(from, { y: "center" })
-                            });
-                            state.editorView.focus();
-                        } catch (e) {
-                            console.warn('Failed to navigate to search result', e);
-                        }
-                    }
-                });
-            });
+function renderBackupResults() {
+    const results = document.getElementById('backup-results');
+    if (!results) return;
+
+    const backups = getVisibleBackups();
+    results.innerHTML = '';
+    backupSelectedIndex = backups.length > 0 ? 0 : -1;
+
+    if (backups.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'quick-open-empty';
+        emptyState.textContent = currentBackups.length === 0 ? 'No backups of this file yet.' : 'No matching backups found.';
+        results.appendChild(emptyState);
+        return;
+    }
+
+    backups.forEach((backup, index) => {
+        const itemEl = document.createElement('div');
+        itemEl.className = `quick-open-item ${index === 0 ? 'selected' : ''}`;
 
-            resultsContainer.appendChild(item);
+        const nameEl = document.createElement('div');
+        nameEl.className = 'quick-open-filename';
+        nameEl.textContent = new Date(backup.savedAt).toLocaleString();
+        itemEl.appendChild(nameEl);
+
+        const pathEl = document.createElement('div');
+        pathEl.className = 'quick-open-path';
+        pathEl.textContent = `${formatAge(backup.savedAt)} · ${formatSize(backup.size)}`;
+        itemEl.appendChild(pathEl);
+
+        itemEl.addEventListener('click', async () => {
+            await selectBackup(backup);
+        });
+
+        itemEl.addEventListener('mouseenter', () => {
+            backupSelectedIndex = index;
+            updateBackupSelection();
         });
+
+        results.appendChild(itemEl);
     });
 }
 
-function performGlobalReplaceAll() {
-    const query = document.getElementById('global-search-input').value;
-    const replaceWith = document.getElementById('global-replace-input').value;
-    const matchCase = document.getElementById('global-search-case').checked;
+/* -------------------------------------------------------------------------- */
+/* Color Theme Palette Logic                                                  */
+/* -------------------------------------------------------------------------- */
+
+let themeSelectedIndex = -1;
+let currentThemeMatches = [];
+let themeBeforePicker = null;
 
-    if (!query) return;
+export function toggleThemePicker() {
+    const modal = document.getElementById('theme-modal');
+    const input = document.getElementById('theme-input');
+    if (!modal || !input) return;
 
-    let totalReplaced = 0;
+    if (modal.style.display === 'flex') {
+        closeThemePicker();
+    } else {
+        themeBeforePicker = getActiveThemeId();
+        modal.style.display = 'flex';
+        input.value = '';
+        renderThemeResults();
+        setTimeout(() => input.focus(), 10);
+    }
+}
 
-    state.tabs.forEach(tab => {
-        let content = '';
-        if (tab.id === state.activeTabId && state.editorView && !tab.isDoc) {
-            content = state.editorView.state.doc.toString();
-        } else if (tab.id === state.activeTabId && state.quillView && tab.isDoc) {
-            content = state.quillView.getText();
-        } else if (tab.state) {
-            content = tab.state.doc.toString();
+/** Close without choosing; a theme previewed with the arrow keys is undone. */
+export function closeThemePicker() {
+    const modal = document.getElementById('theme-modal');
+    if (modal) modal.style.display = 'none';
+    if (themeBeforePicker && getActiveThemeId() !== themeBeforePicker) applyTheme(themeBeforePicker);
+    themeBeforePicker = null;
+    if (state.editorView) state.editorView.focus();
+}
+
+async function selectTheme(match) {
+    themeBeforePicker = null;
+    closeThemePicker();
+    applyTheme(match.id);
+    await setSetting('workbench.colorTheme', match.id);
+}
+
+function updateThemeSelection(preview = false) {
+    const results = document.getElementById('theme-results');
+    if (!results) return;
+
+    const items = results.querySelectorAll('.quick-open-item');
+    items.forEach((item, index) => {
+        if (index === themeSelectedIndex) {
+            item.classList.add('selected');
+            item.scrollIntoView({ block: 'nearest' });
         } else {
-            content = tab.savedContent || '';
+            item.classList.remove('selected');
         }
+    });
+    if (preview && currentThemeMatches[themeSelectedIndex]) applyTheme(currentThemeMatches[themeSelectedIndex].id);
+}
+
+function renderThemeResults() {
+    const input = document.getElementById('theme-input');
+    const results = document.getElementById('theme-results');
+    if (!input || !results) return;
 
-        if (!content) return;
+    const query = input.value.toLowerCase();
+    currentThemeMatches = getThemes().filter(theme => !query || theme.name.toLowerCase().includes(query));
 
-        let regexFlags = 'g';
-        if (!matchCase) regexFlags += 'i';
+    results.innerHTML = '';
+    const currentIndex = currentThemeMatches.findIndex(theme => theme.id === themeBeforePicker);
+    themeSelectedIndex = currentThemeMatches.length > 0 ? Math.max(currentIndex, 0) : -1;
 
-        const escapedQuery = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const regex = new RegExp(escapedQuery, regexFlags);
+    if (currentThemeMatches.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'quick-open-empty';
+        emptyState.textContent = 'No matching themes found.';
+        results.appendChild(emptyState);
+        return;
+    }
 
-        if (regex.test(content)) {
-            const matchesCount = (content.match(regex) || []).length;
-            totalReplaced += matchesCount;
-            const newContent = content.replace(regex, replaceWith);
+    currentThemeMatches.forEach((match, index) => {
+        const itemEl = document.createElement('div');
+        itemEl.className = `quick-open-item ${index === themeSelectedIndex ? 'selected' : ''}`;
 
-            if (tab.id === state.activeTabId && state.editorView && !tab.isDoc) {
-                state.editorView.dispatch({
-                    changes: { from: 0, to: state.editorView.state.doc.length, insert: newContent }
-                });
-            } else if (tab.id === state.activeTabId && state.quillView && tab.isDoc) {
-                state.quillView.setText(newContent);
-            } else if (tab.state) {
-                tab.state = tab.state.update({
-                    changes: { from: 0, to: tab.state.doc.length, insert: newContent }
-                }).state;
-            } else {
-                tab.savedContent = newContent;
-            }
-            tab.isUnsaved = true;
-            tab.needsRender = true;
+        const nameEl = document.createElement('div');
+        nameEl.className = 'quick-open-filename';
+        if (query) {
+            const startIdx = match.name.toLowerCase().indexOf(query);
+            const before = match.name.substring(0, startIdx);
+            const hl = match.name.substring(startIdx, startIdx + query.length);
+            const after = match.name.substring(startIdx + query.length);
+            nameEl.innerHTML = `${escapeHtml(before)}<span class="q-match">${escapeHtml(hl)}</span>${escapeHtml(after)}`;
+        } else {
+            nameEl.textContent = match.name;
         }
-    });
+        itemEl.appendChild(nameEl);
 
-    if (totalReplaced > 0) {
-        showStatus(`Replaced ${totalReplaced} occurrence(s) left in open tabs.`);
-        renderTabs();
-        saveSessionDebounced();
-        performGlobalSearch();
-    } else {
-        showStatus(`No occurrences found to replace.`);
-    }
+        const pathEl = document.createElement('div');
+        pathEl.className = 'quick-open-path';
+        const kind = match.type === 'light' ? 'Light' : 'Dark';
+        pathEl.textContent = match.id === themeBeforePicker ? `${kind} · Current theme` : `${kind}${match.isUser ? ' · User theme' : ''}`;
+        itemEl.appendChild(pathEl);
+
+        itemEl.addEventListener('click', async () => {
+            await selectTheme(match);
+        });
+
+        itemEl.addEventListener('mouseenter', () => {
+            themeSelectedIndex = index;
+            updateThemeSelection();
+        });
+
+        results.appendChild(itemEl);
+    });
 }
 
 /* -------------------------------------------------------------------------- */
-/* Setup Event Listeners                                                      */
+/* Command Palette Logic                                                      */
 /* -------------------------------------------------------------------------- */
 
-export function setupOverlays() {
-    // Quick Open
-    const qModal = document.getElementById('quick-open-modal');
-    if (qModal) {
-        qModal.addEventListener('click', (e) => {
-            if (e.target === qModal) closeQuickOpen();
-        });
-    }
+let commandSelectedIndex = -1;
+let currentCommandMatches = [];
 
-    const qInput = document.getElementById('quick-open-input');
-    if (qInput) {
+export function toggleCommandPalette() {
+    const modal = document.getElementById('command-palette-modal');
+    const input = document.getElementById('command-palette-input');
+    if (!modal || !input) return;
+
+    if (modal.style.display === 'flex') {
+        closeCommandPalette();
+    } else {
+        modal.style.display = 'flex';
+        input.value = '';
+        renderCommandResults();
+        setTimeout(() => input.focus(), 10);
+    }
+}
+
+export function closeCommandPalette() {
+    const modal = document.getElementById('command-palette-modal');
+    if (modal) modal.style.display = 'none';
+    if (state.editorView) state.editorView.focus();
+}
+
+async function runPaletteCommand(command) {
+    closeCommandPalette();
+    await runCommand(command.id);
+}
+
+function getCommandLabel(command) {
+    return command.category ? `${command.category}: ${command.title}` : command.title;
+}
+
+function highlightPositions(text, positions) {
+    const marked = new Set(positions);
+    let html = '';
+    for (let i = 0; i < text.length; i++) {
+        html += marked.has(i) ? `<span class="q-match">${escapeHtml(text[i])}</span>` : escapeHtml(text[i]);
+    }
+    return html;
+}
+
+function updateCommandSelection() {
+    const results = document.getElementById('command-palette-results');
+    if (!results) return;
+
+    const items = results.querySelectorAll('.quick-open-item');
+    items.forEach((item, index) => {
+        if (index === commandSelectedIndex) {
+            item.classList.add('selected');
+            item.scrollIntoView({ block: 'nearest' });
+        } else {
+            item.classList.remove('selected');
+        }
+    });
+}
+
+function renderCommandResults() {
+    const input = document.getElementById('command-palette-input');
+    const results = document.getElementById('command-palette-results');
+    if (!input || !results) return;
+
+    const query = input.value.trim();
+    const candidates = getCommands(true).filter(command => command.id !== 'view.commandPalette');
+
+    if (!query) {
+        currentCommandMatches = candidates
+            .map(command => ({ command, label: getCommandLabel(command), positions: [] }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+    } else {
+        currentCommandMatches = candidates
+            .map(command => {
+                const label = getCommandLabel(command);
+                const match = fuzzyMatch(query, label);
+                return match ? { command, label, ...match } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label));
+    }
+
+    results.innerHTML = '';
+    commandSelectedIndex = currentCommandMatches.length > 0 ? 0 : -1;
+
+    if (currentCommandMatches.length === 0) {
+        const emptyState = document.createElement('div');
+        emptyState.className = 'quick-open-empty';
+        emptyState.textContent = 'No matching commands found.';
+        results.appendChild(emptyState);
+        return;
+    }
+
+    currentCommandMatches.forEach((match, index) => {
+        const itemEl = document.createElement('div');
+        itemEl.className = `quick-open-item command-item ${index === 0 ? 'selected' : ''}`;
+
+        const nameEl = document.createElement('div');
+        nameEl.className = 'quick-open-filename';
+        nameEl.innerHTML = highlightPositions(match.label, match.positions);
+        itemEl.appendChild(nameEl);
+
+        if (match.command.keys.length > 0) {
+            const keysEl = document.createElement('div');
+            keysEl.className = 'command-keys';
+            match.command.keys[0].split('+').forEach(key => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                keysEl.appendChild(kbd);
+            });
+            itemEl.appendChild(keysEl);
+        }
+
+        itemEl.addEventListener('click', async () => {
+            await runPaletteCommand(match.command);
+        });
+
+        itemEl.addEventListener('mouseenter', () => {
+            commandSelectedIndex = index;
+            updateCommandSelection();
+        });
+
+        results.appendChild(itemEl);
+    });
+}
+
+/* -------------------------------------------------------------------------- */
+/* Global Search & Replace                                                    */
+/* -------------------------------------------------------------------------- */
+
+const MAX_GLOBAL_SEARCH_RESULTS = 5000;
+const SNIPPET_CONTEXT = 40;
+let globalSearchMatches = [];
+let globalSearchGroups = [];
+let globalSearchFolder = null;
+let isGlobalSearchFolderPicked = false;
+let globalSearchRun = 0;
+let globalSearchKey = '';
+let isGlobalSearchDone = false;
+let isGlobalSearchTruncated = false;
+
+export function toggleGlobalSearch() {
+    const modal = document.getElementById('global-search-modal');
+    const input = document.getElementById('global-search-input');
+    if (!modal || !input) return;
+
+    if (modal.style.display === 'flex') {
+        closeGlobalSearch();
+    } else {
+        // Follow the workspace folder unless another folder was picked by hand
+        if (state.workspaceRoot && (!globalSearchFolder || !isGlobalSearchFolderPicked)) {
+            if (!globalSearchFolder) document.getElementById('global-search-folder').checked = true;
+            globalSearchFolder = state.workspaceRoot;
+        }
+        updateGlobalSearchScopeUI();
+
+        modal.style.display = 'flex';
+        input.value = '';
+        document.getElementById('global-replace-input').value = '';
+        document.getElementById('global-search-results').innerHTML = '';
+        globalSearchRun++;
+        globalSearchMatches = [];
+        globalSearchGroups = [];
+        updateReplaceButton();
+        setTimeout(() => input.focus(), 10);
+    }
+}
+
+export function closeGlobalSearch() {
+    const modal = document.getElementById('global-search-modal');
+    if (modal) modal.style.display = 'none';
+    globalSearchRun++;
+    if (state.editorView) state.editorView.focus();
+}
+
+function isFolderSearch() {
+    return document.getElementById('global-search-folder').checked && !!globalSearchFolder;
+}
+
+function updateGlobalSearchScopeUI() {
+    const folderSearch = isFolderSearch();
+    const folderLabel = document.getElementById('global-search-folder-path');
+    folderLabel.textContent = globalSearchFolder ? getFilename(globalSearchFolder) : 'No folder chosen';
+    folderLabel.title = globalSearchFolder || '';
+    document.querySelectorAll('#global-search-modal .gs-folder-only').forEach(el => {
+        el.style.display = folderSearch ? '' : 'none';
+    });
+    document.getElementById('global-search-input').placeholder = folderSearch
+        ? `Search in ${getFilename(globalSearchFolder)}...`
+        : 'Search across open tabs...';
+}
+
+async function chooseGlobalSearchFolder() {
+    if (!window.__TAURI__) return false;
+    const selected = await openDialog({ directory: true, defaultPath: globalSearchFolder || state.workspaceRoot || undefined });
+    if (!selected) return false;
+    globalSearchFolder = selected;
+    isGlobalSearchFolderPicked = selected !== state.workspaceRoot;
+    return true;
+}
+
+/** Plain text of a document where each embed counts as one character, so offsets are Quill indices. */
+function getQuillText(quill) {
+    return quill.getContents().ops.map(op => typeof op.insert === 'string' ? op.insert : '\uFFFC').join('');
+}
+
+/** Text of a tab as the search sees it: plain text for rich documents. */
+function getSearchableTabContent(tab) {
+    if (tab.isDoc) return getQuillText(getTabQuill(tab) || createDetachedQuill(tab.savedContent || ''));
+    if (tab.state) return getTabContent(tab);
+    return tab.savedContent || '';
+}
+
+/** Text of a file read by readSearchableFile as the search sees it. */
+function getSearchableFileText(file) {
+    return file.isDoc ? getQuillText(createDetachedQuill(file.content)) : file.content;
+}
+
+function getGlobalSearchOptions() {
+    return {
+        query: document.getElementById('global-search-input').value,
+        matchCase: document.getElementById('global-search-case').checked,
+        wholeWord: document.getElementById('global-search-word').checked,
+        useRegex: document.getElementById('global-search-regex').checked
+    };
+}
+
+/** Everything that decides which results a search returns, to tell when shown results are out of date. */
+function getGlobalSearchKey() {
+    const key = getGlobalSearchOptions();
+    if (isFolderSearch()) {
+        key.folder = globalSearchFolder;
+        key.include = document.getElementById('global-search-include').value;
+        key.exclude = document.getElementById('global-search-exclude').value;
+    }
+    return JSON.stringify(key);
+}
+
+/** Compile the search box into a global RegExp. Throws on an invalid pattern. */
+function buildSearchRegex({ query, matchCase, wholeWord, useRegex }) {
+    let source = useRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+    // 'm' lets ^ and $ match at line breaks, since patterns run over the whole text
+    return new RegExp(source, matchCase ? 'gm' : 'gim');
+}
+
+/** Expand `$$`, `$&`, `` $` ``, `$'`, `$1`-`$99` and `$<name>` for one match, as String.replace does. */
+function expandReplacement(template, m) {
+    return template.replace(/\$([$&`']|\d\d?|<([^>]*)>)/g, (token, ref, name) => {
+        if (ref === '$') return '$';
+        if (ref === '&') return m[0];
+        if (ref === '`') return m.input.slice(0, m.index);
+        if (ref === "'") return m.input.slice(m.index + m[0].length);
+        if (name !== undefined) return m.groups ? (m.groups[name] ?? '') : token;
+        // "$10" with fewer than ten groups is group 1 followed by a literal 0
+        const digits = ref.length === 2 && Number(ref) >= m.length ? ref[0] : ref;
+        const n = Number(digits);
+        if (n < 1 || n >= m.length) return token;
+        return (m[n] ?? '') + ref.slice(digits.length);
+    });
+}
+
+/**
+ * Function giving the replacement text for one match. Regex mode expands $1, $&
+ * and $<name> and also understands \n and \t; plain mode inserts the text as typed.
+ */
+function buildReplacer(template, useRegex) {
+    if (!useRegex) return () => template;
+    const expanded = template.replace(/\\([nt\\])/g, (_, c) => c === 'n' ? '\n' : c === 't' ? '\t' : '\\');
+    return (m) => expandReplacement(expanded, m);
+}
+
+/**
+ * Every occurrence of `regex` in `content`, located by offset, line and column.
+ * A match spanning lines is reported on the line where it starts.
+ */
+function findMatches(content, regex, limit = Infinity) {
+    const matches = [];
+    const lines = content.split('\n');
+    let lineIndex = 0;
+    let lineStart = 0;
+    for (const m of content.matchAll(regex)) {
+        while (lineIndex < lines.length - 1 && m.index > lineStart + lines[lineIndex].length) {
+            lineStart += lines[lineIndex].length + 1;
+            lineIndex++;
+        }
+        matches.push({
+            from: m.index,
+            line: lineIndex + 1,
+            col: m.index - lineStart + 1,
+            length: m[0].length,
+            fullLineText: lines[lineIndex],
+            regexMatch: m,
+            selected: true
+        });
+        if (matches.length >= limit) break;
+    }
+    return matches;
+}
+
+async function performGlobalSearch() {
+    const run = ++globalSearchRun;
+    const options = getGlobalSearchOptions();
+    const resultsContainer = document.getElementById('global-search-results');
+
+    globalSearchMatches = [];
+    globalSearchGroups = [];
+    globalSearchKey = getGlobalSearchKey();
+    isGlobalSearchDone = false;
+    isGlobalSearchTruncated = false;
+    resultsContainer.innerHTML = '';
+    updateReplaceButton();
+
+    if (!options.query) return;
+
+    let regex;
+    try {
+        regex = buildSearchRegex(options);
+    } catch (e) {
+        const errorEl = document.createElement('div');
+        errorEl.className = 'gs-empty gs-error';
+        errorEl.textContent = e.message;
+        resultsContainer.appendChild(errorEl);
+        return;
+    }
+
+    if (isFolderSearch()) {
+        const countEl = document.createElement('div');
+        countEl.className = 'gs-count';
+        countEl.id = 'global-search-count';
+        countEl.textContent = 'Searching...';
+        resultsContainer.appendChild(countEl);
+        await searchFolder(run, regex);
+    } else {
+        searchOpenTabs(regex);
+    }
+    if (run !== globalSearchRun) return;
+    isGlobalSearchDone = true;
+    finishGlobalSearchResults();
+}
+
+function searchOpenTabs(regex) {
+    const seenDocs = new Set();
+    state.tabs.forEach(tab => {
+        // Split views of one document share their text, so only visit it once
+        const docId = tab.docId || tab.id;
+        if (seenDocs.has(docId)) return;
+        seenDocs.add(docId);
+
+        const remaining = MAX_GLOBAL_SEARCH_RESULTS - globalSearchMatches.length;
+        if (remaining <= 0) {
+            isGlobalSearchTruncated = true;
+            return;
+        }
+        const content = getSearchableTabContent(tab);
+        const matches = findMatches(content, regex, remaining);
+        if (matches.length) addGlobalSearchGroup({ tabId: tab.id, path: tab.path, filename: getFilename(tab.path) || tab.title }, content, matches);
+    });
+}
+
+/** Streams results into the modal file by file. Open tabs are searched as edited, not as saved. */
+async function searchFolder(run, regex) {
+    const openTabs = new Map(state.tabs.filter(t => t.path).map(t => [t.path, t]));
+    const include = splitGlobs(document.getElementById('global-search-include').value);
+    const exclude = splitGlobs(document.getElementById('global-search-exclude').value);
+
+    for await (const file of walkFiles(globalSearchFolder, { include, exclude })) {
+        if (run !== globalSearchRun) return;
+        const tab = openTabs.get(file.path);
+        let content;
+        if (tab) {
+            content = getSearchableTabContent(tab);
+        } else {
+            try {
+                const data = await readSearchableFile(file.path);
+                if (!data) continue;
+                content = getSearchableFileText(data);
+            } catch (e) {
+                continue;
+            }
+            if (run !== globalSearchRun) return;
+        }
+
+        const matches = findMatches(content, regex, MAX_GLOBAL_SEARCH_RESULTS - globalSearchMatches.length);
+        if (matches.length) addGlobalSearchGroup({ tabId: tab ? tab.id : null, path: file.path, filename: file.relPath }, content, matches);
+        if (globalSearchMatches.length >= MAX_GLOBAL_SEARCH_RESULTS) {
+            isGlobalSearchTruncated = true;
+            return;
+        }
+    }
+}
+
+function formatGlobalSearchCount() {
+    const results = globalSearchMatches.length;
+    const files = globalSearchGroups.length;
+    return `${results} result${results !== 1 ? 's' : ''} in ${files} file${files !== 1 ? 's' : ''}`;
+}
+
+function addGlobalSearchGroup(source, content, matches) {
+    const resultsContainer = document.getElementById('global-search-results');
+    let countEl = document.getElementById('global-search-count');
+    if (!countEl) {
+        countEl = document.createElement('div');
+        countEl.className = 'gs-count';
+        countEl.id = 'global-search-count';
+        resultsContainer.appendChild(countEl);
+    }
+
+    // `content` is the text the offsets refer to, kept to spot edits made before replacing
+    const group = { ...source, content, matches };
+    matches.forEach(match => {
+        match.tabId = source.tabId;
+        match.path = source.path;
+    });
+    globalSearchGroups.push(group);
+    globalSearchMatches.push(...matches);
+    countEl.textContent = `Searching... ${formatGlobalSearchCount()}`;
+
+    const fileHeader = document.createElement('div');
+    fileHeader.className = 'gs-file-header';
+    fileHeader.innerHTML = `<input type="checkbox" class="gs-check" checked><svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/></svg><span>${escapeHtml(source.filename)}</span><span class="gs-file-count">${matches.length}</span>`;
+    if (source.path) fileHeader.title = source.path;
+    group.checkEl = fileHeader.querySelector('.gs-check');
+    group.checkEl.addEventListener('change', () => {
+        matches.forEach(match => setMatchSelected(match, group.checkEl.checked));
+        updateGroupCheck(group);
+        updateReplaceButton();
+    });
+    resultsContainer.appendChild(fileHeader);
+
+    const replacer = getPreviewReplacer();
+    matches.forEach(match => {
+        const item = document.createElement('div');
+        item.className = 'gs-result-item';
+
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.className = 'gs-check';
+        check.checked = true;
+        check.addEventListener('click', (e) => e.stopPropagation());
+        check.addEventListener('change', () => {
+            setMatchSelected(match, check.checked);
+            updateGroupCheck(group);
+            updateReplaceButton();
+        });
+
+        const lineNum = document.createElement('span');
+        lineNum.className = 'gs-line-num';
+        lineNum.textContent = match.line;
+
+        const snippet = document.createElement('span');
+        snippet.className = 'gs-snippet';
+
+        match.itemEl = item;
+        match.checkEl = check;
+        match.snippetEl = snippet;
+        renderMatchSnippet(snippet, match, replacer);
+
+        item.appendChild(check);
+        item.appendChild(lineNum);
+        item.appendChild(snippet);
+        item.addEventListener('click', () => openGlobalSearchMatch(match));
+        resultsContainer.appendChild(item);
+    });
+    updateReplaceButton();
+}
+
+function setMatchSelected(match, selected) {
+    match.selected = selected;
+    match.checkEl.checked = selected;
+    match.itemEl.classList.toggle('is-excluded', !selected);
+}
+
+function updateGroupCheck(group) {
+    const selected = group.matches.filter(m => m.selected).length;
+    group.checkEl.checked = selected === group.matches.length;
+    group.checkEl.indeterminate = selected > 0 && selected < group.matches.length;
+}
+
+function updateReplaceButton() {
+    const btn = document.getElementById('btn-global-replace-all');
+    if (!btn) return;
+    const selected = globalSearchMatches.filter(m => m.selected).length;
+    btn.textContent = selected < globalSearchMatches.length ? `Replace ${selected} Selected` : 'Replace All';
+    btn.disabled = globalSearchMatches.length > 0 && selected === 0;
+}
+
+/** Replacer for the preview, or null while the replace box is empty. */
+function getPreviewReplacer() {
+    const template = document.getElementById('global-replace-input').value;
+    return template ? buildReplacer(template, getGlobalSearchOptions().useRegex) : null;
+}
+
+function updateReplacePreview() {
+    const replacer = getPreviewReplacer();
+    globalSearchMatches.forEach(match => renderMatchSnippet(match.snippetEl, match, replacer));
+}
+
+/**
+ * Highlight one occurrence within its line, followed by its replacement when
+ * `replacer` is given. Matches running past the line end are cut there.
+ */
+function renderMatchSnippet(snippet, match, replacer = null) {
+    const line = match.fullLineText;
+    const start = match.col - 1;
+    const end = Math.min(start + match.length, line.length);
+    const indent = line.length - line.trimStart().length;
+    // Long lines are shown from a little before the match so it stays in view
+    const from = Math.min(indent, start) < start - SNIPPET_CONTEXT ? start - SNIPPET_CONTEXT : Math.min(indent, start);
+
+    const before = (from > indent ? '…' : '') + line.slice(from, start);
+    const hl = line.slice(start, end);
+    const after = line.slice(end).trimEnd();
+    let preview = '';
+    if (replacer) {
+        const replacement = replacer(match.regexMatch).replace(/\n/g, '↵');
+        preview = `<span class="gs-replacement">${escapeHtml(replacement)}</span>`;
+    }
+    snippet.innerHTML = `${escapeHtml(before)}<span class="gs-highlight${replacer ? ' gs-replaced' : ''}">${escapeHtml(hl)}</span>${preview}${escapeHtml(after)}`;
+}
+
+function finishGlobalSearchResults() {
+    const resultsContainer = document.getElementById('global-search-results');
+    const countEl = document.getElementById('global-search-count');
+
+    if (globalSearchMatches.length === 0) {
+        if (countEl) countEl.remove();
+        const noRes = document.createElement('div');
+        noRes.className = 'gs-empty';
+        noRes.textContent = isFolderSearch() ? `No matches found in ${getFilename(globalSearchFolder)}.` : 'No matches found in open tabs.';
+        resultsContainer.appendChild(noRes);
+        return;
+    }
+    countEl.textContent = isGlobalSearchTruncated
+        ? `${formatGlobalSearchCount()} (stopped after ${MAX_GLOBAL_SEARCH_RESULTS} results)`
+        : formatGlobalSearchCount();
+}
+
+async function openGlobalSearchMatch(match) {
+    let tab = match.tabId ? state.tabs.find(t => t.id === match.tabId) : null;
+    if (tab) {
+        switchTab(tab.id);
+        closeGlobalSearch();
+    } else if (match.path) {
+        closeGlobalSearch();
+        await openFileFromHistory(match.path);
+        tab = state.tabs.find(t => t.id === state.activeTabId && t.path === match.path);
+    }
+    if (!tab) return;
+
+    requestAnimationFrame(() => {
+        const quill = tab.isDoc ? getTabQuill(tab) : null;
+        if (quill) {
+            quill.setSelection(match.from, match.length);
+        } else if (state.editorView && !tab.isDoc) {
+            try {
+                const lineInfo = state.editorView.state.doc.line(match.line);
+                const from = lineInfo.from + match.col - 1;
+                const to = Math.min(from + match.length, state.editorView.state.doc.length);
+                state.editorView.dispatch({
+                    selection: { anchor: from, head: to },
+                    effects: EditorView.scrollIntoView(from, { y: "center" })
+                });
+                state.editorView.focus();
+            } catch (e) {
+                console.warn('Failed to navigate to search result', e);
+            }
+        }
+    });
+}
+
+/** Splice sorted, non-overlapping { from, to, insert } ranges into a string. */
+function applyRanges(content, ranges) {
+    let result = '';
+    let pos = 0;
+    ranges.forEach(({ from, to, insert }) => {
+        result += content.slice(pos, from) + insert;
+        pos = to;
+    });
+    return result + content.slice(pos);
+}
+
+/**
+ * Apply the ranges to an open tab as one change, which undoes in a single step.
+ * Documents go through Quill so their formatting is kept.
+ */
+function replaceInTab(tab, ranges) {
+    const isOnScreen = tab.isDoc ? !!getTabQuill(tab) : !!(tab.state && getTabView(tab));
+    if (tab.isDoc) {
+        const quill = getTabQuill(tab) || createDetachedQuill(tab.savedContent || '');
+        replaceQuillRanges(quill, ranges);
+        if (!isOnScreen) tab.savedContent = quill.root.innerHTML;
+    } else if (tab.state) {
+        updateTabState(tab, { changes: ranges });
+    } else {
+        tab.savedContent = applyRanges(tab.savedContent || '', ranges);
+    }
+    // The editor of a tab on screen reports the change like any edit; other tabs are marked here
+    if (isOnScreen) return;
+    tab.needsRender = true;
+    setTabUnsaved(tab, true);
+    syncLinkedTabs(tab);
+    journalTab(tab);
+    autoSaveDiskDebounced(tab);
+}
+
+/** The open tab a result group should be written to, looked up again since tabs may have opened or closed. */
+function getGroupTab(group) {
+    return (group.tabId && state.tabs.find(t => t.id === group.tabId))
+        || (group.path && state.tabs.find(t => t.path === group.path))
+        || null;
+}
+
+async function performGlobalReplace() {
+    if (!getGlobalSearchOptions().query) return;
+    if (!isGlobalSearchDone || getGlobalSearchKey() !== globalSearchKey) {
+        // Only replace what the preview showed, so refresh it first
+        await performGlobalSearch();
+        if (isGlobalSearchDone) showStatus('Search results updated. Review them, then replace again.');
+        return;
+    }
+
+    const replacer = buildReplacer(document.getElementById('global-replace-input').value, getGlobalSearchOptions().useRegex);
+    const targets = globalSearchGroups
+        .map(group => ({
+            group,
+            tab: getGroupTab(group),
+            ranges: group.matches.filter(m => m.selected).map(m => ({ from: m.from, to: m.from + m.length, insert: replacer(m.regexMatch) }))
+        }))
+        .filter(target => target.ranges.length > 0);
+    if (targets.length === 0) {
+        showStatus('No replacements selected.');
+        return;
+    }
+
+    const diskTargets = targets.filter(target => !target.tab);
+    if (diskTargets.length > 0) {
+        const answer = await askConfirmUI(`Replace in ${diskTargets.length} file${diskTargets.length !== 1 ? 's' : ''} that ${diskTargets.length !== 1 ? 'are' : 'is'} not open? They are written to disk immediately.`);
+        if (answer !== 'yes') return;
+    }
+
+    let totalReplaced = 0;
+    let tabsChanged = 0;
+    let filesWritten = 0;
+    let filesSkipped = 0;
+
+    for (const { group, tab, ranges } of targets) {
+        if (tab) {
+            if (getSearchableTabContent(tab) !== group.content) {
+                filesSkipped++;
+                continue;
+            }
+            replaceInTab(tab, ranges);
+            tabsChanged++;
+            totalReplaced += ranges.length;
+            continue;
+        }
+        try {
+            const file = await readSearchableFile(group.path);
+            if (!file || getSearchableFileText(file) !== group.content) {
+                filesSkipped++;
+                continue;
+            }
+            let content;
+            if (file.isDoc) {
+                // The ranges are offsets into the document's text, so the markup is only touched by Quill
+                const detached = createDetachedQuill(file.content);
+                replaceQuillRanges(detached, ranges);
+                content = detached.root.innerHTML;
+            } else {
+                content = applyRanges(file.content, ranges);
+            }
+            await writeSearchedFile(group.path, content, file);
+            filesWritten++;
+            totalReplaced += ranges.length;
+        } catch (e) {
+            console.error(`Replace failed in ${group.path}`, e);
+            showStatus(`Error writing ${getFilename(group.path)}`);
+        }
+    }
+
+    const skipped = filesSkipped > 0 ? ` Skipped ${filesSkipped} file${filesSkipped !== 1 ? 's' : ''} changed since the search.` : '';
+    if (totalReplaced > 0) {
+        const where = [];
+        if (tabsChanged > 0) where.push(`${tabsChanged} open tab${tabsChanged !== 1 ? 's' : ''}`);
+        if (filesWritten > 0) where.push(`${filesWritten} file${filesWritten !== 1 ? 's' : ''} on disk`);
+        showStatus(`Replaced ${totalReplaced} occurrence(s) in ${where.join(' and ')}.${skipped}`);
+        renderTabs();
+        saveSessionDebounced();
+    } else {
+        showStatus(`No occurrences replaced.${skipped}`);
+    }
+    performGlobalSearch();
+}
+
+/* -------------------------------------------------------------------------- */
+/* Setup Event Listeners                                                      */
+/* -------------------------------------------------------------------------- */
+
+// Drop-down menu anchored under a status bar item
+function setupStatusMenu(anchor, menu, canOpen) {
+    anchor.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (menu.style.display === 'block') {
+            menu.style.display = 'none';
+            return;
+        }
+        if (!canOpen()) return;
+        const rect = anchor.getBoundingClientRect();
+        menu.style.display = 'block';
+        menu.style.left = `${Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8)}px`;
+        menu.style.top = `${rect.bottom + 4}px`;
+    });
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) menu.style.display = 'none';
+    });
+}
+
+export function setupOverlays() {
+    // Quick Open
+    const qModal = document.getElementById('quick-open-modal');
+    if (qModal) {
+        qModal.addEventListener('click', (e) => {
+            if (e.target === qModal) closeQuickOpen();
+        });
+    }
+
+    const qInput = document.getElementById('quick-open-input');
+    if (qInput) {
         qInput.addEventListener('keydown', async (e) => {
             if (e.key === 'Escape') {
                 closeQuickOpen();
@@ -684,6 +1612,181 @@ export function setupOverlays() {
         statusLang.addEventListener('click', toggleLanguageOpen);
     }
 
+    // Color Theme Select
+    const themeModal = document.getElementById('theme-modal');
+    if (themeModal) {
+        themeModal.addEventListener('click', (e) => {
+            if (e.target === themeModal) closeThemePicker();
+        });
+    }
+
+    const themeInput = document.getElementById('theme-input');
+    if (themeInput) {
+        themeInput.addEventListener('keydown', async (e) => {
+            if (e.key === 'Escape') {
+                closeThemePicker();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                if (themeSelectedIndex < currentThemeMatches.length - 1) {
+                    themeSelectedIndex++;
+                    updateThemeSelection(true);
+                }
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (themeSelectedIndex > 0) {
+                    themeSelectedIndex--;
+                    updateThemeSelection(true);
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (themeSelectedIndex >= 0 && currentThemeMatches[themeSelectedIndex]) {
+                    await selectTheme(currentThemeMatches[themeSelectedIndex]);
+                }
+            }
+        });
+        themeInput.addEventListener('input', () => {
+            renderThemeResults();
+        });
+    }
+
+    // Encoding Select
+    const encModal = document.getElementById('encoding-modal');
+    if (encModal) {
+        encModal.addEventListener('click', (e) => {
+            if (e.target === encModal) closeEncodingOpen();
+        });
+    }
+
+    const encInput = document.getElementById('encoding-input');
+    if (encInput) {
+        encInput.addEventListener('keydown', async (e) => {
+            if (e.key === 'Escape') {
+                closeEncodingOpen();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                if (encodingSelectedIndex < currentEncodingMatches.length - 1) {
+                    encodingSelectedIndex++;
+                    updateEncodingSelection();
+                }
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (encodingSelectedIndex > 0) {
+                    encodingSelectedIndex--;
+                    updateEncodingSelection();
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (encodingSelectedIndex >= 0 && currentEncodingMatches[encodingSelectedIndex]) {
+                    await selectEncoding(currentEncodingMatches[encodingSelectedIndex]);
+                }
+            }
+        });
+        encInput.addEventListener('input', () => {
+            renderEncodingResults();
+        });
+    }
+
+    // Backups
+    const backupModal = document.getElementById('backup-modal');
+    if (backupModal) {
+        backupModal.addEventListener('click', (e) => {
+            if (e.target === backupModal) closeBackupPicker();
+        });
+    }
+
+    const backupInput = document.getElementById('backup-input');
+    if (backupInput) {
+        backupInput.addEventListener('keydown', async (e) => {
+            const backups = getVisibleBackups();
+            if (e.key === 'Escape') {
+                closeBackupPicker();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                if (backupSelectedIndex < backups.length - 1) {
+                    backupSelectedIndex++;
+                    updateBackupSelection();
+                }
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (backupSelectedIndex > 0) {
+                    backupSelectedIndex--;
+                    updateBackupSelection();
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (backupSelectedIndex >= 0 && backups[backupSelectedIndex]) {
+                    await selectBackup(backups[backupSelectedIndex]);
+                }
+            }
+        });
+        backupInput.addEventListener('input', () => {
+            renderBackupResults();
+        });
+    }
+
+    const statusEncoding = document.getElementById('status-encoding');
+    const encodingMenu = document.getElementById('encoding-menu');
+    if (statusEncoding && encodingMenu) {
+        setupStatusMenu(statusEncoding, encodingMenu, () => !!state.activeTabId);
+    }
+
+    // Indentation
+    const statusIndent = document.getElementById('status-indent');
+    const indentMenu = document.getElementById('indent-menu');
+    if (statusIndent && indentMenu) {
+        setupStatusMenu(statusIndent, indentMenu, () => {
+            const tab = state.tabs.find(t => t.id === state.activeTabId);
+            return !!tab && !tab.isDoc;
+        });
+    }
+
+    // Line endings
+    const statusCrlf = document.getElementById('status-crlf');
+    const lineEndingMenu = document.getElementById('line-ending-menu');
+    if (statusCrlf && lineEndingMenu) {
+        setupStatusMenu(statusCrlf, lineEndingMenu, () => {
+            const tab = state.tabs.find(t => t.id === state.activeTabId);
+            return !!tab && !tab.isDoc;
+        });
+    }
+
+    // Command Palette
+    const cmdModal = document.getElementById('command-palette-modal');
+    if (cmdModal) {
+        cmdModal.addEventListener('click', (e) => {
+            if (e.target === cmdModal) closeCommandPalette();
+        });
+    }
+
+    const cmdInput = document.getElementById('command-palette-input');
+    if (cmdInput) {
+        cmdInput.addEventListener('keydown', async (e) => {
+            if (e.key === 'Escape') {
+                closeCommandPalette();
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                if (commandSelectedIndex < currentCommandMatches.length - 1) {
+                    commandSelectedIndex++;
+                    updateCommandSelection();
+                }
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (commandSelectedIndex > 0) {
+                    commandSelectedIndex--;
+                    updateCommandSelection();
+                }
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                if (commandSelectedIndex >= 0 && currentCommandMatches[commandSelectedIndex]) {
+                    await runPaletteCommand(currentCommandMatches[commandSelectedIndex].command);
+                }
+            }
+        });
+        cmdInput.addEventListener('input', () => {
+            renderCommandResults();
+        });
+    }
+
     // Global Search
     const searchModal = document.getElementById('global-search-modal');
     if (searchModal) {
@@ -706,22 +1809,48 @@ export function setupOverlays() {
 
     const replaceInput = document.getElementById('global-replace-input');
     if (replaceInput) {
+        let debounceTimer;
+        replaceInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(updateReplacePreview, 150);
+        });
         replaceInput.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') closeGlobalSearch();
-            if (e.key === 'Enter') performGlobalReplaceAll();
+            if (e.key === 'Enter') performGlobalReplace();
         });
     }
 
+    const folderCB = document.getElementById('global-search-folder');
+    folderCB.addEventListener('change', async () => {
+        if (folderCB.checked && !globalSearchFolder && !(await chooseGlobalSearchFolder())) folderCB.checked = false;
+        updateGlobalSearchScopeUI();
+        performGlobalSearch();
+    });
+    document.getElementById('btn-global-search-folder').addEventListener('click', async () => {
+        if (!(await chooseGlobalSearchFolder())) return;
+        folderCB.checked = true;
+        updateGlobalSearchScopeUI();
+        performGlobalSearch();
+    });
+    ['global-search-include', 'global-search-exclude'].forEach(id => {
+        const globInput = document.getElementById(id);
+        let debounceTimer;
+        globInput.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(performGlobalSearch, 300);
+        });
+        globInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') closeGlobalSearch();
+        });
+    });
+
     const replaceBtn = document.getElementById('btn-global-replace-all');
-    if (replaceBtn) replaceBtn.addEventListener('click', performGlobalReplaceAll);
+    if (replaceBtn) replaceBtn.addEventListener('click', performGlobalReplace);
 
-    const matchCaseCB = document.getElementById('global-search-case');
-    if (matchCaseCB) matchCaseCB.addEventListener('change', performGlobalSearch);
+    ['global-search-case', 'global-search-word', 'global-search-regex'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', performGlobalSearch);
+    });
 
-    const btnGlobalSearchIcon = document.getElementById('btn-global-search');
-    if (btnGlobalSearchIcon) {
-        btnGlobalSearchIcon.addEventListener('click', toggleGlobalSearch);
-    }
 }
 
 export async function setupFileDrop() {
@@ -1,67 +1,191 @@
 /**
- * panes.js – Simplified single-pane state management for LightPad
+ * panes.js – Split-pane layout for LightPad
+ *
+ * Every tab belongs to one pane (tab.paneId) and each pane owns its own tab
+ * strip, EditorView and Quill instance. state.activeTabId, state.editorView and
+ * state.quillView always mirror the focused pane.
  */
+import { state } from './state.js';
+import { foldedRanges } from '@codemirror/language';
 
-export let tabs = [];
-export let activeTabId = null;
+const shell = document.getElementById('editor-shell');
+const MIN_PANE_SIZE = 120;
+let paneCounter = 1;
+
+state.panes = [{
+    id: 'pane-1',
+    activeTabId: null,
+    editorView: null,
+    quillView: null,
+    size: 1,
+    el: document.getElementById('pane-1'),
+    tabBarEl: document.getElementById('tab-bar')
+}];
+state.activePaneId = 'pane-1';
+state.panes[0].el.dataset.paneId = 'pane-1';
 
 // ─── Accessors ────────────────────────────────────────────────────────────────
 
-export function getAllTabs() {
-    return tabs;
+export function getPane(paneId) {
+    return state.panes.find(p => p.id === paneId) || null;
+}
+
+export function getActivePane() {
+    return getPane(state.activePaneId) || state.panes[0];
+}
+
+export function getPaneTabs(paneId) {
+    return state.tabs.filter(t => t.paneId === paneId);
+}
+
+export function getPaneElement(pane, selector) {
+    return pane ? pane.el.querySelector(selector) : null;
 }
 
-export function findTab(tabId) {
-    return tabs.find(t => t.id === tabId) || null;
+/** The EditorView currently showing `tab`, if it is visible in any pane. */
+export function getTabView(tab) {
+    const pane = tab ? getPane(tab.paneId) : null;
+    return pane && pane.activeTabId === tab.id ? pane.editorView : null;
 }
 
-// ─── Mutations ────────────────────────────────────────────────────────────────
+export function getTabQuill(tab) {
+    const pane = tab ? getPane(tab.paneId) : null;
+    return pane && pane.activeTabId === tab.id ? pane.quillView : null;
+}
 
-export function registerTab(tab) {
-    if (!tabs.some(t => t.id === tab.id)) {
-        tabs.push(tab);
+/** Live content of a tab, read from whichever pane is displaying it. */
+export function getTabContent(tab) {
+    if (tab.isDoc) {
+        const quill = getTabQuill(tab);
+        return quill ? quill.root.innerHTML : (tab.savedContent || '');
     }
-    activeTabId = tab.id;
+    const view = getTabView(tab);
+    return (view ? view.state : tab.state).doc.toString();
 }
 
-export function setActiveTab(tabId) {
-    activeTabId = tabId;
+/** The first line in view as a document position, which unlike pixels survives zoom and font changes. */
+export function getScrollPos(view) {
+    return view.lineBlockAtHeight(Math.max(0, view.scrollDOM.scrollTop - view.documentPadding.top)).from;
 }
 
-export function unregisterTab(tabId) {
-    const idx = tabs.findIndex(t => t.id === tabId);
-    if (idx === -1) return false;
+/** Selection, folds and scroll position of a text tab as plain JSON, for sessions. */
+export function getTabViewState(tab) {
+    if (tab.isDoc) return null;
+    const view = getTabView(tab);
+    const editorState = view ? view.state : tab.state;
+    if (!editorState) return null;
 
-    tabs.splice(idx, 1);
+    const folds = [];
+    foldedRanges(editorState).between(0, editorState.doc.length, (from, to) => {
+        folds.push([from, to]);
+    });
+    return {
+        selection: editorState.selection.toJSON(),
+        folds,
+        scrollPos: view ? getScrollPos(view) : (tab.scrollPos || 0)
+    };
+}
 
-    if (activeTabId === tabId) {
-        activeTabId = tabs[Math.max(0, idx - 1)]?.id ?? tabs[0]?.id ?? null;
-    }
-    return true;
+/** Tabs showing the same document as `tab` in other panes. */
+export function getLinkedTabs(tab) {
+    const docId = tab.docId || tab.id;
+    return state.tabs.filter(t => t !== tab && (t.docId || t.id) === docId);
 }
 
-/** Serialize for session storage */
-export function serializeTabs() {
-    return tabs.map(t => ({
-        id: t.id,
-        path: t.path,
-        title: t.title,
-        isUnsaved: t.isUnsaved,
-        isTodo: t.isTodo,
-        isDoc: t.isDoc,
-        content: null // Content is handled in script.js to grab from CodeMirror
-    }));
+// ─── Pane lifecycle ───────────────────────────────────────────────────────────
+
+export function createPane(afterPaneId = null) {
+    paneCounter++;
+    const id = `pane-${paneCounter}`;
+    const template = document.getElementById('pane-template');
+    const el = template.content.firstElementChild.cloneNode(true);
+    el.id = id;
+    el.dataset.paneId = id;
+
+    const pane = { id, activeTabId: null, editorView: null, quillView: null, size: 1, el, tabBarEl: el.querySelector('.tab-bar') };
+    const afterIndex = state.panes.findIndex(p => p.id === afterPaneId);
+    state.panes.splice(afterIndex === -1 ? state.panes.length : afterIndex + 1, 0, pane);
+    layoutPanes();
+    return pane;
 }
 
-/** 
- * Helper to reorder tabs during drag and drop
- */
-export function moveTabToIndex(tabId, targetIndex) {
-    const fromIdx = tabs.findIndex(t => t.id === tabId);
-    if (fromIdx === -1 || fromIdx === targetIndex || fromIdx + 1 === targetIndex) return;
-
-    const [movedTab] = tabs.splice(fromIdx, 1);
-    // If we're moving it to an index after where it currently is, the array shifted left
-    const adjustedIndex = targetIndex > fromIdx ? targetIndex - 1 : targetIndex;
-    tabs.splice(adjustedIndex, 0, movedTab);
+export function destroyPane(paneId) {
+    const index = state.panes.findIndex(p => p.id === paneId);
+    if (index <= 0) return;
+    const [pane] = state.panes.splice(index, 1);
+    if (pane.editorView) pane.editorView.destroy();
+    pane.el.remove();
+    if (state.activePaneId === paneId) state.activePaneId = state.panes[index - 1].id;
+    layoutPanes();
+}
+
+export function markFocusedPane() {
+    const isSplit = state.panes.length > 1;
+    state.panes.forEach(p => p.el.classList.toggle('pane-focused', isSplit && p.id === state.activePaneId));
+}
+
+// ─── Layout ───────────────────────────────────────────────────────────────────
+
+export function layoutPanes() {
+    const isVertical = state.splitDirection === 'vertical';
+    shell.style.flexDirection = isVertical ? 'column' : 'row';
+    shell.querySelectorAll('.pane-resize-handle').forEach(h => h.remove());
+
+    state.panes.forEach((pane, index) => {
+        pane.el.style.flex = `${pane.size} 1 0`;
+        shell.appendChild(pane.el);
+        if (index < state.panes.length - 1) {
+            shell.appendChild(createResizeHandle(pane, state.panes[index + 1], isVertical));
+        }
+    });
+    markFocusedPane();
+}
+
+function createResizeHandle(before, after, isVertical) {
+    const handle = document.createElement('div');
+    handle.className = `pane-resize-handle ${isVertical ? 'vertical' : 'horizontal'}`;
+
+    let start = 0, beforePx = 0, afterPx = 0;
+    handle.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0) return;
+        handle.setPointerCapture(e.pointerId);
+        handle.classList.add('dragging');
+        start = isVertical ? e.clientY : e.clientX;
+        const sizeOf = (el) => isVertical ? el.getBoundingClientRect().height : el.getBoundingClientRect().width;
+        beforePx = sizeOf(before.el);
+        afterPx = sizeOf(after.el);
+    });
+
+    handle.addEventListener('pointermove', (e) => {
+        if (!handle.classList.contains('dragging')) return;
+        const totalPx = beforePx + afterPx;
+        const totalSize = before.size + after.size;
+        const delta = (isVertical ? e.clientY : e.clientX) - start;
+        const newBeforePx = Math.min(Math.max(beforePx + delta, MIN_PANE_SIZE), totalPx - MIN_PANE_SIZE);
+
+        before.size = totalSize * (newBeforePx / totalPx);
+        after.size = totalSize - before.size;
+        before.el.style.flex = `${before.size} 1 0`;
+        after.el.style.flex = `${after.size} 1 0`;
+    });
+
+    const stopDrag = (e) => {
+        if (!handle.classList.contains('dragging')) return;
+        handle.classList.remove('dragging');
+        handle.releasePointerCapture(e.pointerId);
+        import('./session.js').then(m => m.saveSessionDebounced());
+    };
+    handle.addEventListener('pointerup', stopDrag);
+    handle.addEventListener('pointercancel', stopDrag);
+
+    return handle;
+}
+
+/** Serialize the layout for session storage */
+export function serializePanes() {
+    return {
+        direction: state.splitDirection,
+        activePaneId: state.activePaneId,
+        panes: state.panes.map(p => ({ id: p.id, activeTabId: p.activeTabId, size: p.size }))
+    };
 }
@@ -1,6 +1,8 @@
 import { state } from './state.js';
 import { saveSessionDebounced, autoSaveDiskDebounced } from './session.js';
+import { journalTab } from './recovery.js';
 import { askLinkUI } from './overlays.js';
+import { getSetting } from './settings.js';
 import Quill from 'quill';
 import BlotFormatter from 'quill-blot-formatter';
 import QuillImageDropAndPaste from 'quill-image-drop-and-paste';
@@ -8,11 +10,11 @@ import QuillImageDropAndPaste from 'quill-image-drop-and-paste';
 Quill.register('modules/blotFormatter', BlotFormatter);
 Quill.register('modules/imageDropAndPaste', QuillImageDropAndPaste);
 
-export function initializeQuill() {
-    if (state.quillView) return;
+export function initializeQuill(pane) {
+    if (pane.quillView) return;
     const openDialog = window.__TAURI__?.dialog?.open;
 
-    state.quillView = new Quill('#quill-editor', {
+    const quill = new Quill(pane.el.querySelector('.quill-editor'), {
         theme: 'snow',
         modules: {
             blotFormatter: {},
@@ -36,8 +38,8 @@ export function initializeQuill() {
                     const filePath = await join(mediaDir, filename);
                     await writeBinaryFile(filePath, bytes);
                     const url = window.__TAURI__.tauri.convertFileSrc(filePath);
-                    const range = state.quillView.getSelection() || { index: state.quillView.getLength() };
-                    state.quillView.insertEmbed(range.index, 'image', url);
+                    const range = quill.getSelection() || { index: quill.getLength() };
+                    quill.insertEmbed(range.index, 'image', url);
                 }
             },
             history: { delay: 500, maxStack: 100 },
@@ -129,26 +131,57 @@ export function initializeQuill() {
         }
     });
 
-    state.quillView.on('text-change', () => {
-        const currentTab = state.tabs.find(t => t.id === state.activeTabId);
+    pane.quillView = quill;
+    if (state.activePaneId === pane.id) state.quillView = quill;
+
+    quill.on('text-change', () => {
+        const currentTab = state.tabs.find(t => t.id === pane.activeTabId);
         if (!currentTab || !currentTab.isDoc) return;
         currentTab.isUnsaved = true;
         currentTab.needsRender = true;
         const tabEl = document.querySelector(`.tab[data-id="${currentTab.id}"] .tab-dot`);
         if (tabEl) tabEl.classList.add('unsaved');
         saveSessionDebounced();
-        if (state.isAutoSaveEnabled) autoSaveDiskDebounced(currentTab);
+        journalTab(currentTab);
+        if (getSetting('files.autoSave')) autoSaveDiskDebounced(currentTab);
     });
 
-    state.quillView.root.addEventListener('click', (e) => {
+    quill.root.addEventListener('click', (e) => {
         if (e.target.tagName === 'A') {
-            const blIndex = state.quillView.getIndex(Quill.find(e.target));
-            state.quillView.setSelection(blIndex, e.target.innerText.length);
-            const toolbar = state.quillView.getModule('toolbar');
+            const blIndex = quill.getIndex(Quill.find(e.target));
+            quill.setSelection(blIndex, e.target.innerText.length);
+            const toolbar = quill.getModule('toolbar');
             toolbar.handlers.link.call(toolbar, true);
         }
     });
 }
 
+/** Off-screen editor for a document no pane is showing, loaded from its HTML. */
+export function createDetachedQuill(html) {
+    const quill = new Quill(document.createElement('div'));
+    quill.root.innerHTML = html;
+    quill.update(Quill.sources.SILENT);
+    return quill;
+}
+
+/**
+ * Replace sorted, non-overlapping { from, to, insert } ranges in a single delta,
+ * so they undo as one step. Inserted text keeps the inline formatting of the text it replaces.
+ */
+export function replaceQuillRanges(quill, ranges) {
+    const Delta = Quill.import('delta');
+    const delta = new Delta();
+    let pos = 0;
+    ranges.forEach(({ from, to, insert }) => {
+        const [op] = quill.getContents(from, Math.max(to - from, 1)).ops;
+        // Line formats live on the newline, so they never carry over to inline text
+        const attributes = op && typeof op.insert === 'string' && op.insert[0] !== '\n' ? op.attributes : undefined;
+        delta.retain(from - pos).delete(to - from);
+        if (insert) delta.insert(insert, attributes);
+        pos = to;
+    });
+    quill.updateContents(delta, Quill.sources.USER);
+}
+
 // Expose globally for editor-manager.js switchTab
 window.initializeQuill = initializeQuill;
@@ -0,0 +1,223 @@
+// recovery.js — Crash-recovery journal for unsaved buffers
+// Every instance writes its dirty buffers to IndexedDB a moment after each edit
+// and clears them again on a clean exit. Each instance holds a Web Lock for its
+// lifetime, so entries whose lock is free belong to an instance that crashed.
+import { state } from './state.js';
+import { getTabContent } from './panes.js';
+import { getFilename } from './utils.js';
+
+const DB_NAME = 'lightpad-recovery';
+const WRITE_DELAY = 300;
+const instanceId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let dbPromise = null;
+// What was last written per tab: its CodeMirror doc, or the HTML of a rich text tab
+const journaled = new Map();
+const writeTimers = new Map();
+
+function lockName(id) {
+    return `lightpad-journal-${id}`;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDb() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('instances', { keyPath: 'id' });
+            db.createObjectStore('buffers', { keyPath: ['instanceId', 'tabId'] }).createIndex('instanceId', 'instanceId');
+        };
+        dbPromise = promisify(request);
+    }
+    return dbPromise;
+}
+
+/** Run `fn` with the named stores and resolve with its result once the transaction commits. */
+async function transact(storeNames, mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(storeNames, mode);
+    const result = fn(...[].concat(storeNames).map(name => tx.objectStore(name)));
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+    return result instanceof IDBRequest ? result.result : result;
+}
+
+function tabMarker(tab) {
+    return tab.isDoc ? getTabContent(tab) : tab.state?.doc;
+}
+
+async function writeEntry(tab) {
+    const isOpen = state.tabs.includes(tab);
+    if (!isOpen || !tab.isUnsaved) {
+        if (!journaled.has(tab.id)) return;
+        journaled.delete(tab.id);
+        await transact('buffers', 'readwrite', buffers => buffers.delete([instanceId, tab.id]));
+        return;
+    }
+
+    const marker = tabMarker(tab);
+    if (journaled.get(tab.id) === marker) return;
+    journaled.set(tab.id, marker);
+    await transact('buffers', 'readwrite', buffers => buffers.put({
+        instanceId,
+        tabId: tab.id,
+        path: tab.path,
+        title: tab.title,
+        isDoc: !!tab.isDoc,
+        isTodo: !!tab.isTodo,
+        manualLanguage: tab.manualLanguage || null,
+        encoding: tab.encoding,
+        hasBom: !!tab.hasBom,
+        lineEnding: tab.lineEnding,
+        // Tabs of the default session are also restored from it, under the same id
+        inSession: state.isPrimaryInstance && !state.activeSessionPath,
+        content: getTabContent(tab),
+        updatedAt: Date.now()
+    }));
+}
+
+/** Journal `tab` shortly after an edit; a saved or closed tab has its entry removed. */
+export function journalTab(tab) {
+    if (!window.indexedDB || !tab) return;
+    clearTimeout(writeTimers.get(tab.id));
+    writeTimers.set(tab.id, setTimeout(() => {
+        writeTimers.delete(tab.id);
+        writeEntry(tab).catch(e => console.warn('Could not write the recovery journal', e));
+    }, WRITE_DELAY));
+}
+
+/** Bring the journal in line with the open tabs, dropping entries of tabs that were saved or closed. */
+export function syncJournal() {
+    if (!window.indexedDB) return;
+    for (const tabId of journaled.keys()) {
+        if (!state.tabs.some(t => t.id === tabId && t.isUnsaved)) journalTab({ id: tabId });
+    }
+    state.tabs.filter(tab => tab.isUnsaved && journaled.get(tab.id) !== tabMarker(tab)).forEach(journalTab);
+}
+
+/** Register this instance and hold its lock until the window goes away. */
+export async function startJournal() {
+    if (!window.indexedDB || !navigator.locks) return;
+    navigator.locks.request(lockName(instanceId), () => new Promise(() => {}));
+    try {
+        await transact('instances', 'readwrite', instances => instances.put({ id: instanceId, startedAt: Date.now() }));
+    } catch (e) {
+        console.warn('Could not start the recovery journal', e);
+    }
+}
+
+/** A clean exit: the session keeps what should survive, so the journal entries can go. */
+export async function closeJournal() {
+    if (!window.indexedDB) return;
+    writeTimers.forEach(timer => clearTimeout(timer));
+    writeTimers.clear();
+    await forgetInstances([instanceId]).catch(() => {});
+}
+
+function forgetInstances(ids) {
+    return transact(['instances', 'buffers'], 'readwrite', (instances, buffers) => {
+        ids.forEach(id => {
+            instances.delete(id);
+            buffers.delete(IDBKeyRange.bound([id], [id, []]));
+        });
+    });
+}
+
+/** Instances that exited without clearing their journal, with their buffers. */
+async function findCrashedInstances() {
+    const { held = [] } = await navigator.locks.query();
+    const running = new Set(held.map(lock => lock.name));
+    const [instances, buffers] = await transact(['instances', 'buffers'], 'readonly', (instances, buffers) => [
+        instances.getAll(),
+        buffers.getAll()
+    ]);
+    const crashed = instances.result.map(i => i.id).filter(id => id !== instanceId && !running.has(lockName(id)));
+    return {
+        ids: crashed,
+        buffers: buffers.result.filter(b => crashed.includes(b.instanceId)).sort((a, b) => a.updatedAt - b.updatedAt)
+    };
+}
+
+/** The open tab a journaled buffer belongs to, if any. */
+function findTabFor(buffer) {
+    if (buffer.path) return state.tabs.find(t => t.path === buffer.path) || null;
+    if (buffer.inSession) return state.tabs.find(t => t.id === buffer.tabId && !t.path) || null;
+    return null;
+}
+
+async function restoreBuffer(buffer) {
+    const { createNewTab, updateTabState, setTabUnsaved, switchTab } = await import('./editor-manager.js');
+    let tab = findTabFor(buffer);
+
+    if (!tab) {
+        let disk = null;
+        if (buffer.path) {
+            try {
+                const { readDocumentFile } = await import('./file-io.js');
+                disk = await readDocumentFile(buffer.path, buffer.encoding);
+            } catch (e) {
+                // The file is gone, so the buffer is its only copy
+            }
+        }
+        const { content, ...fileInfo } = disk || { content: buffer.content, encoding: buffer.encoding, hasBom: buffer.hasBom, lineEnding: buffer.lineEnding };
+        await createNewTab(buffer.path, content, fileInfo);
+        tab = state.tabs[state.tabs.length - 1];
+        if (buffer.isTodo) tab.isTodo = true;
+        if (buffer.isDoc) tab.isDoc = true;
+        if (buffer.title) tab.title = buffer.title;
+        if (buffer.manualLanguage) tab.manualLanguage = buffer.manualLanguage;
+        if (buffer.path && !disk) tab.isOrphaned = true;
+    }
+
+    tab.lineEnding = buffer.lineEnding || tab.lineEnding;
+    if (tab.isDoc) {
+        // Showing the tab again renders its saved HTML into the editor
+        tab.savedContent = buffer.content;
+        switchTab(tab.id);
+    } else if (getTabContent(tab) !== buffer.content) {
+        updateTabState(tab, { changes: { from: 0, to: tab.state.doc.length, insert: buffer.content } });
+    }
+    setTabUnsaved(tab, true);
+}
+
+/**
+ * After an unclean exit, offer to bring back the unsaved buffers of every
+ * instance that crashed. Buffers already open with the same text are skipped.
+ */
+export async function recoverCrashedBuffers() {
+    if (!window.indexedDB || !navigator.locks) return;
+    try {
+        const { ids, buffers } = await findCrashedInstances();
+        if (ids.length === 0) return;
+
+        const missing = buffers.filter(buffer => {
+            const tab = findTabFor(buffer);
+            return !tab || getTabContent(tab) !== buffer.content;
+        });
+        if (missing.length > 0) {
+            const { askConfirmUI } = await import('./overlays.js');
+            const names = missing.map(b => b.path ? getFilename(b.path) : (b.title || 'Untitled'));
+            const listed = names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+            const answer = await askConfirmUI(`LightPad did not close properly last time. Restore ${missing.length} unsaved buffer${missing.length === 1 ? '' : 's'} (${listed})?`);
+            if (answer === 'yes') {
+                for (const buffer of missing) await restoreBuffer(buffer);
+                const { renderTabs } = await import('./tabs-ui.js');
+                renderTabs();
+                const { saveSessionDebounced } = await import('./session.js');
+                saveSessionDebounced();
+            }
+        }
+        await forgetInstances(ids);
+    } catch (e) {
+        console.error('Crash recovery failed', e);
+    }
+}
@@ -0,0 +1,123 @@
+// save-actions.js — Transforms applied to a tab right before it is written
+// Formatting, trimming trailing whitespace and the final newline run as one
+// CodeMirror transaction, so a single undo brings the old text back. Rules
+// from .editorconfig win over settings, which can be set per language.
+// The actions are worked out first and only applied once the save goes ahead,
+// so a save that is cancelled leaves the tab as it was. An encoding or line
+// ending the user picked for the tab (`isEncodingChosen`, `isLineEndingChosen`)
+// is kept over the .editorconfig rule.
+import { indentUnit } from '@codemirror/language';
+import { getSetting } from './settings.js';
+import { showStatus, updateEncodingStatus, updateLineEndingStatus } from './status-bar.js';
+import { loadEditorConfig, getEditorConfigFileFormat } from './editorconfig.js';
+import { formatDocument } from './formatters.js';
+import { diffHunks } from './diff.js';
+import { getFilename } from './utils.js';
+import { getEncodingLabel } from './encoding.js';
+import { updateTabState } from './editor-manager.js';
+import { getTabContent } from './panes.js';
+
+/** The language id used for "[language]" settings: the chosen language mode, else the file extension. */
+export function getTabLanguage(tab, path = tab.path) {
+    if (tab.manualLanguage) return tab.manualLanguage;
+    const filename = path ? getFilename(path) : '';
+    if (filename.includes('.')) return filename.split('.').pop().toLowerCase();
+    return tab.autoLanguage || null;
+}
+
+/**
+ * Changes turning `doc` into `text`, one per block of changed lines, so the
+ * cursor and unchanged lines stay where they are.
+ */
+function lineChanges(doc, text) {
+    const oldLines = doc.toString().split('\n');
+    const newLines = text.split('\n');
+    return diffHunks(oldLines, newLines).map(({ aStart, aEnd, bStart, bEnd }) => {
+        const lines = newLines.slice(bStart, bEnd);
+        if (aEnd < oldLines.length) {
+            return { from: doc.line(aStart + 1).from, to: doc.line(aEnd + 1).from, insert: lines.map(line => line + '\n').join('') };
+        }
+        // The last line has no newline after it, so a block at the end owns the newline before it
+        if (aStart === 0) return { from: 0, to: doc.length, insert: lines.join('\n') };
+        return { from: doc.line(aStart).to, to: doc.length, insert: lines.map(line => '\n' + line).join('') };
+    });
+}
+
+/** The text `tab` should be saved with, given the resolved options. */
+function transformText(tab, language, { format, trim, finalNewline, keepLines }) {
+    let text = tab.state.doc.toString();
+    if (format) {
+        try {
+            const formatted = formatDocument(language, tab.state, tab.state.facet(indentUnit));
+            if (formatted !== null) text = formatted;
+        } catch (e) {
+            showStatus(`Could not format ${getFilename(tab.path)}: ${e.message}`, 5000);
+        }
+    }
+    if (trim) {
+        text = text.split('\n').map((line, i) => keepLines.has(i) ? line : line.replace(/[ \t]+$/, '')).join('\n');
+    }
+    if (finalNewline === true && text && !text.endsWith('\n')) text += '\n';
+    else if (finalNewline === false) text = text.replace(/\n+$/, '');
+    return text;
+}
+
+/**
+ * Work out the save actions for `tab` about to be written to `path`, without
+ * changing the tab. Resolves { text, encoding, hasBom, lineEnding, kept }: the
+ * content to write, the file format to write it in, and descriptions of the
+ * .editorconfig rules the user's own choices won over. Auto-saves skip
+ * formatting and leave trailing whitespace on the lines holding a cursor, so
+ * text does not shift while the user is typing.
+ */
+export async function prepareSaveActions(tab, path, { isAutoSave = false } = {}) {
+    const language = getTabLanguage(tab, path);
+    const props = await loadEditorConfig(path) || {};
+
+    const format = getEditorConfigFileFormat(props);
+    const actions = { text: getTabContent(tab), encoding: tab.encoding, hasBom: tab.hasBom, lineEnding: tab.lineEnding, kept: [] };
+    if (format.encoding && tab.isEncodingChosen) {
+        if (format.encoding !== tab.encoding || format.hasBom !== tab.hasBom) {
+            actions.kept.push(`${getEncodingLabel(tab.encoding, tab.hasBom)} over the .editorconfig charset ${props.charset}`);
+        }
+    } else if (format.encoding) {
+        actions.encoding = format.encoding;
+        actions.hasBom = format.hasBom;
+    }
+    if (format.lineEnding && tab.isLineEndingChosen) {
+        if (format.lineEnding !== tab.lineEnding) actions.kept.push(`${tab.lineEnding} over the .editorconfig end_of_line ${props.end_of_line}`);
+    } else if (format.lineEnding) {
+        actions.lineEnding = format.lineEnding;
+    }
+    if (tab.isDoc || !tab.state) return actions;
+
+    const doc = tab.state.doc;
+    const options = {
+        format: !isAutoSave && getSetting('editor.formatOnSave', language),
+        trim: props.trim_trailing_whitespace
+            ? props.trim_trailing_whitespace === 'true'
+            : getSetting('files.trimTrailingWhitespace', language),
+        // false strips trailing newlines, null leaves the end of the file alone
+        finalNewline: props.insert_final_newline
+            ? props.insert_final_newline === 'true'
+            : (getSetting('files.insertFinalNewline', language) || null),
+        keepLines: new Set(isAutoSave ? tab.state.selection.ranges.map(range => doc.lineAt(range.head).number - 1) : [])
+    };
+
+    actions.text = transformText(tab, language, options);
+    return actions;
+}
+
+/** Apply actions from prepareSaveActions to `tab`, as one undoable change. */
+export function applySaveActions(tab, actions) {
+    tab.encoding = actions.encoding;
+    tab.hasBom = actions.hasBom;
+    tab.lineEnding = actions.lineEnding;
+    updateEncodingStatus();
+    updateLineEndingStatus();
+
+    if (tab.isDoc || !tab.state) return;
+    const doc = tab.state.doc;
+    if (actions.text === doc.toString()) return;
+    updateTabState(tab, { changes: lineChanges(doc, actions.text), userEvent: 'input.format' });
+}
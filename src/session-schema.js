@@ -0,0 +1,229 @@
+// session-schema.js — The stored session format, its migrations and validation
+// The default session in localStorage and .lpsession workspace files share one
+// schema. Older sessions are upgraded one version at a time, then checked as a
+// whole: a session with any problem is rejected rather than partly restored.
+import { lineEndings } from './line-endings.js';
+import { isAbsolutePath, toRelativePath, resolvePath } from './utils.js';
+
+export const SESSION_VERSION = 3;
+
+// Files further up than this from a workspace file are stored by absolute path,
+// since they are unlikely to travel with it
+const MAX_RELATIVE_LEVELS = 2;
+
+/**
+ * A stored session (version 3). In workspace files, `path` and `folder` are
+ * relative to the folder of the file when they are close to it.
+ *
+ * @typedef {Object} Session
+ * @property {number} version          SESSION_VERSION when written
+ * @property {SessionTab[]} tabs       in tab bar order
+ * @property {string|null} activeTabId
+ * @property {Object|null} panes       { direction, activePaneId, panes: [{ id, activeTabId, size }] }
+ * @property {string|null} folder      the explorer folder
+ *
+ * @typedef {Object} SessionTab
+ * @property {string} id               unique within the session, "tab-<n>"
+ * @property {string|null} path        null for untitled tabs
+ * @property {string|null} content     the text (HTML for rich text); null when it is the file on disk
+ * @property {boolean} isUnsaved
+ * @property {string} [title]          untitled tabs only
+ * @property {boolean} [isTodo]
+ * @property {boolean} [isDoc]
+ * @property {string|null} [manualLanguage]
+ * @property {string|null} [autoLanguage]
+ * @property {string} [encoding]
+ * @property {boolean} [hasBom]
+ * @property {'LF'|'CRLF'|'CR'} [lineEnding]
+ * @property {string|null} [paneId]
+ * @property {string|null} [docId]
+ * @property {number|null} [zoomLevel]
+ * @property {Object|null} [indent]
+ * @property {Object|null} [viewState]   { selection, folds, scrollPos }, see panes.js
+ * @property {Object|null} [undoHistory] { history, docHash }, see undo-history.js
+ */
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Each migration upgrades a session from the version it is keyed by to the next
+const MIGRATIONS = {
+    // The unversioned default session only kept the cursor of the active tab
+    0: (session) => {
+        const { cursorPos, ...rest } = session;
+        const tabs = Array.isArray(rest.tabs) ? rest.tabs : [];
+        const active = tabs.find(t => isObject(t) && t.id === rest.activeTabId);
+        if (typeof cursorPos === 'number' && active && !tabs.some(t => isObject(t) && t.viewState)) {
+            active.viewState = { selection: { ranges: [{ anchor: cursorPos, head: cursorPos }], main: 0 }, folds: [], scrollPos: null };
+        }
+        return { ...rest, version: 1 };
+    },
+    // Workspace files saved from a dialog had no tab ids or unsaved flags, and stored
+    // the text of every tab that was unsaved, untitled, a todo list or a document
+    1: (session) => {
+        const tabs = Array.isArray(session.tabs) ? session.tabs.filter(isObject) : [];
+        let counter = tabs.reduce((max, t) => Math.max(max, parseInt(String(t.id).split('-')[1]) || 0), 0);
+        tabs.forEach(t => {
+            if (t.id === undefined) t.id = `tab-${++counter}`;
+            if (t.isUnsaved === undefined) t.isUnsaved = !!t.path && typeof t.content === 'string';
+            if (t.content === undefined) t.content = null;
+        });
+        return { activeTabId: null, panes: null, folder: null, ...session, version: 2 };
+    },
+    // Paths may now be relative; the absolute paths of older workspace files still resolve as they are
+    2: (session) => ({ ...session, version: 3 })
+};
+
+/** Upgrade `session` to SESSION_VERSION. */
+export function migrateSession(session) {
+    let current = { ...session, version: session.version ?? 0 };
+    while (MIGRATIONS[current.version] && current.version < SESSION_VERSION) {
+        current = MIGRATIONS[current.version](current);
+    }
+    return current;
+}
+
+function checkType(value, types) {
+    const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    return types.includes(type);
+}
+
+// Field name → allowed types; fields marked optional may be left out
+const TAB_FIELDS = {
+    id: ['string'],
+    path: ['string', 'null'],
+    content: ['string', 'null'],
+    isUnsaved: ['boolean'],
+    title: ['string', 'null', 'optional'],
+    isTodo: ['boolean', 'optional'],
+    isDoc: ['boolean', 'optional'],
+    manualLanguage: ['string', 'null', 'optional'],
+    autoLanguage: ['string', 'null', 'optional'],
+    encoding: ['string', 'null', 'optional'],
+    hasBom: ['boolean', 'optional'],
+    lineEnding: ['string', 'null', 'optional'],
+    paneId: ['string', 'null', 'optional'],
+    docId: ['string', 'null', 'optional'],
+    zoomLevel: ['number', 'null', 'optional'],
+    indent: ['object', 'null', 'optional'],
+    viewState: ['object', 'null', 'optional'],
+    undoHistory: ['object', 'null', 'optional']
+};
+
+function describeTypes(types) {
+    return types.filter(t => t !== 'optional').map(t => t === 'object' ? 'an object' : t === 'array' ? 'a list' : t === 'null' ? 'null' : `a ${t}`).join(' or ');
+}
+
+function validateViewState(viewState, where, errors) {
+    const { selection, folds, scrollPos } = viewState;
+    if (selection !== undefined && selection !== null) {
+        const ranges = isObject(selection) ? selection.ranges : null;
+        if (!Array.isArray(ranges) || !ranges.every(r => isObject(r) && typeof r.anchor === 'number' && typeof r.head === 'number')) {
+            errors.push(`${where}.viewState.selection: expected a list of { anchor, head } ranges`);
+        }
+    }
+    if (folds !== undefined && folds !== null && !(Array.isArray(folds) && folds.every(f => Array.isArray(f) && f.length === 2 && f.every(n => typeof n === 'number')))) {
+        errors.push(`${where}.viewState.folds: expected a list of [from, to] pairs`);
+    }
+    if (scrollPos !== undefined && !checkType(scrollPos, ['number', 'null'])) {
+        errors.push(`${where}.viewState.scrollPos: expected a number or null`);
+    }
+}
+
+function validateTab(tab, where, errors) {
+    if (!isObject(tab)) {
+        errors.push(`${where}: expected an object`);
+        return;
+    }
+    Object.entries(TAB_FIELDS).forEach(([field, types]) => {
+        if (tab[field] === undefined) {
+            if (!types.includes('optional')) errors.push(`${where}.${field}: missing`);
+        } else if (!checkType(tab[field], types)) {
+            errors.push(`${where}.${field}: expected ${describeTypes(types)}`);
+        }
+    });
+    if (typeof tab.lineEnding === 'string' && !lineEndings.some(l => l.name === tab.lineEnding)) {
+        errors.push(`${where}.lineEnding: expected one of ${lineEndings.map(l => l.name).join(', ')}`);
+    }
+    if (isObject(tab.viewState)) validateViewState(tab.viewState, where, errors);
+    if (isObject(tab.undoHistory)) {
+        const { history, docHash } = tab.undoHistory;
+        if (!isObject(history) || !Array.isArray(history.done) || !Array.isArray(history.undone) || typeof docHash !== 'string') {
+            errors.push(`${where}.undoHistory: expected { history: { done, undone }, docHash }`);
+        }
+    }
+}
+
+function validatePanes(panes, errors) {
+    if (panes === null || panes === undefined) return;
+    if (!isObject(panes) || !Array.isArray(panes.panes)) {
+        errors.push('panes: expected { direction, panes: [...] } or null');
+        return;
+    }
+    if (panes.direction !== undefined && !['horizontal', 'vertical'].includes(panes.direction)) {
+        errors.push('panes.direction: expected horizontal or vertical');
+    }
+    panes.panes.forEach((pane, i) => {
+        if (!isObject(pane) || typeof pane.id !== 'string') errors.push(`panes.panes[${i}]: expected an object with a string id`);
+        else if (pane.size !== undefined && typeof pane.size !== 'number') errors.push(`panes.panes[${i}].size: expected a number`);
+    });
+}
+
+/** Problems with a migrated session, as messages; an empty list means it can be restored. */
+export function validateSession(session) {
+    const errors = [];
+    if (session.version > SESSION_VERSION) {
+        return [`written by a newer LightPad (session version ${session.version}; this version reads up to ${SESSION_VERSION})`];
+    }
+    if (session.version !== SESSION_VERSION) {
+        return [`version: unknown session version ${JSON.stringify(session.version)}`];
+    }
+    if (!Array.isArray(session.tabs)) {
+        errors.push('tabs: expected a list of tabs');
+    } else {
+        session.tabs.forEach((tab, i) => validateTab(tab, `tabs[${i}]`, errors));
+        const ids = session.tabs.filter(isObject).map(t => t.id);
+        ids.filter((id, i) => ids.indexOf(id) !== i).forEach(id => errors.push(`tabs: the id ${JSON.stringify(id)} is used more than once`));
+    }
+    if (!checkType(session.activeTabId ?? null, ['string', 'null'])) errors.push('activeTabId: expected a string or null');
+    if (!checkType(session.folder ?? null, ['string', 'null'])) errors.push('folder: expected a string or null');
+    validatePanes(session.panes, errors);
+    return errors;
+}
+
+function mapSessionPaths(session, fn) {
+    return {
+        ...session,
+        folder: session.folder ? fn(session.folder) : session.folder,
+        tabs: session.tabs.map(tab => tab.path ? { ...tab, path: fn(tab.path) } : tab)
+    };
+}
+
+/** A copy of `session` to write into a workspace file in `dir`, with the paths near it made relative. */
+export function toPortableSession(session, dir) {
+    return mapSessionPaths(session, path => toRelativePath(dir, path, MAX_RELATIVE_LEVELS) ?? path);
+}
+
+/** A copy of `session` read from a workspace file in `dir`, with its relative paths resolved. */
+export function resolveSessionPaths(session, dir) {
+    return mapSessionPaths(session, path => isAbsolutePath(path) ? path : resolvePath(dir, path));
+}
+
+/**
+ * Parse stored session text and bring it up to date. Problems are returned as
+ * messages, in which case `session` is null and nothing should be restored.
+ */
+export function parseSession(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { session: null, errors: [`not valid JSON (${e.message})`] };
+    }
+    if (!isObject(data)) return { session: null, errors: ['expected a session object'] };
+    if (data.version !== undefined && !Number.isInteger(data.version)) {
+        return { session: null, errors: [`version: expected a whole number, not ${JSON.stringify(data.version)}`] };
+    }
+    const session = data.version > SESSION_VERSION ? data : migrateSession(data);
+    const errors = validateSession(session);
+    return errors.length > 0 ? { session: null, errors } : { session, errors };
+}
@@ -1,50 +1,62 @@
 import { state } from './state.js';
-import { invoke, writeTextFile, readTextFile } from './tauri-bridge.js';
+import { invoke } from './tauri-bridge.js';
+import { DEFAULT_ENCODING, findUnencodableChars, getEncodingLabel } from './encoding.js';
+import { DEFAULT_LINE_ENDING } from './line-endings.js';
 import { renderTabs } from './tabs-ui.js';
+import { getTabContent, getTabViewState, serializePanes } from './panes.js';
+import { syncWatchedFiles } from './watcher.js';
 import { showStatus } from './status-bar.js';
 import { removeFromFileHistory } from './history.js';
-import { getFilename } from './utils.js';
+import { getFilename, getParentDir } from './utils.js';
+import { getSetting } from './settings.js';
+import { syncJournal, recoverCrashedBuffers } from './recovery.js';
+import { serializeUndoHistories, getRestorableHistory } from './undo-history.js';
+import { SESSION_VERSION, parseSession, toPortableSession, resolveSessionPaths } from './session-schema.js';
 // editor-manager imports are deferred to avoid circular dependency
-// switchTab, createEditorStateFromContent, syncChannel imported dynamically
+// switchTab, createEditorStateFromContent, syncChannel and pane restore helpers imported dynamically
 
 export function saveSessionDebounced() {
     if (state.sessionTimeout) clearTimeout(state.sessionTimeout);
     state.sessionTimeout = setTimeout(() => {
         saveSession();
+        syncWatchedFiles();
+        syncJournal();
     }, 1000);
 }
 
-export function autoSaveDiskDebounced(tab, delay = 2000) {
-    if (!state.isAutoSaveEnabled) return;
+export function autoSaveDiskDebounced(tab, delay = getSetting('files.autoSaveDelay')) {
+    if (!getSetting('files.autoSave')) return;
     if (!tab.path || !window.__TAURI__) return;
+    // Never silently recreate a file that was deleted behind our back
+    if (tab.isOrphaned) return;
 
     if (tab.autoSaveTimeout) clearTimeout(tab.autoSaveTimeout);
     tab.autoSaveTimeout = setTimeout(async () => {
         try {
-            let content = '';
-            if (tab.isDoc) {
-                if (state.quillView && state.activeTabId === tab.id) {
-                    content = state.quillView.root.innerHTML;
-                } else {
-                    content = tab.savedContent || '';
-                }
-            } else {
-                if (state.editorView && state.activeTabId === tab.id) {
-                    content = state.editorView.state.doc.toString();
-                } else {
-                    content = tab.state.doc.toString();
-                }
+            const { prepareSaveActions, applySaveActions } = await import('./save-actions.js');
+            const actions = await prepareSaveActions(tab, tab.path, { isAutoSave: true });
+            // Writing would turn those characters into '?', which only an explicit save may do.
+            // The save actions are only applied when the write goes ahead.
+            if (findUnencodableChars(actions.text, actions.encoding).length > 0) {
+                showStatus(`Auto-save skipped: ${getEncodingLabel(actions.encoding)} cannot store every character of ${getFilename(tab.path)}`, 5000);
+                return;
             }
-            await writeTextFile(tab.path, content);
+            applySaveActions(tab, actions);
+            const content = getTabContent(tab);
+            const { writeDocumentFile, reloadIfConfigFile } = await import('./file-io.js');
+            await writeDocumentFile(tab.path, content, tab, { isAutoSave: true });
+            const { syncChannel, syncLinkedTabs } = await import('./editor-manager.js');
             try {
                 let mtime = await invoke('get_file_modified', { path: tab.path });
                 tab.lastModified = mtime;
-                const { syncChannel } = await import('./editor-manager.js');
                 syncChannel.postMessage({ type: 'file_saved', path: tab.path, content, mtime });
             } catch (e) {}
             tab.isUnsaved = false;
             tab.savedContent = content;
+            tab.savedLineEnding = tab.lineEnding;
+            syncLinkedTabs(tab);
             renderTabs();
+            reloadIfConfigFile(tab.path);
             // TODO: dispatch event to update Title
         } catch (e) {
             console.error("Autosave failed", e);
@@ -52,27 +64,23 @@ export function autoSaveDiskDebounced(tab, delay = 2000) {
     }, delay);
 }
 
+/**
+ * Write the open tabs to the active workspace file, or to the default session.
+ * Resolves true once they are stored, which a secondary instance on the default session never does.
+ */
 export async function saveSession() {
-    let activeDocContent = null;
-    const activeTab = state.tabs.find(t => t.id === state.activeTabId);
-    if (activeTab && activeTab.isDoc && state.quillView) {
+    state.tabs.forEach(tab => {
+        if (!tab.isDoc) return;
         try {
-            activeDocContent = state.quillView.root.innerHTML;
-            activeTab.savedContent = activeDocContent;
+            tab.savedContent = getTabContent(tab);
         } catch (e) {
             console.error("QuillJS save failed", e);
         }
-    }
+    });
 
+    const histories = serializeUndoHistories(state.tabs);
     const sessionTabs = state.tabs.map(tab => {
-        let content = null;
-        if (tab.isDoc) {
-            content = (tab.id === state.activeTabId && activeDocContent !== null) ? activeDocContent : tab.savedContent;
-        } else {
-            content = (tab.id === state.activeTabId && state.editorView)
-                ? state.editorView.state.doc.toString()
-                : tab.state.doc.toString();
-        }
+        const content = getTabContent(tab);
 
         return {
             id: tab.id,
@@ -83,68 +91,172 @@ export async function saveSession() {
             isDoc: tab.isDoc,
             manualLanguage: tab.manualLanguage,
             autoLanguage: tab.autoLanguage,
+            encoding: tab.encoding,
+            hasBom: tab.hasBom,
+            lineEnding: tab.lineEnding,
+            paneId: tab.paneId,
+            docId: tab.docId || null,
+            zoomLevel: tab.zoomLevel ?? null,
+            indent: tab.indent || null,
+            viewState: getTabViewState(tab),
+            undoHistory: histories.get(tab.id) || null,
             content: tab.isUnsaved || !tab.path ? content : null
         };
     });
 
-    let cursorPos = 0;
-    if (state.editorView && !activeTab?.isDoc) {
-        cursorPos = state.editorView.state.selection.main.head;
-    }
-
-    let sessionStateStr = JSON.stringify({
+    // See session-schema.js for the format
+    const session = {
+        version: SESSION_VERSION,
         tabs: sessionTabs,
         activeTabId: state.activeTabId,
-        cursorPos
-    });
+        panes: serializePanes(),
+        folder: state.workspaceRoot
+    };
 
     if (state.activeSessionPath && window.__TAURI__) {
         try {
-            const sessionData = JSON.stringify({ tabs: sessionTabs, version: 1 }, null, 2);
-            window.__TAURI__.fs.writeTextFile(state.activeSessionPath, sessionData).catch(()=>{});
-        } catch (e) {}
-    } else {
-        if (state.isPrimaryInstance || !window.__TAURI__) {
-            localStorage.setItem('lightpad-session', sessionStateStr);
+            // Started before the first await, so the write still happens when called from beforeunload
+            await writeSessionFile(state.activeSessionPath, session);
+            return true;
+        } catch (e) {
+            console.error('Could not write workspace', e);
+            return false;
+        }
+    }
+    if (state.isPrimaryInstance || !window.__TAURI__) {
+        try {
+            localStorage.setItem('lightpad-session', JSON.stringify(session));
+            return true;
+        } catch (e) {
+            console.error('Could not store session', e);
         }
     }
+    return false;
 }
 
-export async function loadSession() {
-    const { switchTab, createEditorStateFromContent } = await import('./editor-manager.js');
-    const sessionJson = localStorage.getItem('lightpad-session');
-    if (!sessionJson) {
-        switchTab(null);
-        return;
+/** Write `session` to the workspace file at `path`, storing the paths near it as relative ones. */
+export function writeSessionFile(path, session) {
+    const data = JSON.stringify(toPortableSession(session, getParentDir(path)), null, 2);
+    return window.__TAURI__.fs.writeTextFile(path, data);
+}
+
+async function readSessionText(path) {
+    if (path && window.__TAURI__) {
+        if (!(await window.__TAURI__.fs.exists(path))) return null;
+        return window.__TAURI__.fs.readTextFile(path);
     }
+    return localStorage.getItem('lightpad-session');
+}
 
+/**
+ * The stored session of a workspace (null for Default), migrated to the current
+ * format, as { session, text, errors }. `session` is null when there is none yet or it is invalid.
+ */
+export async function readSession(path = state.activeSessionPath) {
+    let text;
     try {
-        const session = JSON.parse(sessionJson);
-        const validTabs = session.tabs || [];
-        const tabsToRestore = validTabs.filter(t => t.path !== null || (t.content !== "" && t.content !== null));
+        text = await readSessionText(path);
+    } catch (e) {
+        return { session: null, text: null, errors: [`could not be read (${e})`] };
+    }
+    if (text === null) return { session: null, text, errors: [] };
+    const { session, errors } = parseSession(text);
+    return { text, errors, session: session && path ? resolveSessionPaths(session, getParentDir(path)) : session };
+}
+
+/** Tell the user why a workspace could not be restored. */
+export async function reportSessionErrors(path, errors, note = '') {
+    const { showReportUI } = await import('./overlays.js');
+    const name = path ? `the workspace "${getFilename(path)}"` : 'the default session';
+    await showReportUI('Could not load workspace', `LightPad could not restore ${name}.${note ? ` ${note}` : ''}`, errors);
+}
+
+// The next save would overwrite a rejected session, so a copy of it is kept aside
+async function keepRejectedSession(path, text) {
+    if (path && window.__TAURI__) {
+        const copy = `${path}.rejected`;
+        await window.__TAURI__.fs.writeTextFile(copy, text);
+        return `It was copied to ${getFilename(copy)} next to it.`;
+    }
+    localStorage.setItem('lightpad-session-rejected', text);
+    return 'A copy was kept in the app storage as lightpad-session-rejected.';
+}
+
+/** Restore the active workspace, then offer back whatever a crashed instance left unsaved. */
+export async function loadSession() {
+    await restoreSessionTabs();
+    await recoverCrashedBuffers();
+}
+
+async function restoreSessionTabs() {
+    const { switchTab, createEditorStateFromContent, detectFileIndentation, getFileIndentation, restorePaneLayout, showRestoredPanes, applyTabViewState } = await import('./editor-manager.js');
+    const { readDocumentFile } = await import('./file-io.js');
+
+    try {
+        const { session, text, errors } = await readSession();
+        if (errors.length > 0) {
+            console.error('Invalid session', errors);
+            let note = '';
+            if (text !== null) {
+                try { note = await keepRejectedSession(state.activeSessionPath, text); } catch (e) { console.error(e); }
+            }
+            switchTab(null);
+            await reportSessionErrors(state.activeSessionPath, errors, note);
+            return;
+        }
+        if (!session) {
+            switchTab(null);
+            return;
+        }
+        if (state.activeSessionPath) {
+            const { relocateMissingFiles } = await import('./workspaces.js');
+            await relocateMissingFiles(session, state.activeSessionPath);
+        }
+        if (session.folder) {
+            const { openFolder } = await import('./explorer.js');
+            await openFolder(session.folder, false);
+        }
+        const tabsToRestore = session.tabs.filter(t => t.path !== null || (t.content !== "" && t.content !== null));
 
         if (tabsToRestore.length === 0) {
             switchTab(null);
             return;
         }
 
+        const paneIds = restorePaneLayout(session.panes);
+
+        tabsToRestore.forEach(t => {
+            const num = parseInt(t.id.split('-')[1]);
+            if (num > state.tabCounter) state.tabCounter = num;
+        });
+
         for (const t of tabsToRestore) {
             let content = t.content;
             let savedContent = null;
+            let encoding = t.encoding || DEFAULT_ENCODING;
+            let hasBom = !!t.hasBom;
+            let savedLineEnding = t.lineEnding || DEFAULT_LINE_ENDING;
             if (content === null && t.path && window.__TAURI__) {
                 try {
-                    content = await readTextFile(t.path);
+                    const file = await readDocumentFile(t.path, t.encoding || null);
+                    content = file.content;
+                    encoding = file.encoding;
+                    hasBom = file.hasBom;
+                    savedLineEnding = file.lineEnding;
                     savedContent = content;
                     try { t.lastModified = await invoke('get_file_modified', { path: t.path }); } catch (e) {}
                 } catch (e) {
                     console.warn(`File previously opened is missing or inaccessible: ${t.path}`, e);
                     content = t.content || "";
                     t.isUnsaved = true;
+                    t.isOrphaned = true;
                     setTimeout(() => showStatus(`Error: Could not load ${getFilename(t.path)}`, 5000), 1000);
                 }
             } else if (t.path && window.__TAURI__ && t.isUnsaved) {
                 try {
-                    savedContent = await readTextFile(t.path);
+                    const file = await readDocumentFile(t.path, t.encoding || null);
+                    savedContent = file.content;
+                    savedLineEnding = file.lineEnding;
                     try { t.lastModified = await invoke('get_file_modified', { path: t.path }); } catch (e) {}
                 } catch (e) {}
             } else if (!t.path && t.isDoc) {
@@ -158,13 +270,15 @@ export async function loadSession() {
                 removeFromFileHistory(t.path);
             }
 
-            const num = parseInt(t.id.split('-')[1]);
-            if (num > state.tabCounter) state.tabCounter = num;
-
             const isTodo = t.isTodo || (t.path && t.path.endsWith('.todo'));
             const isDoc = t.isDoc || (t.path && t.path.endsWith('.doc'));
 
-            const editorState = await createEditorStateFromContent(t.path, content, isTodo, isDoc, t.manualLanguage, t.id);
+            // Sessions from before indentation detection have no `indent`
+            let indent = null;
+            if (!isDoc) indent = await getFileIndentation(t.path, content, t.indent !== undefined ? t.indent : detectFileIndentation(content));
+            // A history is only valid for the text it was recorded on, which a file may no longer have
+            const undoHistory = getRestorableHistory(t.undoHistory, content || '');
+            const editorState = await createEditorStateFromContent(t.path, content, isTodo, isDoc, t.manualLanguage, t.id, { zoomLevel: t.zoomLevel ?? null, indent, undoHistory });
 
             const newTab = {
                 id: t.id,
@@ -176,24 +290,30 @@ export async function loadSession() {
                 savedContent: savedContent,
                 manualLanguage: t.manualLanguage || null,
                 autoLanguage: t.autoLanguage || null,
+                encoding,
+                hasBom,
+                // A tab reloaded from disk takes the file's line endings, which may have changed since
+                lineEnding: t.content === null ? savedLineEnding : (t.lineEnding || savedLineEnding),
+                savedLineEnding,
+                paneId: paneIds[t.paneId] || state.panes[0].id,
+                docId: t.docId || null,
+                isOrphaned: !!t.isOrphaned,
+                zoomLevel: t.zoomLevel ?? null,
+                indent,
                 state: editorState
             };
             state.tabs.push(newTab);
+            applyTabViewState(newTab, t.viewState);
         }
 
         renderTabs();
+        showRestoredPanes(session.panes, paneIds);
 
         if (session.activeTabId && state.tabs.find(t => t.id === session.activeTabId)) {
             switchTab(session.activeTabId);
         } else {
             switchTab(state.tabs[0].id);
         }
-
-        if (session.cursorPos && state.editorView) {
-            const docLength = state.editorView.state.doc.length;
-            const safePos = Math.min(session.cursorPos, docLength);
-            state.editorView.dispatch({ selection: { anchor: safePos, head: safePos } });
-        }
     } catch (e) {
         console.error("Failed to load session", e);
         showStatus("Err: " + e.message);
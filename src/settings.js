@@ -0,0 +1,431 @@
+// settings.js — Typed preferences backed by settings.json
+// Every setting is declared once in SETTINGS_SCHEMA with its type, default and
+// limits. settings.json in the app data folder only holds the values that differ
+// from the defaults, and edits to it are picked up while the app is running.
+// Settings marked `languageOverridable` can also be set for one language in a
+// section such as "[json]": { "editor.formatOnSave": true }.
+import { showStatus } from './status-bar.js';
+import { state } from './state.js';
+import { escapeHtml } from './utils.js';
+import { watchFile, isWatching } from './watcher.js';
+
+const STORAGE_KEY = 'lightpad-settings';
+
+export const SETTINGS_SCHEMA = [
+    { key: 'workbench.colorTheme', type: 'string', default: 'dark', category: 'Appearance', title: 'Color Theme', description: 'A built-in theme, or the file name of a theme in the themes folder without .json.' },
+    { key: 'editor.fontFamily', type: 'string', default: "'JetBrains Mono', 'Consolas', monospace", category: 'Editor', title: 'Font Family', description: 'CSS font list used by text editors.' },
+    { key: 'editor.fontSize', type: 'number', default: 14.5, min: 6, max: 72, category: 'Editor', title: 'Font Size', description: 'Editor font size in pixels.' },
+    { key: 'editor.tabSize', type: 'integer', default: 4, min: 1, max: 16, category: 'Editor', title: 'Tab Size', description: 'Width of a tab character and of one indentation level, in columns.' },
+    { key: 'editor.insertSpaces', type: 'boolean', default: true, category: 'Editor', title: 'Insert Spaces', description: 'Indent with spaces rather than tabs, unless the file itself uses tabs.' },
+    { key: 'editor.detectIndentation', type: 'boolean', default: true, category: 'Editor', title: 'Detect Indentation', description: 'Use the indentation style and width found in a file when opening it.' },
+    { key: 'editor.lineHeight', type: 'number', default: 1.6, min: 1, max: 3, category: 'Editor', title: 'Line Height', description: 'Line height as a multiple of the font size.' },
+    { key: 'editor.fontLigatures', type: 'boolean', default: true, category: 'Editor', title: 'Font Ligatures', description: 'Render ligatures such as => and != when the font provides them.' },
+    { key: 'editor.zoomLevel', type: 'integer', default: 0, min: -5, max: 10, category: 'Editor', title: 'Zoom Level', description: 'Zoom in 10% steps for the editor, documents and the markdown preview. Ctrl+= and Ctrl+- change it, Ctrl+0 resets it.' },
+    { key: 'editor.zoomPerTab', type: 'boolean', default: false, category: 'Editor', title: 'Zoom Per Tab', description: 'Remember the zoom level separately for each tab instead of using one level everywhere.' },
+    { key: 'editor.wordWrap', type: 'boolean', default: false, category: 'Editor', title: 'Word Wrap', description: 'Wrap long lines at the edge of the editor.' },
+    { key: 'editor.lineNumbers', type: 'boolean', default: true, category: 'Editor', title: 'Line Numbers', description: 'Show line numbers in the gutter.' },
+    { key: 'editor.highlightActiveLine', type: 'boolean', default: true, category: 'Editor', title: 'Highlight Active Line', description: 'Shade the line the cursor is on.' },
+    { key: 'editor.undoHistorySize', type: 'integer', default: 1024, min: 0, max: 16384, category: 'Editor', title: 'Saved Undo History', description: 'Kilobytes of undo history kept with the session across all tabs, so edits made before a restart can still be undone. 0 turns this off.' },
+    { key: 'files.autoSave', type: 'boolean', default: false, category: 'Files', title: 'Auto Save', description: 'Write changes to disk after a pause in typing.' },
+    { key: 'files.autoSaveDelay', type: 'integer', default: 2000, min: 100, max: 60000, category: 'Files', title: 'Auto Save Delay', description: 'Milliseconds to wait after the last edit before auto-saving.' },
+    { key: 'files.backupCount', type: 'integer', default: 5, min: 0, max: 50, category: 'Files', title: 'Backups', description: 'Previous versions kept per file in the backups folder of the app data directory, for File > Restore from Backup. 0 turns backups off.' },
+    { key: 'files.localHistory', type: 'boolean', default: true, category: 'Files', title: 'Local History', description: 'Keep a snapshot of each saved version of a file, shown by File > Local History.' },
+    { key: 'files.localHistoryMaxEntries', type: 'integer', default: 50, min: 1, max: 500, category: 'Files', title: 'Local History Entries', description: 'Snapshots kept per file before the oldest are dropped.' },
+    { key: 'files.localHistoryMaxSize', type: 'integer', default: 50, min: 1, max: 1024, category: 'Files', title: 'Local History Size', description: 'Megabytes of snapshots kept across all files before the oldest are dropped.' },
+    { key: 'files.trimTrailingWhitespace', type: 'boolean', default: false, languageOverridable: true, category: 'Files', title: 'Trim Trailing Whitespace', description: 'Remove whitespace at the end of lines when saving. Set it for one language with a "[json]" style section in settings.json.' },
+    { key: 'files.insertFinalNewline', type: 'boolean', default: false, languageOverridable: true, category: 'Files', title: 'Insert Final Newline', description: 'Make sure the file ends with a newline when saving. Can be set per language in settings.json.' },
+    { key: 'editor.formatOnSave', type: 'boolean', default: false, languageOverridable: true, category: 'Files', title: 'Format On Save', description: 'Format JSON, CSS and HTML files when saving them. Can be set per language in settings.json.' }
+];
+
+// Keys of per-language sections in settings.json, e.g. "[json]"
+const LANGUAGE_SECTION = /^\[([\w.+-]+)\]$/;
+
+const schemaByKey = new Map(SETTINGS_SCHEMA.map(schema => [schema.key, schema]));
+const listeners = [];
+
+let userSettings = {};
+let settingsPath = null;
+// The text of settings.json as last read or written, to tell edits from elsewhere from our own
+let settingsText = null;
+
+/* ── Store ──────────────────────────────────────────────────────── */
+
+/** The value of `key`, taking a "[language]" override into account when `language` is given. */
+export function getSetting(key, language = null) {
+    if (!schemaByKey.has(key)) throw new Error(`Unknown setting: ${key}`);
+    const overrides = language ? userSettings[`[${language}]`] : null;
+    if (overrides && key in overrides) return overrides[key];
+    return key in userSettings ? userSettings[key] : schemaByKey.get(key).default;
+}
+
+/** Call `listener(changedKeys)` whenever settings change, however they were changed. */
+export function onSettingsChange(listener) {
+    listeners.push(listener);
+}
+
+/** Offer a dynamic list of choices for a string setting in the preferences panel, as { value, label }. */
+export function setSettingOptions(key, getOptions) {
+    schemaByKey.get(key).getOptions = getOptions;
+}
+
+/** Returns an error message if `value` does not fit the schema, otherwise null. */
+function validateSetting(schema, value) {
+    switch (schema.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'expected true or false';
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'expected a number';
+            if (schema.type === 'integer' && !Number.isInteger(value)) return 'expected a whole number';
+            if (value < schema.min || value > schema.max) return `expected a value from ${schema.min} to ${schema.max}`;
+            return null;
+        case 'string':
+            if (typeof value !== 'string') return 'expected a string';
+            if (schema.enum && !schema.enum.includes(value)) return `expected one of ${schema.enum.join(', ')}`;
+            return null;
+        default:
+            return null;
+    }
+}
+
+/** Keep the valid entries of parsed settings.json; problems are returned as messages. */
+function parseSettings(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object of settings');
+    const settings = {};
+    const errors = [];
+    Object.entries(data).forEach(([key, value]) => {
+        if (LANGUAGE_SECTION.test(key)) {
+            const overrides = parseLanguageSection(key, value, errors);
+            if (overrides) settings[key] = overrides;
+            return;
+        }
+        const schema = schemaByKey.get(key);
+        if (!schema) {
+            errors.push(`unknown setting "${key}"`);
+            return;
+        }
+        const error = validateSetting(schema, value);
+        if (error) errors.push(`${key}: ${error}`);
+        else if (value !== schema.default) settings[key] = value;
+    });
+    return { settings, errors };
+}
+
+function parseLanguageSection(section, data, errors) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push(`${section}: expected an object of settings`);
+        return null;
+    }
+    const overrides = {};
+    Object.entries(data).forEach(([key, value]) => {
+        const schema = schemaByKey.get(key);
+        if (!schema || !schema.languageOverridable) {
+            errors.push(`${section}: "${key}" cannot be set per language`);
+            return;
+        }
+        const error = validateSetting(schema, value);
+        if (error) errors.push(`${section}: ${key}: ${error}`);
+        else overrides[key] = value;
+    });
+    return Object.keys(overrides).length > 0 ? overrides : null;
+}
+
+function replaceUserSettings(settings) {
+    const previous = userSettings;
+    userSettings = settings;
+    const changed = SETTINGS_SCHEMA
+        .filter(({ key, default: def }) => (key in previous ? previous[key] : def) !== (key in settings ? settings[key] : def))
+        .map(({ key }) => key);
+    // A changed language section counts as a change to each setting it mentions
+    const sections = new Set([...Object.keys(previous), ...Object.keys(settings)].filter(key => LANGUAGE_SECTION.test(key)));
+    sections.forEach(section => {
+        const before = previous[section] || {};
+        const after = settings[section] || {};
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            if (before[key] !== after[key] && !changed.includes(key)) changed.push(key);
+        });
+    });
+    if (changed.length) listeners.forEach(listener => listener(changed));
+}
+
+/** Change a setting and write settings.json. Throws if the value does not fit the schema. */
+export async function setSetting(key, value) {
+    const schema = schemaByKey.get(key);
+    if (!schema) throw new Error(`Unknown setting: ${key}`);
+    const error = validateSetting(schema, value);
+    if (error) throw new Error(`${key}: ${error}`);
+
+    const settings = { ...userSettings };
+    if (value === schema.default) delete settings[key];
+    else settings[key] = value;
+    replaceUserSettings(settings);
+
+    try {
+        await writeSettingsFile();
+    } catch (e) {
+        console.error('Failed to save settings', e);
+        showStatus('Error saving settings');
+    }
+}
+
+export function resetSetting(key) {
+    return setSetting(key, schemaByKey.get(key).default);
+}
+
+/* ── settings.json ──────────────────────────────────────────────── */
+
+async function getSettingsPath() {
+    if (!settingsPath && window.__TAURI__) {
+        const { appDataDir, join } = window.__TAURI__.path;
+        settingsPath = await join(await appDataDir(), 'settings.json');
+    }
+    return settingsPath;
+}
+
+/** Parsed settings.json, or null if there is none yet. */
+async function readSettingsFile() {
+    const path = await getSettingsPath();
+    if (!path) {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored === null ? null : JSON.parse(stored);
+    }
+    const { exists, readTextFile } = window.__TAURI__.fs;
+    if (!(await exists(path))) return null;
+    const text = await readTextFile(path);
+    settingsText = text;
+    return text.trim() ? JSON.parse(text) : {};
+}
+
+async function writeSettingsFile() {
+    // Written in schema order so the file reads like the preferences panel
+    const ordered = {};
+    SETTINGS_SCHEMA.forEach(({ key }) => {
+        if (key in userSettings) ordered[key] = userSettings[key];
+    });
+    Object.keys(userSettings).filter(key => LANGUAGE_SECTION.test(key)).sort().forEach(section => {
+        ordered[section] = userSettings[section];
+    });
+    const text = JSON.stringify(ordered, null, 4);
+
+    const path = await getSettingsPath();
+    if (!path) {
+        localStorage.setItem(STORAGE_KEY, text);
+        return;
+    }
+    const { exists, createDir, writeTextFile } = window.__TAURI__.fs;
+    const dir = await window.__TAURI__.path.appDataDir();
+    if (!(await exists(dir))) await createDir(dir, { recursive: true });
+    await writeTextFile(path, text);
+    settingsText = text;
+}
+
+/** Preferences kept in localStorage before settings.json existed. */
+function readLegacySettings() {
+    const settings = {};
+    if (localStorage.getItem('lightpad-wordwrap') === 'true') settings['editor.wordWrap'] = true;
+    if (localStorage.getItem('lightpad-autosave') === 'true') settings['files.autoSave'] = true;
+    return settings;
+}
+
+/** Read settings.json and apply it. A file that cannot be parsed keeps the current settings. */
+export async function loadSettings() {
+    let data;
+    try {
+        data = await readSettingsFile();
+    } catch (e) {
+        console.error('Failed to load settings', e);
+        showStatus(`settings.json: ${e.message}`, 5000);
+        return;
+    }
+
+    if (data === null) {
+        replaceUserSettings(readLegacySettings());
+        try {
+            await writeSettingsFile();
+            localStorage.removeItem('lightpad-wordwrap');
+            localStorage.removeItem('lightpad-autosave');
+        } catch (e) {
+            console.error('Failed to create settings.json', e);
+        }
+        return;
+    }
+
+    try {
+        const { settings, errors } = parseSettings(data);
+        if (errors.length) showStatus(`settings.json: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}`, 5000);
+        replaceUserSettings(settings);
+    } catch (e) {
+        showStatus(`settings.json: ${e.message}`, 5000);
+    }
+    renderSettingsList();
+}
+
+/** Called after a file is saved, so edits to settings.json made in a tab apply at once. */
+export async function handleSettingsFileSaved(path) {
+    if (path === await getSettingsPath()) await loadSettings();
+}
+
+// Catches edits made in another program. Our own writes come back as watcher
+// events too, so only a change in the text reloads.
+async function checkSettingsFileChanged() {
+    const path = await getSettingsPath();
+    if (!path) return;
+    const { exists, readTextFile } = window.__TAURI__.fs;
+    try {
+        // Editors that save by replacing the file leave it missing for a moment
+        if (!(await exists(path))) return;
+        if (await readTextFile(path) !== settingsText) await loadSettings();
+    } catch (e) {}
+}
+
+async function watchSettingsFile() {
+    const path = await getSettingsPath();
+    if (!path) return;
+    watchFile(path, ({ kind }) => {
+        if (kind !== 'removed') checkSettingsFileChanged();
+    });
+}
+
+/* ── Preferences panel ──────────────────────────────────────────── */
+
+export function openSettingsEditor() {
+    const modal = document.getElementById('settings-modal');
+    const filter = document.getElementById('settings-filter');
+    modal.style.display = 'flex';
+    filter.value = '';
+    renderSettingsList();
+    setTimeout(() => filter.focus(), 10);
+}
+
+export function closeSettingsEditor() {
+    const modal = document.getElementById('settings-modal');
+    if (modal) modal.style.display = 'none';
+    if (state.editorView) state.editorView.focus();
+}
+
+function renderSettingControl(schema, value) {
+    const id = `setting-${schema.key.replace('.', '-')}`;
+    if (schema.type === 'boolean') {
+        return `<input type="checkbox" id="${id}" class="setting-control"${value ? ' checked' : ''}>`;
+    }
+    const options = schema.getOptions ? schema.getOptions() : schema.enum?.map(option => ({ value: option, label: option }));
+    if (options) {
+        // Keep a value the list does not know, e.g. a theme whose file was removed, visible as is
+        if (!options.some(option => option.value === value)) options.push({ value, label: value });
+        return `<select id="${id}" class="setting-control link-input">${options.map(option =>
+            `<option value="${escapeHtml(option.value)}"${option.value === value ? ' selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}</select>`;
+    }
+    if (schema.type === 'string') {
+        return `<input type="text" id="${id}" class="setting-control link-input" spellcheck="false">`;
+    }
+    const step = schema.type === 'integer' ? 1 : 0.5;
+    return `<input type="number" id="${id}" class="setting-control link-input" min="${schema.min}" max="${schema.max}" step="${step}">`;
+}
+
+function renderSettingsList() {
+    const list = document.getElementById('settings-list');
+    const modal = document.getElementById('settings-modal');
+    if (!list || modal.style.display !== 'flex') return;
+
+    const query = document.getElementById('settings-filter').value.trim().toLowerCase();
+    const matches = SETTINGS_SCHEMA.filter(schema => !query ||
+        [schema.key, schema.title, schema.description, schema.category].some(text => text.toLowerCase().includes(query)));
+
+    list.innerHTML = '';
+    if (matches.length === 0) {
+        list.innerHTML = '<div class="quick-open-empty">No matching settings</div>';
+        return;
+    }
+
+    let category = null;
+    matches.forEach(schema => {
+        if (schema.category !== category) {
+            category = schema.category;
+            const header = document.createElement('div');
+            header.className = 'settings-category';
+            header.textContent = category;
+            list.appendChild(header);
+        }
+
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+        row.dataset.key = schema.key;
+        if (schema.key in userSettings) row.classList.add('is-modified');
+        row.innerHTML = `
+            <div class="setting-label">
+                <span class="setting-title">${escapeHtml(schema.title)}</span>
+                <span class="setting-key">${escapeHtml(schema.key)}</span>
+                <span class="setting-description">${escapeHtml(schema.description)}</span>
+            </div>
+            <div class="setting-value">
+                ${renderSettingControl(schema, getSetting(schema.key))}
+                <button class="icon-btn" data-action="reset" title="Reset to Default (${escapeHtml(String(schema.default))})">
+                    <svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>
+                </button>
+            </div>`;
+        const control = row.querySelector('.setting-control');
+        if (control.type !== 'checkbox') control.value = getSetting(schema.key);
+        list.appendChild(row);
+    });
+}
+
+function handleSettingControlChange(e) {
+    const control = e.target.closest('.setting-control');
+    const row = e.target.closest('.setting-row');
+    if (!control || !row) return;
+    const schema = schemaByKey.get(row.dataset.key);
+
+    let value = control.value;
+    if (schema.type === 'boolean') value = control.checked;
+    else if (schema.type === 'number' || schema.type === 'integer') value = control.value.trim() === '' ? NaN : Number(control.value);
+
+    const error = validateSetting(schema, value);
+    control.classList.toggle('is-invalid', !!error);
+    if (error) {
+        showStatus(`${schema.title}: ${error}`);
+        return;
+    }
+    row.classList.toggle('is-modified', value !== schema.default);
+    setSetting(schema.key, value);
+}
+
+/** Open settings.json in a tab, creating it first if needed. */
+export async function openSettingsFile() {
+    const path = await getSettingsPath();
+    if (!path) return showStatus('Editing settings.json is only supported in the app.');
+    try {
+        if (!(await window.__TAURI__.fs.exists(path))) await writeSettingsFile();
+        closeSettingsEditor();
+        const { openFileFromHistory } = await import('./file-io.js');
+        await openFileFromHistory(path);
+        showStatus('Save settings.json to apply your changes');
+    } catch (e) {
+        console.error(e);
+        showStatus('Error opening settings.json');
+    }
+}
+
+export function setupSettings() {
+    const modal = document.getElementById('settings-modal');
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeSettingsEditor();
+    });
+    document.getElementById('settings-filter').addEventListener('input', renderSettingsList);
+    const list = document.getElementById('settings-list');
+    list.addEventListener('change', handleSettingControlChange);
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="reset"]');
+        const row = e.target.closest('.setting-row');
+        if (button && row) resetSetting(row.dataset.key).then(renderSettingsList);
+    });
+    document.getElementById('settings-open-json').addEventListener('click', openSettingsFile);
+    document.getElementById('settings-close').addEventListener('click', closeSettingsEditor);
+    // Without native events, settings.json is checked whenever the window comes back to the front
+    if (window.__TAURI__) {
+        window.addEventListener('focus', () => {
+            if (!isWatching()) checkSettingsFileChanged();
+        });
+    }
+
+    return loadSettings().then(watchSettingsFile);
+}
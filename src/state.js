@@ -4,14 +4,16 @@ export const state = {
     activeTabId: null,
     editorView: null,
     quillView: null,
+    panes: [],
+    activePaneId: null,
+    splitDirection: 'horizontal',
     tabCounter: 0,
     sessionTimeout: null,
     contextMenuTargetId: null,
     activeSessionPath: null,
+    workspaceRoot: null,
     isPrimaryInstance: false,
     fileHistory: [],
     isPromptingReload: false,
-    isWordWrapEnabled: localStorage.getItem('lightpad-wordwrap') === 'true',
-    isAutoSaveEnabled: localStorage.getItem('lightpad-autosave') === 'true',
     isMarkdownPreviewEnabled: false
 };
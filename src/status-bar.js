@@ -2,6 +2,8 @@
 import { state } from './state.js';
 import { getFilename } from './utils.js';
 import { appWindow } from './tauri-bridge.js';
+import { getEncodingLabel } from './encoding.js';
+import { describeIndent } from './indentation.js';
 
 export function showStatus(msg, timeout = 3000) {
     const statusText = document.getElementById('status-text');
@@ -25,6 +27,27 @@ export function updateCursorStatus(view) {
     statusCursor.textContent = `Ln ${line.number}, Col ${pos - line.from + 1}`;
 }
 
+export function updateEncodingStatus() {
+    const statusEncoding = document.getElementById('status-encoding');
+    if (!statusEncoding) return;
+    const activeTab = state.tabs.find(t => t.id === state.activeTabId);
+    statusEncoding.textContent = activeTab ? getEncodingLabel(activeTab.encoding, activeTab.hasBom) : '';
+}
+
+export function updateLineEndingStatus() {
+    const statusCrlf = document.getElementById('status-crlf');
+    if (!statusCrlf) return;
+    const activeTab = state.tabs.find(t => t.id === state.activeTabId);
+    statusCrlf.textContent = activeTab && !activeTab.isDoc ? (activeTab.lineEnding || '') : '';
+}
+
+export function updateIndentStatus() {
+    const statusIndent = document.getElementById('status-indent');
+    if (!statusIndent) return;
+    const activeTab = state.tabs.find(t => t.id === state.activeTabId);
+    statusIndent.textContent = activeTab && !activeTab.isDoc ? describeIndent(activeTab.indent) : '';
+}
+
 export function updateTitle() {
     const activeTab = state.tabs.find(t => t.id === state.activeTabId);
     let workspaceStr = state.activeSessionPath ? getFilename(state.activeSessionPath).replace('.lpsession', '') : 'Default';
@@ -1,7 +1,8 @@
 import { state } from './state.js';
 import { getFilename } from './utils.js';
-import { switchTab, closeTab } from './editor-manager.js';
+import { switchTab, closeTab, moveTabToPane } from './editor-manager.js';
 import { saveSessionDebounced } from './session.js';
+import { getPane, getPaneTabs } from './panes.js';
 
 const tabBar = document.getElementById('tab-bar');
 let draggedTabId = null;
@@ -24,18 +25,32 @@ export function updateScrollShadows() {
 window.addEventListener('resize', updateScrollShadows);
 
 export function renderTabs() {
-    if (!tabBar) return;
-    tabBar.innerHTML = '';
+    state.panes.forEach(renderPaneTabs);
+    requestAnimationFrame(updateScrollShadows);
+}
+
+function clearDropHighlights() {
+    document.querySelectorAll('.tab').forEach(t => t.classList.remove('tab-drag-over-left', 'tab-drag-over-right'));
+    document.querySelectorAll('.editor-pane.pane-drop-target').forEach(p => p.classList.remove('pane-drop-target'));
+}
 
-    state.tabs.forEach((tab, index) => {
+function renderPaneTabs(pane) {
+    const bar = pane.tabBarEl;
+    if (!bar) return;
+    bar.innerHTML = '';
+    bar.dataset.paneId = pane.id;
+
+    getPaneTabs(pane.id).forEach(tab => {
         let classes = ['tab'];
-        if (tab.id === state.activeTabId) classes.push('active');
+        if (tab.id === pane.activeTabId) classes.push('active');
         if (tab.isTodo) classes.push('is-todo');
         if (tab.isDoc) classes.push('is-doc');
+        if (tab.isOrphaned) classes.push('is-orphaned');
 
         const tabEl = document.createElement('div');
         tabEl.className = classes.join(' ');
         tabEl.dataset.id = tab.id;
+        if (tab.isOrphaned) tabEl.title = `${tab.path} (deleted from disk)`;
 
         const dot = document.createElement('div');
         dot.className = `tab-dot ${tab.isUnsaved ? 'unsaved' : ''}`;
@@ -84,39 +99,48 @@ export function renderTabs() {
         });
 
         // DRAG AND DROP
-        let startX = 0;
+        let startX = 0, startY = 0;
         tabEl.addEventListener('pointerdown', (e) => {
             if (e.target.closest('.tab-close') || e.button !== 0) return;
             e.currentTarget.setPointerCapture(e.pointerId);
             draggedTabId = tab.id;
             draggedTabEl = e.currentTarget;
             startX = e.clientX;
+            startY = e.clientY;
             isDraggingTab = false;
         });
 
         tabEl.addEventListener('pointermove', (e) => {
             if (!draggedTabId || draggedTabId !== tab.id || !draggedTabEl) return;
             const dragOffsetX = e.clientX - startX;
-            if (Math.abs(dragOffsetX) > 5) {
+            const dragOffsetY = e.clientY - startY;
+            if (Math.abs(dragOffsetX) > 5 || (state.panes.length > 1 && Math.abs(dragOffsetY) > 5)) {
                 isDraggingTab = true;
                 draggedTabEl.classList.add('tab-dragging');
             }
             if (!isDraggingTab) return;
 
-            draggedTabEl.style.transform = `translateX(${dragOffsetX}px)`;
+            draggedTabEl.style.transform = state.panes.length > 1
+                ? `translate(${dragOffsetX}px, ${dragOffsetY}px)`
+                : `translateX(${dragOffsetX}px)`;
             draggedTabEl.style.zIndex = '1000';
             draggedTabEl.style.position = 'relative';
 
             const elements = document.elementsFromPoint(e.clientX, e.clientY);
             const dropTarget = elements.find(el => el.classList.contains('tab') && el !== draggedTabEl);
 
-            document.querySelectorAll('.tab').forEach(t => t.classList.remove('tab-drag-over-left', 'tab-drag-over-right'));
+            clearDropHighlights();
 
             if (dropTarget) {
                 const targetRect = dropTarget.getBoundingClientRect();
                 const isRightHalf = e.clientX > targetRect.left + (targetRect.width / 2);
                 if (isRightHalf) dropTarget.classList.add('tab-drag-over-right');
                 else dropTarget.classList.add('tab-drag-over-left');
+            } else if (state.panes.length > 1) {
+                // Dropping onto another pane's editor or tab strip moves the tab there
+                const bar = elements.find(el => el.classList.contains('tab-bar'));
+                const paneEl = bar ? getPane(bar.dataset.paneId)?.el : elements.find(el => el.classList.contains('editor-pane'));
+                if (paneEl && paneEl.dataset.paneId !== tab.paneId) paneEl.classList.add('pane-drop-target');
             }
         });
 
@@ -131,25 +155,17 @@ export function renderTabs() {
             const leftTarget = document.querySelector('.tab.tab-drag-over-left');
             const rightTarget = document.querySelector('.tab.tab-drag-over-right');
             const dropTarget = leftTarget || rightTarget;
+            const paneTarget = document.querySelector('.editor-pane.pane-drop-target');
 
-            document.querySelectorAll('.tab').forEach(t => t.classList.remove('tab-drag-over-left', 'tab-drag-over-right'));
+            clearDropHighlights();
 
             if (isDraggingTab && dropTarget) {
-                const dropIdx = Array.from(tabBar.children).indexOf(dropTarget);
-                if (dropIdx !== -1) {
-                    const targetId = state.tabs[dropIdx].id;
-                    const fromIdx = state.tabs.findIndex(t => t.id === draggedTabId);
-                    const toIdx = state.tabs.findIndex(t => t.id === targetId);
-
-                    if (fromIdx !== -1 && toIdx !== -1 && fromIdx !== toIdx) {
-                        const isRightHalf = !!rightTarget;
-                        let insertBefore = isRightHalf ? toIdx + 1 : toIdx;
-                        const [movedTab] = state.tabs.splice(fromIdx, 1);
-                        const adjustedIndex = insertBefore > fromIdx ? insertBefore - 1 : insertBefore;
-                        state.tabs.splice(adjustedIndex, 0, movedTab);
-                        renderTabs();
-                    }
+                const target = state.tabs.find(t => t.id === dropTarget.dataset.id);
+                if (target && target.id !== draggedTabId) {
+                    moveTabToPane(draggedTabId, target.paneId, target.id, !!rightTarget);
                 }
+            } else if (isDraggingTab && paneTarget) {
+                moveTabToPane(draggedTabId, paneTarget.dataset.paneId);
             }
 
             draggedTabId = null;
@@ -166,33 +182,32 @@ export function renderTabs() {
                 draggedTabEl.style.position = '';
                 draggedTabEl.releasePointerCapture(e.pointerId);
             }
-            document.querySelectorAll('.tab').forEach(t => t.classList.remove('tab-drag-over-left', 'tab-drag-over-right'));
+            clearDropHighlights();
             draggedTabId = null;
             draggedTabEl = null;
         });
 
-        tabBar.appendChild(tabEl);
+        bar.appendChild(tabEl);
     });
 
     if (draggedTabId) {
         draggedTabEl = document.querySelector(`[data-id="${draggedTabId}"]`);
     }
 
-    if (!tabBar.dataset.scrollListenerAdded) {
-        tabBar.addEventListener('scroll', updateScrollShadows);
-        tabBar.dataset.scrollListenerAdded = 'true';
+    if (!bar.dataset.scrollListenerAdded && bar === tabBar) {
+        bar.addEventListener('scroll', updateScrollShadows);
+        bar.dataset.scrollListenerAdded = 'true';
     }
 
-    const activeTabEl = tabBar.querySelector('.tab.active');
+    const activeTabEl = bar.querySelector('.tab.active');
     if (activeTabEl) {
         setTimeout(() => {
-            const barRect = tabBar.getBoundingClientRect();
+            const barRect = bar.getBoundingClientRect();
             const tabRect = activeTabEl.getBoundingClientRect();
-            if (tabRect.left < barRect.left) tabBar.scrollBy({ left: tabRect.left - barRect.left - 20, behavior: 'smooth' });
-            else if (tabRect.right > barRect.right) tabBar.scrollBy({ left: tabRect.right - barRect.right + 20, behavior: 'smooth' });
+            if (tabRect.left < barRect.left) bar.scrollBy({ left: tabRect.left - barRect.left - 20, behavior: 'smooth' });
+            else if (tabRect.right > barRect.right) bar.scrollBy({ left: tabRect.right - barRect.right + 20, behavior: 'smooth' });
         }, 10);
     }
-    requestAnimationFrame(updateScrollShadows);
 }
 
 export function updateActiveTabUI() {
@@ -204,17 +219,20 @@ export function updateActiveTabUI() {
         else document.body.classList.add('theme-text');
     }
 
-    const tabEls = tabBar.querySelectorAll('.tab');
-    tabEls.forEach(el => {
-        if (el.dataset.id === state.activeTabId) {
-            el.classList.add('active');
-            const barRect = tabBar.getBoundingClientRect();
-            const tabRect = el.getBoundingClientRect();
-            if (tabRect.left < barRect.left) tabBar.scrollBy({ left: tabRect.left - barRect.left - 20, behavior: 'instant' });
-            else if (tabRect.right > barRect.right) tabBar.scrollBy({ left: tabRect.right - barRect.right + 20, behavior: 'instant' });
-        } else {
-            el.classList.remove('active');
-        }
+    state.panes.forEach(pane => {
+        const bar = pane.tabBarEl;
+        if (!bar) return;
+        bar.querySelectorAll('.tab').forEach(el => {
+            if (el.dataset.id === pane.activeTabId) {
+                el.classList.add('active');
+                const barRect = bar.getBoundingClientRect();
+                const tabRect = el.getBoundingClientRect();
+                if (tabRect.left < barRect.left) bar.scrollBy({ left: tabRect.left - barRect.left - 20, behavior: 'instant' });
+                else if (tabRect.right > barRect.right) bar.scrollBy({ left: tabRect.right - barRect.right + 20, behavior: 'instant' });
+            } else {
+                el.classList.remove('active');
+            }
+        });
     });
 
     requestAnimationFrame(updateScrollShadows);
@@ -0,0 +1,506 @@
+// themes.js — Color themes for the app chrome, CodeMirror and Quill
+// A theme is plain JSON: `colors` and `accents` become CSS custom properties
+// used by style.css (and so by Quill), `editor` and `syntax` build the CodeMirror
+// theme. User themes live as *.json files in the themes folder of the app data
+// directory; anything they leave out comes from the built-in theme of their type.
+import { EditorView } from "@codemirror/view";
+import { syntaxHighlighting, HighlightStyle } from "@codemirror/language";
+import { tags as t } from "@lezer/highlight";
+import { state } from './state.js';
+import { setEditorTheme, themeEffect } from './editor.js';
+import { updateTabState } from './editor-manager.js';
+import { showStatus } from './status-bar.js';
+import { setSettingOptions } from './settings.js';
+import { isPathWithin } from './utils.js';
+
+export const DEFAULT_THEME_ID = 'dark';
+
+const DARK_THEME = {
+    name: 'Dark',
+    type: 'dark',
+    colors: {
+        background: '#0d1017',
+        titlebar: '#11141c',
+        titlebarHover: 'rgba(255, 255, 255, 0.05)',
+        toolbar: '#14171c',
+        border: 'rgba(255, 255, 255, 0.06)',
+        foreground: '#f3f4f6',
+        mutedForeground: '#9ca3af',
+        buttonHover: 'rgba(255, 255, 255, 0.08)',
+        surface: 'rgba(255, 255, 255, 0.05)',
+        surfaceBorder: 'rgba(255, 255, 255, 0.1)',
+        surfaceStrong: 'rgba(255, 255, 255, 0.15)',
+        popup: '#1a1c23',
+        popupHeader: '#14161c',
+        input: '#0a0c10',
+        placeholder: '#5a5f6e',
+        scrollbarActive: '#434857',
+        docBackground: '#0d1017',
+        docForeground: '#f3f4f6',
+        danger: '#e81123',
+        error: '#f87171',
+        warning: '#ffb86c',
+        success: '#4ade80',
+        todoDone: '#6272a4',
+        todoChecked: '#50fa7b'
+    },
+    // Tab kinds tint the active tab, modals and menus with their own accent
+    accents: {
+        text: { accent: '#3b82f6', accentHover: '#60a5fa', glowTop: '#1c2a47', glowMid: '#141c2e' },
+        doc: { accent: '#10b981', accentHover: '#34d399', glowTop: '#123326', glowMid: '#0f211a' },
+        todo: { accent: '#bd93f9', accentHover: '#d2a8ff', glowTop: '#2c1c43', glowMid: '#1c152d' }
+    },
+    editor: {
+        background: '#000000',
+        foreground: '#abb2bf',
+        caret: '#528bff',
+        selection: 'rgba(59, 130, 246, 0.4)',
+        activeLine: 'rgba(255, 255, 255, 0.08)',
+        activeLineNumber: '#c678dd',
+        gutterBackground: '#000000',
+        gutterForeground: '#4b5263',
+        gutterBorder: '#181a1f',
+        panelBackground: '#14171c',
+        panelForeground: '#f0f0f0',
+        panelMuted: '#8b92a5',
+        panelBorder: '#ffffff10',
+        inputBackground: '#0f1115',
+        accent: '#3b82f6',
+        danger: '#ff5555',
+        searchMatch: '#3b82f630',
+        searchMatchSelected: '#3b82f660',
+        foldPlaceholder: '#528bff'
+    },
+    syntax: {
+        keyword: '#ff79c6',
+        string: '#50fa7b',
+        comment: '#6272a4',
+        number: '#ffb86c',
+        operator: '#ff79c6',
+        function: '#8be9fd',
+        variable: '#f8f8f2',
+        type: '#8be9fd',
+        special: '#bd93f9',
+        invalid: '#f8f8f0',
+        invalidBackground: '#ff79c6',
+        csvColumns: ['#ff79c6', '#8be9fd', '#50fa7b', '#ffb86c', '#bd93f9', '#f1fa8c', '#ff5555', '#6be5fd', '#a4e87c', '#ffcb6b']
+    }
+};
+
+const LIGHT_THEME = {
+    name: 'Light',
+    type: 'light',
+    colors: {
+        background: '#ffffff',
+        titlebar: '#f3f4f6',
+        titlebarHover: 'rgba(0, 0, 0, 0.05)',
+        toolbar: '#f9fafb',
+        border: 'rgba(0, 0, 0, 0.1)',
+        foreground: '#1f2937',
+        mutedForeground: '#6b7280',
+        buttonHover: 'rgba(0, 0, 0, 0.06)',
+        surface: 'rgba(0, 0, 0, 0.04)',
+        surfaceBorder: 'rgba(0, 0, 0, 0.12)',
+        surfaceStrong: 'rgba(0, 0, 0, 0.18)',
+        popup: '#ffffff',
+        popupHeader: '#f3f4f6',
+        input: '#ffffff',
+        placeholder: '#9ca3af',
+        scrollbarActive: '#9ca3af',
+        docBackground: '#ffffff',
+        docForeground: '#1f2937',
+        danger: '#e81123',
+        error: '#dc2626',
+        warning: '#b45309',
+        success: '#15803d',
+        todoDone: '#9ca3af',
+        todoChecked: '#15803d'
+    },
+    accents: {
+        text: { accent: '#2563eb', accentHover: '#3b82f6', glowTop: '#dbeafe', glowMid: '#eff6ff' },
+        doc: { accent: '#059669', accentHover: '#10b981', glowTop: '#d1fae5', glowMid: '#ecfdf5' },
+        todo: { accent: '#7c3aed', accentHover: '#8b5cf6', glowTop: '#ede9fe', glowMid: '#f5f3ff' }
+    },
+    editor: {
+        background: '#ffffff',
+        foreground: '#24292f',
+        caret: '#2563eb',
+        selection: 'rgba(37, 99, 235, 0.2)',
+        activeLine: 'rgba(0, 0, 0, 0.04)',
+        activeLineNumber: '#7c3aed',
+        gutterBackground: '#ffffff',
+        gutterForeground: '#9ca3af',
+        gutterBorder: '#e5e7eb',
+        panelBackground: '#f3f4f6',
+        panelForeground: '#1f2937',
+        panelMuted: '#6b7280',
+        panelBorder: 'rgba(0, 0, 0, 0.1)',
+        inputBackground: '#ffffff',
+        accent: '#2563eb',
+        danger: '#dc2626',
+        searchMatch: 'rgba(250, 204, 21, 0.35)',
+        searchMatchSelected: 'rgba(249, 115, 22, 0.45)',
+        foldPlaceholder: '#2563eb'
+    },
+    syntax: {
+        keyword: '#cf222e',
+        string: '#0a3069',
+        comment: '#6e7781',
+        number: '#0550ae',
+        operator: '#cf222e',
+        function: '#8250df',
+        variable: '#24292f',
+        type: '#953800',
+        special: '#116329',
+        invalid: '#ffffff',
+        invalidBackground: '#cf222e',
+        csvColumns: ['#cf222e', '#0550ae', '#116329', '#953800', '#8250df', '#9a6700', '#a40e26', '#0969da', '#1a7f37', '#bc4c00']
+    }
+};
+
+const HIGH_CONTRAST_THEME = {
+    name: 'High Contrast',
+    type: 'dark',
+    colors: {
+        background: '#000000',
+        titlebar: '#000000',
+        titlebarHover: 'rgba(255, 255, 255, 0.2)',
+        toolbar: '#000000',
+        border: '#6fc3df',
+        foreground: '#ffffff',
+        mutedForeground: '#e0e0e0',
+        buttonHover: 'rgba(255, 255, 255, 0.2)',
+        surface: 'rgba(255, 255, 255, 0.12)',
+        surfaceBorder: '#6fc3df',
+        surfaceStrong: '#ffffff',
+        popup: '#000000',
+        popupHeader: '#000000',
+        input: '#000000',
+        placeholder: '#b0b0b0',
+        scrollbarActive: '#ffffff',
+        docBackground: '#000000',
+        docForeground: '#ffffff',
+        danger: '#f44747',
+        error: '#ff6b6b',
+        warning: '#ffd700',
+        success: '#7cfc00',
+        todoDone: '#b0b0b0',
+        todoChecked: '#7cfc00'
+    },
+    accents: {
+        text: { accent: '#f38518', accentHover: '#ffb347', glowTop: '#000000', glowMid: '#000000' },
+        doc: { accent: '#7cfc00', accentHover: '#adff2f', glowTop: '#000000', glowMid: '#000000' },
+        todo: { accent: '#ff80ff', accentHover: '#ffb3ff', glowTop: '#000000', glowMid: '#000000' }
+    },
+    editor: {
+        background: '#000000',
+        foreground: '#ffffff',
+        caret: '#ffffff',
+        selection: '#264f78',
+        activeLine: 'rgba(255, 255, 255, 0.12)',
+        activeLineNumber: '#ffffff',
+        gutterBackground: '#000000',
+        gutterForeground: '#d0d0d0',
+        gutterBorder: '#6fc3df',
+        panelBackground: '#000000',
+        panelForeground: '#ffffff',
+        panelMuted: '#e0e0e0',
+        panelBorder: '#6fc3df',
+        inputBackground: '#000000',
+        accent: '#f38518',
+        danger: '#f44747',
+        searchMatch: 'rgba(243, 133, 24, 0.35)',
+        searchMatchSelected: 'rgba(243, 133, 24, 0.7)',
+        foldPlaceholder: '#6fc3df'
+    },
+    syntax: {
+        keyword: '#569cd6',
+        string: '#ce9178',
+        comment: '#7ca668',
+        number: '#b5cea8',
+        operator: '#ffffff',
+        function: '#dcdcaa',
+        variable: '#9cdcfe',
+        type: '#4ec9b0',
+        special: '#c586c0',
+        invalid: '#ffffff',
+        invalidBackground: '#f44747',
+        csvColumns: ['#ffffff', '#6fc3df', '#ffd700', '#7cfc00', '#ff80ff', '#f38518', '#9cdcfe', '#ce9178', '#b5cea8', '#dcdcaa']
+    }
+};
+
+const BUILTIN_THEMES = { dark: DARK_THEME, light: LIGHT_THEME, 'high-contrast': HIGH_CONTRAST_THEME };
+
+// Theme color name → CSS custom property in style.css
+const COLOR_VARIABLES = {
+    background: '--bg-color',
+    titlebar: '--titlebar-bg',
+    titlebarHover: '--titlebar-hover',
+    toolbar: '--toolbar-bg',
+    border: '--toolbar-border',
+    foreground: '--text-main',
+    mutedForeground: '--text-muted',
+    buttonHover: '--button-hover',
+    surface: '--surface',
+    surfaceBorder: '--surface-border',
+    surfaceStrong: '--surface-strong',
+    popup: '--popup-bg',
+    popupHeader: '--popup-header-bg',
+    input: '--input-bg',
+    placeholder: '--placeholder',
+    scrollbarActive: '--scrollbar-active',
+    docBackground: '--doc-bg',
+    docForeground: '--doc-fg',
+    danger: '--danger-hover',
+    error: '--error',
+    warning: '--warning',
+    success: '--success',
+    todoDone: '--todo-done',
+    todoChecked: '--todo-checked'
+};
+
+const ACCENT_VARIABLES = {
+    accent: 'accent',
+    accentHover: 'accent-hover',
+    glowTop: 'active-top',
+    glowMid: 'active-mid'
+};
+
+let userThemes = {};
+let activeThemeId = null;
+
+/* ── Theme files ────────────────────────────────────────────────── */
+
+/** Fill in whatever a user theme leaves out from the built-in theme of the same type. */
+function completeTheme(data, fallbackName) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected a theme object');
+    const base = data.type === 'light' ? LIGHT_THEME : DARK_THEME;
+    const accents = {};
+    Object.keys(base.accents).forEach(kind => {
+        accents[kind] = { ...base.accents[kind], ...(data.accents?.[kind] || {}) };
+    });
+    const syntax = { ...base.syntax, ...(data.syntax || {}) };
+    if (!Array.isArray(syntax.csvColumns) || syntax.csvColumns.length === 0) syntax.csvColumns = base.syntax.csvColumns;
+    return {
+        name: typeof data.name === 'string' ? data.name : fallbackName,
+        type: data.type === 'light' ? 'light' : 'dark',
+        colors: { ...base.colors, ...(data.colors || {}) },
+        accents,
+        editor: { ...base.editor, ...(data.editor || {}) },
+        syntax
+    };
+}
+
+async function getThemesDir() {
+    if (!window.__TAURI__) return null;
+    const { appDataDir, join } = window.__TAURI__.path;
+    return join(await appDataDir(), 'themes');
+}
+
+/** Read every *.json theme in the themes folder. A broken file is skipped with a message. */
+export async function loadUserThemes() {
+    userThemes = {};
+    const dir = await getThemesDir();
+    if (!dir) return;
+    const { exists, readDir, readTextFile } = window.__TAURI__.fs;
+    try {
+        if (!(await exists(dir))) return;
+        const entries = await readDir(dir);
+        for (const entry of entries) {
+            if (entry.children || !entry.name.toLowerCase().endsWith('.json')) continue;
+            const id = entry.name.slice(0, -'.json'.length);
+            try {
+                userThemes[id] = completeTheme(JSON.parse(await readTextFile(entry.path)), id);
+            } catch (e) {
+                console.error(`Failed to load theme ${entry.name}`, e);
+                showStatus(`Theme ${entry.name}: ${e.message}`, 5000);
+            }
+        }
+    } catch (e) {
+        console.error('Failed to read themes folder', e);
+    }
+}
+
+/** Built-in and user themes as { id, name, type }. A user file named like a built-in replaces it. */
+export function getThemes() {
+    const themes = { ...BUILTIN_THEMES, ...userThemes };
+    return Object.entries(themes).map(([id, theme]) => ({ id, name: theme.name, type: theme.type, isUser: id in userThemes }));
+}
+
+function getTheme(id) {
+    return userThemes[id] || BUILTIN_THEMES[id] || null;
+}
+
+/* ── Applying ───────────────────────────────────────────────────── */
+
+function buildEditorTheme(theme) {
+    const e = theme.editor;
+    const s = theme.syntax;
+    const highlightStyle = HighlightStyle.define([
+        { tag: [t.keyword, t.controlKeyword, t.moduleKeyword], color: s.keyword, fontWeight: "bold" },
+        { tag: [t.string, t.special(t.string), t.inserted], color: s.string },
+        { tag: [t.meta, t.comment, t.lineComment, t.blockComment], color: s.comment, fontStyle: "italic" },
+        { tag: [t.number, t.bool, t.null, t.changed, t.className], color: s.number },
+        { tag: [t.operator, t.operatorKeyword, t.punctuation, t.derefOperator], color: s.operator },
+        { tag: [t.function(t.variableName), t.function(t.propertyName), t.definition(t.name)], color: s.function },
+        { tag: [t.variableName, t.propertyName, t.name], color: s.variable },
+        { tag: [t.typeName, t.typeOperator, t.standard(t.name)], color: s.type, fontStyle: "italic" },
+        { tag: [t.special(t.variableName), t.macroName, t.local(t.variableName)], color: s.special },
+        { tag: t.invalid, color: s.invalid, backgroundColor: s.invalidBackground }
+    ]);
+
+    const editorTheme = EditorView.theme({
+        "&": {
+            backgroundColor: `${e.background} !important`,
+            color: e.foreground
+        },
+        ".cm-content": {
+            caretColor: e.caret
+        },
+        "&.cm-focused .cm-cursor": {
+            borderLeftColor: e.caret
+        },
+        "&.cm-focused .cm-selectionBackground, .cm-selectionBackground, .cm-content ::selection": {
+            backgroundColor: e.selection
+        },
+        ".cm-panels": {
+            backgroundColor: e.panelBackground,
+            color: e.panelForeground,
+            borderTop: `1px solid ${e.panelBorder} !important`
+        },
+        ".cm-panels.cm-panels-bottom": {
+            borderTop: `1px solid ${e.panelBorder}`
+        },
+        ".cm-search input": {
+            backgroundColor: e.inputBackground,
+            border: `1px solid ${e.panelBorder}`,
+            color: e.panelForeground
+        },
+        ".cm-search input:focus": {
+            borderColor: e.accent
+        },
+        ".cm-search button": {
+            color: e.panelMuted,
+            border: `1px solid ${e.panelBorder}`
+        },
+        ".cm-search button[name=close]": {
+            border: "none",
+            color: e.panelMuted
+        },
+        ".cm-search button[name=close]:hover": {
+            color: e.danger
+        },
+        ".cm-search button:hover": {
+            backgroundColor: e.activeLine,
+            color: e.panelForeground
+        },
+        ".cm-search label": {
+            color: e.panelMuted
+        },
+        ".cm-search input[type=checkbox]": {
+            accentColor: e.accent
+        },
+        ".cm-searchMatch": {
+            backgroundColor: e.searchMatch
+        },
+        ".cm-searchMatch.cm-searchMatch-selected": {
+            backgroundColor: e.searchMatchSelected,
+            color: e.panelForeground,
+            outline: `1px solid ${e.accent}`
+        },
+        ".cm-activeLine": {
+            backgroundColor: e.activeLine
+        },
+        ".cm-activeLineGutter": {
+            backgroundColor: e.activeLine,
+            color: e.activeLineNumber
+        },
+        ".cm-gutters": {
+            backgroundColor: e.gutterBackground,
+            color: e.gutterForeground,
+            border: "none",
+            borderRight: `1px solid ${e.gutterBorder}`
+        },
+        ".cm-foldPlaceholder": {
+            color: e.foldPlaceholder
+        }
+    }, { dark: theme.type === 'dark' });
+
+    return [syntaxHighlighting(highlightStyle, { fallback: true }), editorTheme];
+}
+
+function applyCssVariables(theme) {
+    const root = document.documentElement;
+    Object.entries(COLOR_VARIABLES).forEach(([name, variable]) => root.style.setProperty(variable, theme.colors[name]));
+    Object.entries(theme.accents).forEach(([kind, accent]) => {
+        Object.entries(ACCENT_VARIABLES).forEach(([name, suffix]) => root.style.setProperty(`--tab-${kind}-${suffix}`, accent[name]));
+    });
+    theme.syntax.csvColumns.forEach((color, i) => root.style.setProperty(`--csv-col-${i}`, color));
+    root.dataset.themeType = theme.type;
+}
+
+/**
+ * Switch every window element and open editor to a theme. Unknown ids fall back
+ * to the default theme. Editors are reconfigured in place, so tabs keep their state.
+ */
+export function applyTheme(id) {
+    let theme = getTheme(id);
+    if (!theme) {
+        showStatus(`Unknown color theme "${id}", using ${BUILTIN_THEMES[DEFAULT_THEME_ID].name}`, 5000);
+        id = DEFAULT_THEME_ID;
+        theme = BUILTIN_THEMES[id];
+    }
+    activeThemeId = id;
+    applyCssVariables(theme);
+    setEditorTheme(buildEditorTheme(theme));
+    state.tabs.forEach(tab => {
+        if (!tab.isDoc) updateTabState(tab, { effects: themeEffect() });
+    });
+}
+
+export function getActiveThemeId() {
+    return activeThemeId;
+}
+
+/** Called after a file is saved; editing a theme in the themes folder reapplies it. */
+export async function handleThemeFileSaved(path) {
+    const dir = await getThemesDir();
+    if (!dir || !isPathWithin(path, dir) || !path.toLowerCase().endsWith('.json')) return;
+    await loadUserThemes();
+    applyTheme(activeThemeId || DEFAULT_THEME_ID);
+}
+
+/** Open my-theme.json from the themes folder, creating an example theme first if needed. */
+export async function openUserThemeFile() {
+    const dir = await getThemesDir();
+    if (!dir) return showStatus('User themes are only supported in the app.');
+    const { exists, createDir, writeTextFile } = window.__TAURI__.fs;
+    const { join } = window.__TAURI__.path;
+    try {
+        if (!(await exists(dir))) await createDir(dir, { recursive: true });
+        const examplePath = await join(dir, 'my-theme.json');
+        if (!(await exists(examplePath))) {
+            const example = {
+                name: 'My Theme',
+                type: 'dark',
+                colors: { background: DARK_THEME.colors.background },
+                accents: { text: { accent: DARK_THEME.accents.text.accent } },
+                editor: { background: DARK_THEME.editor.background },
+                syntax: { keyword: DARK_THEME.syntax.keyword }
+            };
+            await writeTextFile(examplePath, JSON.stringify(example, null, 4));
+        }
+        const { openFileFromHistory } = await import('./file-io.js');
+        await openFileFromHistory(examplePath);
+        showStatus('Save the theme, then pick it under Color Theme');
+    } catch (e) {
+        console.error(e);
+        showStatus('Error opening the themes folder');
+    }
+}
+
+/** Load user themes and list every theme as a choice for the workbench.colorTheme setting. */
+export async function setupThemes() {
+    setSettingOptions('workbench.colorTheme', () => getThemes().map(theme => ({ value: theme.id, label: theme.name })));
+    await loadUserThemes();
+}
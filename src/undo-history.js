@@ -0,0 +1,80 @@
+// undo-history.js — Undo history saved with the session
+// CodeMirror's history is stored per tab next to a hash of the text it applies
+// to, and only restored onto that same text. All tabs share one size budget;
+// over it, the oldest undo steps and redo steps go first.
+import { historyField } from '@codemirror/commands';
+import { getSetting } from './settings.js';
+
+// Serialized history per editor state, so unchanged tabs are not re-serialized on every session save
+const serializedCache = new WeakMap();
+
+/** A short hash of `text`, to tell whether a saved history still fits the file. */
+export function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${text.length}:${(hash >>> 0).toString(16)}`;
+}
+
+function serialize(editorState) {
+    if (serializedCache.has(editorState)) return serializedCache.get(editorState);
+    let result = null;
+    if (editorState.field(historyField, false)) {
+        const json = editorState.toJSON({ history: historyField }).history;
+        const sizes = { done: json.done.map(e => JSON.stringify(e).length), undone: json.undone.map(e => JSON.stringify(e).length) };
+        if (json.done.length > 0 || json.undone.length > 0) {
+            result = { json, sizes, docHash: hashText(editorState.sliceDoc()) };
+        }
+    }
+    serializedCache.set(editorState, result);
+    return result;
+}
+
+function totalSize(sizes) {
+    return [...sizes.done, ...sizes.undone].reduce((sum, size) => sum + size, 0);
+}
+
+/** Drop redo steps and then the oldest undo steps until the history fits in `budget` characters. */
+function trimHistory({ json, sizes }, budget) {
+    let done = json.done.length;
+    let undone = json.undone.length;
+    let size = totalSize(sizes);
+    while (size > budget && undone > 0) size -= sizes.undone[json.undone.length - undone--];
+    while (size > budget && done > 0) size -= sizes.done[json.done.length - done--];
+    if (done === 0 && undone === 0) return null;
+    return { history: { done: json.done.slice(json.done.length - done), undone: json.undone.slice(json.undone.length - undone) }, size };
+}
+
+/**
+ * The undo history of each text tab, trimmed to the `editor.undoHistorySize`
+ * budget, as a Map from tab id to { history, docHash }.
+ */
+export function serializeUndoHistories(tabs) {
+    const budget = getSetting('editor.undoHistorySize') * 1024;
+    const result = new Map();
+    if (budget === 0) return result;
+
+    // Smallest first, so a tab under its fair share leaves the rest to the others
+    const entries = tabs
+        .filter(tab => !tab.isDoc && tab.state)
+        .map(tab => ({ tab, saved: serialize(tab.state) }))
+        .filter(entry => entry.saved)
+        .sort((a, b) => totalSize(a.saved.sizes) - totalSize(b.saved.sizes));
+
+    let remaining = budget;
+    entries.forEach(({ tab, saved }, i) => {
+        const trimmed = trimHistory(saved, remaining / (entries.length - i));
+        if (!trimmed) return;
+        remaining -= trimmed.size;
+        result.set(tab.id, { history: trimmed.history, docHash: saved.docHash });
+    });
+    return result;
+}
+
+/** The saved history to restore onto `content`, or null when the text has changed since it was saved. */
+export function getRestorableHistory(saved, content) {
+    if (!saved || !saved.history || saved.docHash !== hashText(content)) return null;
+    return saved.history;
+}
@@ -8,3 +8,100 @@ export function escapeHtml(text) {
     div.textContent = text;
     return div.innerHTML;
 }
+
+function pathSeparator(path) {
+    return path.includes('\\') ? '\\' : '/';
+}
+
+export function joinPath(dir, name) {
+    const sep = pathSeparator(dir);
+    return dir.endsWith(sep) ? dir + name : dir + sep + name;
+}
+
+export function getParentDir(path) {
+    const index = Math.max(path.lastIndexOf('/'), path.lastIndexOf('\\'));
+    return index > 0 ? path.slice(0, index) : path;
+}
+
+/** True if `path` is `dir` itself or anything below it. */
+export function isPathWithin(path, dir) {
+    const sep = pathSeparator(dir);
+    return path === dir || path.startsWith(dir.endsWith(sep) ? dir : dir + sep);
+}
+
+/** `path` relative to `root`, with '/' separators as .gitignore rules and globs expect. */
+export function getRelativePath(root, path) {
+    return path.slice(root.length).replace(/^[\\/]+/, '').replace(/\\/g, '/');
+}
+
+/** True for '/x', 'C:\x' and '\\server\share' style paths. */
+export function isAbsolutePath(path) {
+    return /^([\\/]|[A-Za-z]:[\\/])/.test(path);
+}
+
+/**
+ * `path` relative to the directory `base`, with '/' separators. Null when the two
+ * have no common root or `path` is more than `maxUp` folders up from `base`.
+ */
+export function toRelativePath(base, path, maxUp = Infinity) {
+    // Network shares are left absolute
+    if (/^[\\/]{2}/.test(base) || /^[\\/]{2}/.test(path)) return null;
+    const split = (p) => p.split(/[\\/]/).filter((part, i) => part || i === 0);
+    const from = split(base);
+    const to = split(path);
+    const ignoreCase = /^[A-Za-z]:$/.test(from[0]);
+    const same = (a, b) => ignoreCase ? a.toLowerCase() === b.toLowerCase() : a === b;
+    if (!same(from[0], to[0])) return null;
+
+    let common = 0;
+    while (common < from.length && common < to.length && same(from[common], to[common])) common++;
+    const up = from.length - common;
+    if (up > maxUp) return null;
+    return [...Array(up).fill('..'), ...to.slice(common)].join('/') || '.';
+}
+
+/** Resolve a relative path against the directory `base`, using the separators of `base`. */
+export function resolvePath(base, relative) {
+    const parts = base.split(/[\\/]/).filter((part, i) => part || i === 0);
+    for (const part of relative.split(/[\\/]/)) {
+        if (part === '..') {
+            if (parts.length > 1) parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+    return parts.join(pathSeparator(base)) || pathSeparator(base);
+}
+
+/**
+ * Match `query` as a subsequence of `text`, ignoring case. Returns the matched
+ * character positions and a score favouring runs and word starts, or null.
+ */
+export function fuzzyMatch(query, text) {
+    const lowerQuery = query.toLowerCase();
+    const lowerText = text.toLowerCase();
+    const positions = [];
+    let score = 0;
+    let index = 0;
+    for (const c of lowerQuery) {
+        index = lowerText.indexOf(c, index);
+        if (index === -1) return null;
+        const last = positions[positions.length - 1];
+        if (last === index - 1) score += 5;
+        if (index === 0 || /[\s:_\-/.]/.test(text[index - 1])) score += 3;
+        positions.push(index);
+        score++;
+        index++;
+    }
+    return { score: score - (positions[0] || 0) * 0.1, positions };
+}
+
+/** How long ago `time` (epoch milliseconds) was, e.g. "5 min ago". */
+export function formatAge(time) {
+    const minutes = Math.round((Date.now() - time) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} d ago`;
+}
@@ -0,0 +1,97 @@
+// watcher.js — Native file watching for open tabs
+// The backend watches files and emits `file-changed` events; this module keeps
+// its watch list in step with the open tabs and routes events to editor-manager.
+// Files LightPad reads itself, like settings.json, are watched through watchFile.
+import { state } from './state.js';
+import { invoke } from './tauri-bridge.js';
+import { getTabContent } from './panes.js';
+
+const watchedPaths = new Set();
+// Path → listener, for files watched whether or not a tab has them open
+const fileListeners = new Map();
+let isListening = false;
+
+/** True once native events are flowing; the focus-time mtime check is only a fallback. */
+export function isWatching() {
+    return isListening;
+}
+
+export async function startFileWatcher() {
+    if (isListening || !window.__TAURI__?.event || !invoke) return;
+    try {
+        await window.__TAURI__.event.listen('file-changed', (event) => onFileChanged(event.payload));
+        isListening = true;
+        syncWatchedFiles();
+    } catch (e) {
+        console.warn('Native file watcher unavailable, falling back to focus checks', e);
+    }
+}
+
+/** Call `listener({ kind, path, newPath, mtime })` whenever `path` changes on disk. */
+export function watchFile(path, listener) {
+    fileListeners.set(path, listener);
+    syncWatchedFiles();
+}
+
+/** Watch every path that has a tab open and drop watches for closed ones. */
+export function syncWatchedFiles() {
+    if (!isListening) return;
+    // Orphaned paths stay watched so a recreated file is noticed
+    const openPaths = new Set(state.tabs.filter(t => t.path).map(t => t.path));
+    fileListeners.forEach((listener, path) => openPaths.add(path));
+
+    openPaths.forEach(path => {
+        if (watchedPaths.has(path)) return;
+        watchedPaths.add(path);
+        invoke('watch_file', { path }).catch(e => console.warn(`Could not watch ${path}`, e));
+    });
+    watchedPaths.forEach(path => {
+        if (openPaths.has(path)) return;
+        watchedPaths.delete(path);
+        invoke('unwatch_file', { path }).catch(() => {});
+    });
+}
+
+// How long a renamed file gets to reappear under its old name before the tab follows the rename
+const RENAME_SETTLE_DELAY = 300;
+
+function onFileChanged(change) {
+    const listener = fileListeners.get(change.path);
+    if (listener) listener(change);
+    onTabFileChanged(change);
+}
+
+async function onTabFileChanged({ kind, path, newPath, mtime }) {
+    const tab = state.tabs.find(t => t.path === path);
+    if (!tab) return;
+    const { handleExternalFileChange } = await import('./editor-manager.js');
+
+    if (kind === 'removed') {
+        handleExternalFileChange(path, null, null, 'removed');
+    } else if (kind === 'renamed') {
+        // vim, emacs and others save by renaming the file to a backup and writing a new one in its place
+        await new Promise(resolve => setTimeout(resolve, RENAME_SETTLE_DELAY));
+        if (await window.__TAURI__.fs.exists(path)) {
+            let newMtime = null;
+            try { newMtime = await invoke('get_file_modified', { path }); } catch (e) {}
+            await onTabFileChanged({ kind: 'modified', path, mtime: newMtime });
+            return;
+        }
+        handleExternalFileChange(path, null, null, 'renamed', newPath);
+        syncWatchedFiles();
+    } else if (kind === 'modified') {
+        // Our own saves come back as events too; only react when the disk content really differs
+        try {
+            const { readDocumentFile } = await import('./file-io.js');
+            const file = await readDocumentFile(path, tab.encoding);
+            if (file.content === tab.savedContent || file.content === getTabContent(tab)) {
+                if (mtime) tab.lastModified = mtime;
+                if (tab.isOrphaned) handleExternalFileChange(path, mtime, null, 'restored');
+                return;
+            }
+        } catch (e) {
+            return;
+        }
+        handleExternalFileChange(path, mtime || Math.floor(Date.now() / 1000), null, 'modified');
+    }
+}
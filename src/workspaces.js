@@ -0,0 +1,454 @@
+// workspaces.js — Named workspaces and the workspace switcher
+// A workspace is an .lpsession file; new ones live in `<app data>/workspaces`,
+// others are remembered once opened. The Default workspace is the session kept
+// in localStorage. Switching saves the current workspace first, unsaved buffers
+// included, so its tabs can be closed without asking.
+import { state } from './state.js';
+import { saveSession, loadSession, readSession, writeSessionFile, reportSessionErrors } from './session.js';
+import { SESSION_VERSION } from './session-schema.js';
+import { closeMultipleTabs, discardAllTabs } from './editor-manager.js';
+import { closeFolder } from './explorer.js';
+import { updateTitle, showStatus } from './status-bar.js';
+import { askConfirmUI, askInputUI } from './overlays.js';
+import { openDialog, saveDialog } from './tauri-bridge.js';
+import { escapeHtml, formatAge, getFilename, getParentDir, toRelativePath } from './utils.js';
+
+const REGISTRY_KEY = 'lightpad-workspaces';
+const EXTENSION = '.lpsession';
+const SESSION_FILTERS = [{ name: 'LightPad Session', extensions: ['lpsession'] }];
+// Bounds the search for moved files, which may start in a large folder
+const RELOCATE_SEARCH_LIMIT = 20000;
+const RELOCATE_EXCLUDES = ['.git/', 'node_modules/'];
+
+// Shown workspaces while the switcher is open, in list order
+let shownWorkspaces = null;
+let selectedIndex = -1;
+
+/* ── Registry ───────────────────────────────────────────────────── */
+
+// [{ path, lastUsed }], where a null path is the Default workspace
+function loadRegistry() {
+    try {
+        return JSON.parse(localStorage.getItem(REGISTRY_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveRegistry(entries) {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(entries));
+}
+
+function markWorkspaceUsed(path) {
+    const entries = loadRegistry().filter(e => e.path !== path);
+    entries.push({ path, lastUsed: Date.now() });
+    saveRegistry(entries);
+}
+
+function forgetWorkspace(path) {
+    saveRegistry(loadRegistry().filter(e => e.path !== path));
+}
+
+export function getWorkspaceName(path) {
+    return path ? getFilename(path).replace(/\.lpsession$/, '') : 'Default';
+}
+
+async function getWorkspacesDir() {
+    const { appDataDir, join } = window.__TAURI__.path;
+    const dir = await join(await appDataDir(), 'workspaces');
+    if (!(await window.__TAURI__.fs.exists(dir))) await window.__TAURI__.fs.createDir(dir, { recursive: true });
+    return dir;
+}
+
+async function countTabs(path) {
+    if (path === state.activeSessionPath) return state.tabs.length;
+    try {
+        const data = path ? await window.__TAURI__.fs.readTextFile(path) : localStorage.getItem('lightpad-session');
+        return data ? (JSON.parse(data).tabs || []).length : 0;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Known workspaces, most recently used first, as { path, name, lastUsed, tabCount }.
+ * Files that no longer exist are forgotten.
+ */
+export async function listWorkspaces() {
+    const registry = loadRegistry();
+    const paths = new Set([null, ...registry.map(e => e.path)]);
+    if (window.__TAURI__) {
+        try {
+            const files = await window.__TAURI__.fs.readDir(await getWorkspacesDir());
+            files.filter(f => f.name && f.name.endsWith(EXTENSION)).forEach(f => paths.add(f.path));
+        } catch (e) {
+            console.warn('Could not list workspaces', e);
+        }
+    }
+
+    const workspaces = [];
+    for (const path of paths) {
+        if (path && (!window.__TAURI__ || !(await window.__TAURI__.fs.exists(path)))) {
+            forgetWorkspace(path);
+            continue;
+        }
+        workspaces.push({
+            path,
+            name: getWorkspaceName(path),
+            lastUsed: registry.find(e => e.path === path)?.lastUsed || 0,
+            tabCount: await countTabs(path)
+        });
+    }
+    return workspaces.sort((a, b) => b.lastUsed - a.lastUsed || a.name.localeCompare(b.name));
+}
+
+/* ── Switching and editing workspaces ───────────────────────────── */
+
+/**
+ * Make `path` the active workspace (null for Default). The current workspace is
+ * saved first; if it cannot hold the unsaved buffers they are offered for saving.
+ * Resolves false when the switch did not happen.
+ */
+export async function switchWorkspace(path) {
+    if (path === state.activeSessionPath && (path || state.isPrimaryInstance)) return true;
+
+    // Checked before anything is closed, so a broken workspace leaves the current one as it was
+    const { errors } = await readSession(path);
+    if (errors.length > 0) {
+        await reportSessionErrors(path, errors);
+        return false;
+    }
+    if (await saveSession()) {
+        await discardAllTabs();
+    } else {
+        await closeMultipleTabs([...state.tabs]);
+        if (state.tabs.length > 0) return false;
+    }
+    clearTimeout(state.sessionTimeout);
+    closeFolder(false);
+
+    state.activeSessionPath = path;
+    // Only one instance owns the default session, and switching to it claims it
+    if (!path) state.isPrimaryInstance = true;
+    await loadSession();
+    markWorkspaceUsed(path);
+    updateTitle();
+    showStatus(`Switched to workspace ${getWorkspaceName(path)}`);
+    return true;
+}
+
+function emptySession() {
+    return { version: SESSION_VERSION, tabs: [], activeTabId: null, panes: null, folder: null };
+}
+
+function validateName(name) {
+    if (!name) return 'A workspace needs a name';
+    if (/[\\/:*?"<>|]/.test(name)) return 'Workspace names cannot contain \\ / : * ? " < > |';
+    if (name.toLowerCase() === 'default') return 'That name is taken by the Default workspace';
+    return null;
+}
+
+async function workspacePathFor(name, dir) {
+    return window.__TAURI__.path.join(dir || await getWorkspacesDir(), `${name}${EXTENSION}`);
+}
+
+async function askWorkspaceName(title, defaultValue = '') {
+    const name = (await askInputUI(title, defaultValue, 'Workspace name'))?.trim();
+    if (name === undefined) return null;
+    const error = validateName(name);
+    if (error) {
+        showStatus(error);
+        return null;
+    }
+    return name;
+}
+
+export async function createWorkspace() {
+    if (!window.__TAURI__) return showStatus('Workspaces are only available in the app.');
+    const name = await askWorkspaceName('New Workspace');
+    if (!name) return;
+    const path = await workspacePathFor(name);
+    if (await window.__TAURI__.fs.exists(path)) return showStatus(`A workspace named ${name} already exists`);
+    try {
+        await writeSessionFile(path, emptySession());
+    } catch (e) {
+        console.error(e);
+        return showStatus('Error creating workspace');
+    }
+    await switchWorkspace(path);
+}
+
+export async function renameWorkspace(path) {
+    if (!path) return showStatus('The Default workspace cannot be renamed');
+    const name = await askWorkspaceName('Rename Workspace', getWorkspaceName(path));
+    if (!name || name === getWorkspaceName(path)) return;
+    const dir = await window.__TAURI__.path.dirname(path);
+    const newPath = await workspacePathFor(name, dir);
+    if (await window.__TAURI__.fs.exists(newPath)) return showStatus(`A workspace named ${name} already exists`);
+
+    const isActive = path === state.activeSessionPath;
+    try {
+        if (isActive) {
+            clearTimeout(state.sessionTimeout);
+            await saveSession();
+        }
+        await window.__TAURI__.fs.renameFile(path, newPath);
+    } catch (e) {
+        console.error(e);
+        return showStatus('Error renaming workspace');
+    }
+    if (isActive) state.activeSessionPath = newPath;
+    const lastUsed = loadRegistry().find(e => e.path === path)?.lastUsed || Date.now();
+    saveRegistry([...loadRegistry().filter(e => e.path !== path), { path: newPath, lastUsed }]);
+    updateTitle();
+    showStatus(`Renamed workspace to ${name}`);
+}
+
+export async function duplicateWorkspace(path) {
+    if (!window.__TAURI__) return showStatus('Workspaces are only available in the app.');
+    const dir = await getWorkspacesDir();
+    const base = `${getWorkspaceName(path)} copy`;
+    let name = base;
+    for (let n = 2; await window.__TAURI__.fs.exists(await workspacePathFor(name, dir)); n++) name = `${base} ${n}`;
+    const newPath = await workspacePathFor(name, dir);
+
+    try {
+        if (path === state.activeSessionPath) await saveSession();
+        // Rewritten rather than copied, so relative paths still point at the same files from the new folder
+        const { session, errors } = await readSession(path);
+        if (errors.length > 0) return reportSessionErrors(path, errors);
+        await writeSessionFile(newPath, session || emptySession());
+    } catch (e) {
+        console.error(e);
+        return showStatus('Error duplicating workspace');
+    }
+    markWorkspaceUsed(newPath);
+    showStatus(`Duplicated workspace as ${name}`);
+}
+
+export async function deleteWorkspace(path) {
+    if (!path) return showStatus('The Default workspace cannot be deleted');
+    const answer = await askConfirmUI(`Delete the workspace "${getWorkspaceName(path)}"? Its unsaved buffers are lost with it.`);
+    if (answer !== 'yes') return;
+    if (path === state.activeSessionPath && !(await switchWorkspace(null))) return;
+    try {
+        await window.__TAURI__.fs.removeFile(path);
+    } catch (e) {
+        console.error(e);
+        return showStatus('Error deleting workspace');
+    }
+    forgetWorkspace(path);
+    showStatus(`Deleted workspace ${getWorkspaceName(path)}`);
+}
+
+/** Save the open tabs as a new workspace file picked by the user, and keep working in it. */
+export async function saveWorkspaceAs() {
+    if (!window.__TAURI__) return alert('Saving sessions is only supported in the app.');
+    try {
+        const selected = await saveDialog({ defaultPath: await getWorkspacesDir(), filters: SESSION_FILTERS });
+        if (!selected) return;
+        clearTimeout(state.sessionTimeout);
+        const previous = state.activeSessionPath;
+        state.activeSessionPath = selected;
+        if (!(await saveSession())) {
+            state.activeSessionPath = previous;
+            return showStatus('Error saving Workspace');
+        }
+        markWorkspaceUsed(selected);
+        updateTitle();
+        showStatus('Workspace Session saved natively');
+    } catch (e) { console.error(e); showStatus('Error saving Workspace'); }
+}
+
+/** Switch to a workspace file picked by the user, remembering it for the switcher. */
+export async function openWorkspaceFile() {
+    if (!window.__TAURI__) return alert('Loading sessions is only supported in the app.');
+    try {
+        const selected = await openDialog({ defaultPath: await getWorkspacesDir(), filters: SESSION_FILTERS });
+        if (!selected) return;
+        await switchWorkspace(selected);
+    } catch (e) { console.error(e); showStatus('Error loading session'); }
+}
+
+/** Make the open tabs the Default workspace. */
+export function setDefaultSession() {
+    if (!state.activeSessionPath && state.isPrimaryInstance) return showStatus('Already using Default Session');
+    clearTimeout(state.sessionTimeout);
+    state.isPrimaryInstance = true;
+    state.activeSessionPath = null;
+    saveSession();
+    markWorkspaceUsed(null);
+    updateTitle();
+    showStatus('Current tabs set to Default Session');
+}
+
+/* ── Missing files ──────────────────────────────────────────────── */
+
+// How many trailing path segments two paths share, e.g. 2 for src/a.js in two checkouts
+// and 1 for files that only share their name
+function sharedTail(a, b) {
+    const x = a.split(/[\\/]/).reverse();
+    const y = b.split(/[\\/]/).reverse();
+    let count = 0;
+    while (count < x.length && count < y.length && x[count] === y[count]) count++;
+    return count;
+}
+
+/**
+ * Look for files named like `paths` in `dir`, then in the folder above it. Returns
+ * a Map from each path found to the candidate sharing most of its path, nearest first.
+ * A candidate must at least be in a folder of the same name: a README.md or
+ * index.js anywhere nearby is not evidence that the file moved there.
+ */
+async function findNearby(paths, dir) {
+    const { walkFiles } = await import('./find-in-files.js');
+    const byName = new Map();
+    paths.forEach(path => byName.set(getFilename(path), [...(byName.get(getFilename(path)) || []), path]));
+
+    const best = new Map();
+    const parent = getParentDir(dir);
+    let visited = 0;
+    for (const root of parent === dir ? [dir] : [dir, parent]) {
+        // `dir` was searched already, so the walk of its parent leaves it out
+        const skip = root === parent ? [dir] : [];
+        for await (const file of walkFiles(root, { exclude: RELOCATE_EXCLUDES, skip })) {
+            if (++visited > RELOCATE_SEARCH_LIMIT) break;
+            for (const path of byName.get(getFilename(file.path)) || []) {
+                const score = sharedTail(path, file.path);
+                if (score >= 2 && score > (best.get(path)?.score || 0)) best.set(path, { path: file.path, score });
+            }
+        }
+        if (visited > RELOCATE_SEARCH_LIMIT || paths.every(path => best.has(path))) break;
+    }
+    return new Map([...best].map(([path, match]) => [path, match.path]));
+}
+
+/**
+ * Offer to open the files of a workspace that are gone from where it expects
+ * them from near the workspace file instead, as after moving a project folder.
+ * Updates the tabs of `session` in place.
+ */
+export async function relocateMissingFiles(session, sessionPath) {
+    if (!window.__TAURI__) return;
+    const missing = [];
+    for (const tab of session.tabs) {
+        if (tab.path && !(await window.__TAURI__.fs.exists(tab.path))) missing.push(tab);
+    }
+    if (missing.length === 0) return;
+
+    const dir = getParentDir(sessionPath);
+    let found;
+    try {
+        found = await findNearby([...new Set(missing.map(tab => tab.path))], dir);
+    } catch (e) {
+        console.warn('Could not search for missing files', e);
+        return;
+    }
+    const moved = missing.filter(tab => found.has(tab.path));
+    if (moved.length === 0) return;
+
+    const names = moved.map(tab => toRelativePath(dir, found.get(tab.path)) ?? found.get(tab.path));
+    const listed = names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+    const answer = await askConfirmUI(`${missing.length} file${missing.length === 1 ? '' : 's'} of this workspace could not be found. Open ${moved.length === 1 ? 'the one' : `the ${moved.length}`} found near the workspace file instead (${listed})?`);
+    if (answer !== 'yes') return;
+    moved.forEach(tab => { tab.path = found.get(tab.path); });
+}
+
+/* ── Switcher panel ─────────────────────────────────────────────── */
+
+function renderWorkspaceList() {
+    const list = document.getElementById('workspace-list');
+    list.innerHTML = shownWorkspaces.map((ws, i) => {
+        const isActive = ws.path === state.activeSessionPath;
+        const tabs = ws.tabCount === null ? 'unreadable' : `${ws.tabCount} tab${ws.tabCount === 1 ? '' : 's'}`;
+        const used = ws.lastUsed ? ` · last used ${formatAge(ws.lastUsed)}` : '';
+        const actions = ws.path ? ['Rename', 'Duplicate', 'Delete'] : ['Duplicate'];
+        return `<div class="workspace-item${isActive ? ' active' : ''}${i === selectedIndex ? ' selected' : ''}" data-index="${i}" title="${escapeHtml(ws.path || 'Stored with the app')}">
+            <div class="workspace-item-text">
+                <div class="workspace-item-name">${escapeHtml(ws.name)}${isActive ? ' <span class="workspace-item-current">(current)</span>' : ''}</div>
+                <div class="workspace-item-meta">${tabs}${used}</div>
+            </div>
+            ${actions.map(action => `<button class="merge-choice workspace-action" data-action="${action.toLowerCase()}" data-index="${i}">${action}</button>`).join('')}
+        </div>`;
+    }).join('');
+}
+
+function selectWorkspace(index) {
+    selectedIndex = index;
+    document.querySelectorAll('#workspace-list .workspace-item').forEach((item, i) => {
+        item.classList.toggle('selected', i === index);
+    });
+    document.querySelector(`#workspace-list .workspace-item[data-index="${index}"]`)?.scrollIntoView({ block: 'nearest' });
+}
+
+async function runWorkspaceAction(action, ws) {
+    // Prompts open beneath the panel, so it steps aside until the action is done
+    closeWorkspaceSwitcher();
+    if (action === 'rename') await renameWorkspace(ws.path);
+    else if (action === 'duplicate') await duplicateWorkspace(ws.path);
+    else if (action === 'delete') await deleteWorkspace(ws.path);
+    await openWorkspaceSwitcher();
+}
+
+async function chooseWorkspace(ws) {
+    closeWorkspaceSwitcher();
+    await switchWorkspace(ws.path);
+}
+
+/** List the known workspaces; one click switches to a workspace. */
+export async function openWorkspaceSwitcher() {
+    shownWorkspaces = await listWorkspaces();
+    selectedIndex = Math.max(0, shownWorkspaces.findIndex(ws => ws.path === state.activeSessionPath));
+    document.getElementById('workspace-modal').style.display = 'flex';
+    renderWorkspaceList();
+    document.getElementById('workspace-list').focus();
+}
+
+export function closeWorkspaceSwitcher() {
+    const modal = document.getElementById('workspace-modal');
+    if (modal) modal.style.display = 'none';
+    shownWorkspaces = null;
+    if (state.editorView) state.editorView.focus();
+}
+
+export function setupWorkspaces() {
+    const modal = document.getElementById('workspace-modal');
+    if (!modal) return;
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeWorkspaceSwitcher();
+    });
+    document.getElementById('workspace-list').addEventListener('click', (e) => {
+        if (!shownWorkspaces) return;
+        const button = e.target.closest('.workspace-action');
+        const item = e.target.closest('.workspace-item');
+        if (button) runWorkspaceAction(button.dataset.action, shownWorkspaces[parseInt(button.dataset.index, 10)]);
+        else if (item) chooseWorkspace(shownWorkspaces[parseInt(item.dataset.index, 10)]);
+    });
+    document.getElementById('workspace-list').addEventListener('keydown', (e) => {
+        if (!shownWorkspaces || shownWorkspaces.length === 0) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const next = selectedIndex + (e.key === 'ArrowDown' ? 1 : -1);
+            if (next >= 0 && next < shownWorkspaces.length) selectWorkspace(next);
+        } else if (e.key === 'Enter' && selectedIndex >= 0) {
+            e.preventDefault();
+            chooseWorkspace(shownWorkspaces[selectedIndex]);
+        } else if (e.key === 'F2' && selectedIndex >= 0) {
+            e.preventDefault();
+            runWorkspaceAction('rename', shownWorkspaces[selectedIndex]);
+        } else if (e.key === 'Delete' && selectedIndex >= 0) {
+            e.preventDefault();
+            runWorkspaceAction('delete', shownWorkspaces[selectedIndex]);
+        }
+    });
+    document.getElementById('workspace-btn-new').addEventListener('click', async () => {
+        closeWorkspaceSwitcher();
+        await createWorkspace();
+    });
+    document.getElementById('workspace-btn-open').addEventListener('click', async () => {
+        closeWorkspaceSwitcher();
+        await openWorkspaceFile();
+    });
+    document.getElementById('workspace-btn-close').addEventListener('click', closeWorkspaceSwitcher);
+    document.getElementById('status-workspace')?.addEventListener('click', openWorkspaceSwitcher);
+}
@@ -0,0 +1,62 @@
+// zoom.js — Zoom for the CodeMirror editor, Quill documents and the markdown preview
+// Zoom levels are whole steps of 10% around 100%. The level is global
+// (editor.zoomLevel) unless editor.zoomPerTab is set, in which case each tab
+// keeps its own `zoomLevel` in the session.
+import { state } from './state.js';
+import { fontEffect } from './editor.js';
+import { showStatus } from './status-bar.js';
+import { saveSessionDebounced } from './session.js';
+import { getSetting, setSetting } from './settings.js';
+// updateTabState is imported dynamically, editor-manager.js imports this module
+
+const ZOOM_STEP = 0.1;
+const MIN_ZOOM_LEVEL = -5;
+const MAX_ZOOM_LEVEL = 10;
+
+/** The zoom level to use for a tab whose own level is `zoomLevel` (null when it has none). */
+export function resolveZoomLevel(zoomLevel) {
+    if (getSetting('editor.zoomPerTab') && zoomLevel !== null && zoomLevel !== undefined) return zoomLevel;
+    return getSetting('editor.zoomLevel');
+}
+
+export function getTabZoomLevel(tab) {
+    return resolveZoomLevel(tab ? tab.zoomLevel : null);
+}
+
+export function getZoomFactor(level) {
+    return Math.round((1 + level * ZOOM_STEP) * 100) / 100;
+}
+
+/** Expose the zoom of the pane's active tab to the Quill editor and markdown preview via --zoom. */
+export function updatePaneZoom(pane) {
+    const tab = state.tabs.find(t => t.id === pane.activeTabId);
+    const factor = getZoomFactor(getTabZoomLevel(tab));
+    pane.el.style.setProperty('--zoom', String(factor));
+}
+
+/** Re-apply zoom to every open tab, e.g. after the zoom settings changed. */
+export async function applyZoom() {
+    const { updateTabState } = await import('./editor-manager.js');
+    state.tabs.forEach(tab => {
+        if (tab.isDoc || !tab.state) return;
+        updateTabState(tab, { effects: fontEffect(getZoomFactor(getTabZoomLevel(tab))) });
+    });
+    state.panes.forEach(updatePaneZoom);
+}
+
+/** Zoom the active tab (or everything) by `step` levels; a step of 0 resets to 100%. */
+export async function changeZoom(step) {
+    const tab = state.tabs.find(t => t.id === state.activeTabId);
+    const current = getTabZoomLevel(tab);
+    const level = step === 0 ? 0 : Math.min(MAX_ZOOM_LEVEL, Math.max(MIN_ZOOM_LEVEL, current + step));
+
+    if (getSetting('editor.zoomPerTab') && tab) {
+        tab.zoomLevel = level;
+        await applyZoom();
+        saveSessionDebounced();
+    } else {
+        // applySettings picks up the change and calls applyZoom()
+        await setSetting('editor.zoomLevel', level);
+    }
+    showStatus(`Zoom: ${Math.round(getZoomFactor(getTabZoomLevel(tab)) * 100)}%`);
+}